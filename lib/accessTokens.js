@@ -0,0 +1,102 @@
+// lib/accessTokens.js — Tokens firmados y con alcance para /api/sign-get y /api/bundle
+import crypto from 'crypto';
+
+/**
+ * Config por ENV:
+ * - ACCESS_TOKEN_SECRET: secreto HMAC; sin él /api/sign-get, /api/bundle y /api/access-tokens responden 503
+ * - ACCESS_TOKEN_TTL_SECONDS: vigencia por defecto de un token (default 900)
+ * - ACCESS_TOKEN_MAX_TTL_SECONDS: tope de la vigencia que puede pedir el cliente (default 86400)
+ * - ACCESS_ALLOWED_PREFIXES: prefijos del bucket a los que pueden apuntar los tokens y los items de un
+ *     manifiesto de bundle (JSON array o lista separada por comas; default uploads/,bundles/).
+ *     _meta/, _sessions/, _usage/, _audit/ y transfers/ quedan fuera salvo que se agreguen a mano.
+ *
+ * Token: mxa.<payload>.<firma>; payload base64url { jti, sub, scope, keys, prefixes, exp }
+ *   scope 'get' = /api/sign-get, scope 'bundle' = /api/bundle (el manifiesto y cada item deben estar en alcance).
+ * Lo emite POST /api/access-tokens:
+ *   - con ADMIN_TOKEN: keys y prefijos libres dentro de ACCESS_ALLOWED_PREFIXES
+ *   - si no: solo keys, cada una con el uploadToken que se entregó al subirla (lib/uploadTokens.js)
+ * Cada token emitido queda en _audit/access-tokens/<día>/<jti>.json (los claims, nunca la firma).
+ */
+const SECRET = process.env.ACCESS_TOKEN_SECRET || '';
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+export const ACCESS_TOKEN_MAX_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_MAX_TTL_SECONDS || '86400', 10);
+export const ACCESS_ALLOWED_PREFIXES = (() => {
+  const raw = process.env.ACCESS_ALLOWED_PREFIXES || 'uploads/,bundles/';
+  try { const v = JSON.parse(raw); if (Array.isArray(v)) return v.map(String).filter(Boolean); } catch {}
+  return raw.split(',').map(s => s.trim()).filter(Boolean);
+})();
+export const ACCESS_SCOPES = ['get', 'bundle'];
+
+export const accessTokensEnabled = () => Boolean(SECRET);
+
+// Key del bucket utilizable por un token o un manifiesto: bajo un prefijo permitido y sin rodeos de ruta
+export function isAllowedKey(key) {
+  const k = String(key || '');
+  if (!k || k.length > 1024 || k.startsWith('/') || k.includes('\\') || k.includes('\0')) return false;
+  if (k.split('/').some(seg => seg === '..' || seg === '.')) return false;
+  return ACCESS_ALLOWED_PREFIXES.some(p => k.startsWith(p));
+}
+
+// Prefijo de un token: termina en / y cae dentro de (o es) un prefijo permitido
+export const isAllowedPrefix = (prefix) => String(prefix || '').endsWith('/') && isAllowedKey(prefix);
+
+const sign = (payload) => crypto.createHmac('sha256', SECRET).update(`mxa.${payload}`).digest('base64url');
+
+// { token, claims } con claims = { jti, sub, scope, keys, prefixes, exp (unix) }
+export function issueAccessToken({ subject = null, scope, keys = [], prefixes = [], ttlSeconds = ACCESS_TOKEN_TTL_SECONDS }) {
+  if (!SECRET) throw new Error('ACCESS_TOKEN_SECRET no configurado');
+  const ttl = Math.min(Math.max(1, ttlSeconds), ACCESS_TOKEN_MAX_TTL_SECONDS);
+  const claims = { jti: crypto.randomUUID(), sub: subject, scope, keys, prefixes, exp: Math.floor(Date.now() / 1000) + ttl };
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return { token: `mxa.${payload}.${sign(payload)}`, claims };
+}
+
+// Claims de un token vigente del scope pedido, o null
+export function verifyAccessToken(raw, scope) {
+  const m = /^mxa\.([\w-]+)\.([\w-]+)$/.exec(String(raw || '').trim());
+  if (!m || !SECRET) return null;
+  const a = Buffer.from(m[2]);
+  const b = Buffer.from(sign(m[1]));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(m[1], 'base64url').toString('utf8')); } catch { return null; }
+  if (claims.scope !== scope || !(claims.exp * 1000 > Date.now())) return null;
+  return claims;
+}
+
+export const tokenAllows = (claims, key) =>
+  isAllowedKey(key) && (claims.keys.includes(key) || claims.prefixes.some(p => key.startsWith(p)));
+
+export const accessTokenFromReq = (req) => req.get('x-access-token') || String(req.query.token || '');
+
+// Middleware: exige un token vigente del scope (x-access-token o ?token=) y deja sus claims en req.access
+export function requireAccessToken(scope) {
+  return (req, res, next) => {
+    if (!SECRET) return res.status(503).json({ error: 'access_tokens_disabled' });
+    const raw = accessTokenFromReq(req);
+    if (!raw) return res.status(401).json({ error: 'access_token_required' });
+    req.access = verifyAccessToken(raw, scope);
+    if (!req.access) return res.status(401).json({ error: 'invalid_access_token' });
+    next();
+  };
+}
+
+/**
+ * Rastro de auditoría sobre un almacén JSON { get(key), put(key, objeto), list(prefix) -> keys }.
+ * record() se espera antes de entregar el token: si no se puede auditar, no se emite.
+ */
+export function createAccessAudit({ get, put, list }) {
+  const dayPrefix = (day) => `_audit/access-tokens/${day}/`;
+  return {
+    record(claims, { via, ip }) {
+      const issuedAt = new Date();
+      return put(`${dayPrefix(issuedAt.toISOString().slice(0, 10))}${claims.jti}.json`, {
+        ...claims, expiresAt: new Date(claims.exp * 1000).toISOString(), issuedAt: issuedAt.toISOString(), via, ip
+      });
+    },
+    async listDay(day) {
+      const entries = await Promise.all((await list(dayPrefix(day))).map(k => get(k)));
+      return entries.filter(Boolean).sort((a, b) => a.issuedAt.localeCompare(b.issuedAt));
+    }
+  };
+}
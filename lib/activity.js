@@ -0,0 +1,70 @@
+// lib/activity.js — Registro de actividad por transfer (vistas del share page y descargas)
+import net from 'net';
+import { nanoid } from 'nanoid';
+
+/**
+ * Config por ENV:
+ * - ACTIVITY_ENABLED: false deja de registrar (lo ya registrado se sigue pudiendo leer; default true)
+ * - ACTIVITY_MAX_EVENTS: eventos más recientes que devuelve GET /api/transfers/:id/activity (default 500)
+ *
+ * Cada evento es un objeto propio en transfers/<id>/.activity/<ms>-<rand>.json (como .downloads/:
+ * sin read-modify-write, consistente entre instancias) y se borra junto con el transfer.
+ *   { at, type: 'view' | 'file' | 'zip', file?, fileId?, folder? (ZIP de una carpeta), bytes?, completed?, partial?, ip, ua }
+ * bytes = lo que realmente salió; completed = la respuesta llegó al último byte.
+ * La IP se guarda truncada (IPv4 /24, IPv6 /48) y el user agent recortado a UA_MAX caracteres.
+ */
+export const ACTIVITY_ENABLED = String(process.env.ACTIVITY_ENABLED || 'true') === 'true';
+export const ACTIVITY_MAX_EVENTS = Math.max(1, parseInt(process.env.ACTIVITY_MAX_EVENTS || '500', 10) || 500);
+const UA_MAX = 160;
+
+export function truncateIp(ip) {
+  const raw = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  if (net.isIPv4(raw)) return raw.replace(/\.\d+$/, '.0');
+  if (net.isIPv6(raw)) {
+    // Expande '::' para quedarse con los tres primeros grupos
+    const [head, tail = ''] = raw.split('::');
+    const left = head ? head.split(':') : [];
+    const right = tail ? tail.split(':') : [];
+    const groups = raw.includes('::') ? [...left, ...Array(8 - left.length - right.length).fill('0'), ...right] : left;
+    return `${groups.slice(0, 3).map(g => g.toLowerCase().replace(/^0+(?=.)/, '')).join(':')}::`;
+  }
+  return null;
+}
+
+export const truncateUserAgent = (ua) => (ua ? String(ua).slice(0, UA_MAX) : null);
+
+/**
+ * Registro sobre un almacén { put(key, objeto), list(prefix) -> keys, get(key) -> objeto | null }.
+ * list() devuelve los eventos del más nuevo al más viejo, hasta `limit`; el resumen cubre esos eventos
+ * y `total` cuenta todos los registrados.
+ */
+export function createActivityLog({ put, list, get }) {
+  const prefix = (id) => `transfers/${id}/.activity/`;
+  return {
+    record(id, req, event) {
+      if (!ACTIVITY_ENABLED) return Promise.resolve();
+      const at = new Date();
+      return put(`${prefix(id)}${String(at.getTime()).padStart(13, '0')}-${nanoid(6)}.json`, {
+        at: at.toISOString(), ...event, ip: truncateIp(req.ip), ua: truncateUserAgent(req.get('user-agent'))
+      });
+    },
+    async list(id, { limit = ACTIVITY_MAX_EVENTS } = {}) {
+      const keys = (await list(prefix(id))).sort().reverse();
+      const take = keys.slice(0, Math.min(limit, ACTIVITY_MAX_EVENTS));
+      const events = (await Promise.all(take.map(k => get(k)))).filter(Boolean);
+      const downloads = events.filter(e => e.type !== 'view');
+      return {
+        total: keys.length,
+        truncated: keys.length > take.length,
+        summary: {
+          views: events.filter(e => e.type === 'view').length,
+          downloads: downloads.length,
+          completed: downloads.filter(e => e.completed).length,
+          bytes: downloads.reduce((n, e) => n + (e.bytes || 0), 0),
+          lastAt: events[0]?.at || null
+        },
+        events
+      };
+    }
+  };
+}
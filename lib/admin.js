@@ -0,0 +1,20 @@
+// lib/admin.js — Protección de las rutas /api/admin/* con ADMIN_TOKEN
+import crypto from 'crypto';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+// ¿La petición trae ADMIN_TOKEN en x-admin-token? (rutas públicas con permisos extra para el admin)
+export function isAdminRequest(req, token = req.get('x-admin-token')) {
+  if (!ADMIN_TOKEN || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Acepta el token en x-admin-token o Authorization: Bearer; sin ADMIN_TOKEN las rutas quedan apagadas
+export function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(403).json({ error: 'admin_disabled' });
+  const token = req.get('x-admin-token') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!isAdminRequest(req, token)) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
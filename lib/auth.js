@@ -0,0 +1,150 @@
+// lib/auth.js — Autenticación de clientes: API keys (hasheadas en un JSON local) y bearer tokens firmados
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { log } from './logger.js';
+
+/**
+ * Config por ENV:
+ * - AUTH_KEYS_FILE: almacén de API keys (default ./data/api-keys.json); se administra con scripts/apikeys.js
+ * - AUTH_TOKEN_SECRET: secreto HMAC de los bearer tokens firmados (sin él solo valen API keys)
+ * - AUTH_REQUIRED: true = sin credencial válida responde 401; false = anónimo con DEFAULT_PLAN
+ *
+ * El cliente manda la credencial en x-mixtli-token o Authorization: Bearer.
+ *   API key:      mxk_<id>_<secreto>       (solo se guarda sha256 del secreto)
+ *   Bearer token: mxt.<payload>.<firma>    (payload base64url {sub, plan, exp}; firma HMAC-SHA256)
+ * El plan sale de la identidad autenticada, nunca de lo que diga el cliente.
+ */
+export const PLANS = ['free', 'pro', 'promax'];
+
+const KEYS_FILE = path.resolve(process.env.AUTH_KEYS_FILE || 'data/api-keys.json');
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET || '';
+export const AUTH_REQUIRED = String(process.env.AUTH_REQUIRED || 'false') === 'true';
+
+// ---------- Almacén de API keys ----------
+let cache = { mtimeMs: -1, keys: [] };
+
+function loadKeys() {
+  let stat;
+  try { stat = fs.statSync(KEYS_FILE); } catch { return []; }
+  if (stat.mtimeMs !== cache.mtimeMs) {
+    const data = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
+    cache = { mtimeMs: stat.mtimeMs, keys: Array.isArray(data.keys) ? data.keys : [] };
+  }
+  return cache.keys;
+}
+
+function saveKeys(keys) {
+  fs.mkdirSync(path.dirname(KEYS_FILE), { recursive: true });
+  const tmp = `${KEYS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ keys }, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmp, KEYS_FILE);
+  cache = { mtimeMs: -1, keys: [] };
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const publicKey = ({ hash, ...k }) => k;
+
+function assertPlan(plan) {
+  if (!PLANS.includes(plan)) throw new Error(`Plan inválido: ${plan} (usa ${PLANS.join(', ')})`);
+}
+
+// Crea una key para `subject` (la cuenta); el secreto en claro solo se devuelve aquí
+export function createApiKey({ subject, plan = 'free', name = '' }) {
+  if (!subject) throw new Error('subject requerido');
+  assertPlan(plan);
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const record = { id, subject, plan, name, hash: sha256(secret), createdAt: new Date().toISOString(), expiresAt: null, revokedAt: null };
+  saveKeys([...loadKeys(), record]);
+  return { key: `mxk_${id}_${secret}`, ...publicKey(record) };
+}
+
+// Emite una key nueva con el mismo subject/plan; la vieja sigue valiendo `graceHours` (0 = se revoca ya)
+export function rotateApiKey(id, { graceHours = 0 } = {}) {
+  const old = loadKeys().find(k => k.id === id);
+  if (!old || old.revokedAt) throw new Error(`API key no encontrada o revocada: ${id}`);
+  const created = createApiKey({ subject: old.subject, plan: old.plan, name: old.name });
+  const now = Date.now();
+  saveKeys(loadKeys().map(k => k.id !== id ? k
+    : graceHours > 0 ? { ...k, expiresAt: new Date(now + graceHours * 36e5).toISOString(), rotatedTo: created.id }
+    : { ...k, revokedAt: new Date(now).toISOString(), rotatedTo: created.id }));
+  return created;
+}
+
+export function revokeApiKey(id) {
+  const keys = loadKeys();
+  if (!keys.some(k => k.id === id)) throw new Error(`API key no encontrada: ${id}`);
+  saveKeys(keys.map(k => k.id === id ? { ...k, revokedAt: k.revokedAt || new Date().toISOString() } : k));
+}
+
+export function setApiKeyPlan(id, plan) {
+  assertPlan(plan);
+  const keys = loadKeys();
+  if (!keys.some(k => k.id === id)) throw new Error(`API key no encontrada: ${id}`);
+  saveKeys(keys.map(k => k.id === id ? { ...k, plan } : k));
+}
+
+export const listApiKeys = () => loadKeys().map(publicKey);
+
+// ---------- Bearer tokens firmados ----------
+const signToken = (payload) => crypto.createHmac('sha256', TOKEN_SECRET).update(`mxt.${payload}`).digest('base64url');
+
+export function issueBearerToken({ subject, plan = 'free', ttlSeconds = 3600 }) {
+  if (!TOKEN_SECRET) throw new Error('AUTH_TOKEN_SECRET no configurado');
+  if (!subject) throw new Error('subject requerido');
+  assertPlan(plan);
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ sub: subject, plan, exp })).toString('base64url');
+  return { token: `mxt.${payload}.${signToken(payload)}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+// ---------- Verificación ----------
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)); const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// Devuelve la identidad {subject, plan, via, keyId?} o null si la credencial no vale
+export function verifyCredential(raw) {
+  const cred = String(raw || '').trim();
+  const key = /^mxk_([a-f0-9]{12})_([\w-]+)$/.exec(cred);
+  if (key) {
+    const record = loadKeys().find(k => k.id === key[1]);
+    if (!record || record.revokedAt) return null;
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) return null;
+    if (!safeEqual(sha256(key[2]), record.hash)) return null;
+    return { subject: record.subject, plan: PLANS.includes(record.plan) ? record.plan : 'free', via: 'api_key', keyId: record.id };
+  }
+  const token = /^mxt\.([\w-]+)\.([\w-]+)$/.exec(cred);
+  if (token && TOKEN_SECRET) {
+    if (!safeEqual(token[2], signToken(token[1]))) return null;
+    let claims;
+    try { claims = JSON.parse(Buffer.from(token[1], 'base64url').toString('utf8')); } catch { return null; }
+    if (!claims.sub || !(claims.exp * 1000 > Date.now())) return null;
+    return { subject: String(claims.sub), plan: PLANS.includes(claims.plan) ? claims.plan : 'free', via: 'token' };
+  }
+  return null;
+}
+
+export function credentialFromReq(req) {
+  return req.get('x-mixtli-token') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '') || '';
+}
+
+// Middleware: deja req.identity (o null si es anónimo y AUTH_REQUIRED=false)
+export function authenticate(req, res, next) {
+  const cred = credentialFromReq(req);
+  req.identity = null;
+  if (!cred) {
+    if (AUTH_REQUIRED) return res.status(401).json({ error: 'auth_required' });
+    return next();
+  }
+  try {
+    req.identity = verifyCredential(cred);
+  } catch (err) {
+    log.error('auth_error', err);
+    return res.status(500).json({ error: 'auth_store_error' });
+  }
+  if (!req.identity) return res.status(401).json({ error: 'invalid_token' });
+  next();
+}
@@ -0,0 +1,479 @@
+// lib/i18n.js — Catálogo de textos (es / en / pt), idioma de la petición y formatos locales
+/**
+ * Config por ENV:
+ * - I18N_DEFAULT_LANG: idioma si ni ?lang= ni Accept-Language piden uno soportado (default es)
+ * - I18N_TIMEZONE: zona horaria de las fechas del share page (default UTC)
+ *
+ * El idioma sale de ?lang= (también se acepta `es-MX`, `pt-BR`...) y si no de Accept-Language.
+ * Los errores JSON conservan su `error` (código estable, el que deben usar los clientes) y el
+ * middleware `i18n` les agrega `message` en el idioma de la petición.
+ */
+export const LANGS = ['es', 'en', 'pt'];
+const DEFAULT_LANG = LANGS.includes(process.env.I18N_DEFAULT_LANG) ? process.env.I18N_DEFAULT_LANG : 'es';
+const TIMEZONE = process.env.I18N_TIMEZONE || 'UTC';
+const LOCALES = { es: 'es-MX', en: 'en-US', pt: 'pt-BR' };
+
+const CATALOG = {
+  es: {
+    landing: {
+      title: 'Mixtli Transfer — API',
+      alive: 'Backend vivo. Rutas útiles:',
+      selftest: 'prueba credenciales R2',
+      upload: 'subir archivos con',
+      share: 'vista pública de un bundle'
+    },
+    share: {
+      title: 'Bundle {id}',
+      summary: 'Archivos: {count} · Total: {total} · Expira: {expires}',
+      locked: 'Este bundle está protegido con contraseña.',
+      password: 'Contraseña',
+      unlock: 'Desbloquear',
+      wrong_password: 'Contraseña incorrecta.',
+      download: 'Descargar',
+      download_all: 'Descargar todo (ZIP)',
+      view: 'Ver',
+      grid: 'Cuadrícula',
+      list: 'Lista',
+      close: 'Cerrar',
+      loading: 'Cargando…',
+      preview_failed: 'No se pudo cargar la vista previa.',
+      not_found: 'No encontrado',
+      language: 'Idioma',
+      folder_summary: '{count} archivos · {total}',
+      folder_zip: 'Descargar carpeta (ZIP)',
+      sha_declared: 'Declarado por quien subió el archivo; el servidor no lo verificó',
+      gone: {
+        expired: 'Este bundle expiró y ya no está disponible.',
+        download_limit_reached: 'Este bundle alcanzó su límite de descargas y ya no está disponible.',
+        burned: 'Este bundle se eliminó después de su primera descarga.'
+      }
+    },
+    activity: {
+      title: 'Actividad — {title}',
+      intro: 'Vistas y descargas de este bundle. Solo las ve quien tiene el owner token.',
+      token: 'Owner token',
+      show: 'Ver actividad',
+      summary: 'Vistas: {views} · Descargas: {downloads} ({completed} completas) · Enviado: {bytes}',
+      when: 'Fecha',
+      event: 'Evento',
+      file: 'Archivo',
+      sent: 'Enviado',
+      completed: 'Completa',
+      ip: 'IP',
+      agent: 'Navegador',
+      type_view: 'Vista de la página',
+      type_file: 'Descarga',
+      type_zip: 'ZIP completo',
+      yes: 'Sí',
+      no: 'No',
+      partial: 'rango',
+      locked: 'sin desbloquear',
+      empty: 'Todavía no hay actividad.',
+      denied: 'El token no es válido para este bundle.',
+      failed: 'No se pudo cargar la actividad.',
+      truncated: 'Se muestran los {count} eventos más recientes.'
+    },
+    quotas: {
+      storage: 'almacenamiento', transfersPerDay: 'transfers por día', filesPerTransfer: 'archivos por transfer',
+      maxTtlDays: 'días de vigencia', egressPerMonth: 'descargas del mes'
+    },
+    errors: {
+      unknown: 'Ocurrió un error ({code}).',
+      not_found: 'No encontrado.',
+      locked: 'Este bundle está protegido con contraseña.',
+      expired: 'Este bundle expiró.',
+      burned: 'Este bundle se eliminó después de su primera descarga.',
+      download_limit_reached: 'Este bundle alcanzó su límite de descargas.',
+      download_busy: 'Otra descarga de este bundle está en curso; intenta de nuevo en unos segundos.',
+      no_files: 'No se recibió ningún archivo.',
+      file_too_large: 'El archivo excede el límite de {limit}.',
+      too_many_files: 'Demasiados archivos (máximo {maxFiles}).',
+      invalid_email: 'Correo inválido: {email}.',
+      too_many_recipients: 'Demasiados destinatarios (máximo {maxRecipients}).',
+      mail_auth_required: 'Enviar correos requiere una API key o un token.',
+      mail_rate_limited: 'Demasiados correos desde esta cuenta; intenta de nuevo en {retryAfter} s.',
+      invalid_password: 'Contraseña incorrecta.',
+      unlock_throttled: 'Demasiados intentos de contraseña para este bundle; intenta de nuevo en {retryAfter} s.',
+      unlock_failed: 'No se pudo desbloquear el bundle.',
+      get_manifest_failed: 'No se pudo leer el bundle.',
+      invalid_expiry: 'La fecha de vencimiento no es válida.',
+      invalid_name: 'El nombre no es válido.',
+      name_taken: 'Ya existe un archivo con ese nombre.',
+      last_file: 'No se puede quitar el último archivo; borra el bundle completo.',
+      finalize_disabled: 'La finalización de subidas directas no está habilitada.',
+      invalid_upload_token: 'El token de subida no corresponde a la key.',
+      duplicate_key: 'La key está repetida.',
+      invalid_path: 'La ruta del archivo no es válida: debe ser relativa y sin «..».',
+      folder_zip_disabled: 'Este bundle se elimina tras descargarse: bájalo completo en vez de por carpeta.',
+      key_not_found: 'No existe el objeto {key}.',
+      key_already_finalized: 'El objeto ya pertenece a otro bundle.',
+      quota_exceeded: 'Se alcanzó el límite de {quotaLabel} del plan {plan}.',
+      rate_limited: 'Demasiadas solicitudes; intenta de nuevo en {retryAfter} s.',
+      temporarily_blocked: 'Acceso bloqueado temporalmente; intenta de nuevo en {retryAfter} s.',
+      auth_required: 'Se requiere una API key o token.',
+      invalid_token: 'La API key o el token no son válidos.',
+      auth_store_error: 'No se pudo validar la credencial.',
+      Unauthorized: 'No autorizado.',
+      Forbidden: 'Sin permisos.',
+      admin_disabled: 'Las rutas de administración están deshabilitadas.',
+      no_such_bucket: 'El bucket no existe.',
+      s3_error: 'Error del almacenamiento.',
+      storage_error: 'Error del almacenamiento.',
+      sweep_in_progress: 'Ya hay un barrido en curso.',
+      janitor_in_progress: 'Ya hay una limpieza de multipart en curso.',
+      preview_disabled: 'La vista previa no está disponible para este bundle.',
+      preview_unsupported: 'Este tipo de archivo no tiene vista previa.',
+      preview_too_large: 'El archivo es demasiado grande para la vista previa.',
+      zip_error: 'No se pudo generar el ZIP.',
+      internal_error: 'Error interno.',
+      invalid_request: 'La solicitud no es válida.',
+      request_failed: 'No se pudo completar la solicitud.',
+      missing_key: 'Falta el parámetro key.',
+      multipart_disabled: 'Las subidas multipart están deshabilitadas.',
+      session_not_found: 'No se encontró la sesión de subida.',
+      session_gone: 'La subida ya se completó o se canceló.',
+      session_key_mismatch: 'La key no corresponde a esa sesión de subida.',
+      empty_manifest: 'El manifiesto no tiene archivos.',
+      invalid_manifest: 'El manifiesto no es válido.',
+      access_tokens_disabled: 'Los tokens de acceso no están habilitados.',
+      access_token_required: 'Se requiere un token de acceso.',
+      invalid_access_token: 'El token de acceso no es válido o ya venció.',
+      access_denied: 'El token de acceso no cubre {key}.',
+      admin_required: 'Solo el administrador puede pedir prefijos.',
+      key_not_allowed: 'La key {key} está fuera de los prefijos permitidos.'
+    }
+  },
+  en: {
+    landing: {
+      title: 'Mixtli Transfer — API',
+      alive: 'Backend is up. Useful routes:',
+      selftest: 'tests R2 credentials',
+      upload: 'upload files with',
+      share: 'public view of a bundle'
+    },
+    share: {
+      title: 'Bundle {id}',
+      summary: 'Files: {count} · Total: {total} · Expires: {expires}',
+      locked: 'This bundle is password protected.',
+      password: 'Password',
+      unlock: 'Unlock',
+      wrong_password: 'Wrong password.',
+      download: 'Download',
+      download_all: 'Download all (ZIP)',
+      view: 'View',
+      grid: 'Grid',
+      list: 'List',
+      close: 'Close',
+      loading: 'Loading…',
+      preview_failed: 'Could not load the preview.',
+      not_found: 'Not found',
+      language: 'Language',
+      folder_summary: '{count} files · {total}',
+      folder_zip: 'Download folder (ZIP)',
+      sha_declared: 'Declared by the uploader; not verified by the server',
+      gone: {
+        expired: 'This bundle has expired and is no longer available.',
+        download_limit_reached: 'This bundle reached its download limit and is no longer available.',
+        burned: 'This bundle was deleted after its first download.'
+      }
+    },
+    activity: {
+      title: 'Activity — {title}',
+      intro: 'Views and downloads of this bundle. Only visible with the owner token.',
+      token: 'Owner token',
+      show: 'Show activity',
+      summary: 'Views: {views} · Downloads: {downloads} ({completed} complete) · Sent: {bytes}',
+      when: 'Date',
+      event: 'Event',
+      file: 'File',
+      sent: 'Sent',
+      completed: 'Complete',
+      ip: 'IP',
+      agent: 'Browser',
+      type_view: 'Page view',
+      type_file: 'Download',
+      type_zip: 'Full ZIP',
+      yes: 'Yes',
+      no: 'No',
+      partial: 'range',
+      locked: 'not unlocked',
+      empty: 'No activity yet.',
+      denied: 'The token is not valid for this bundle.',
+      failed: 'Could not load the activity.',
+      truncated: 'Showing the {count} most recent events.'
+    },
+    quotas: {
+      storage: 'storage', transfersPerDay: 'transfers per day', filesPerTransfer: 'files per transfer',
+      maxTtlDays: 'days of availability', egressPerMonth: 'monthly downloads'
+    },
+    errors: {
+      unknown: 'Something went wrong ({code}).',
+      not_found: 'Not found.',
+      locked: 'This bundle is password protected.',
+      expired: 'This bundle has expired.',
+      burned: 'This bundle was deleted after its first download.',
+      download_limit_reached: 'This bundle reached its download limit.',
+      download_busy: 'Another download of this bundle is in progress; try again in a few seconds.',
+      no_files: 'No files were received.',
+      file_too_large: 'The file exceeds the {limit} limit.',
+      too_many_files: 'Too many files (maximum {maxFiles}).',
+      invalid_email: 'Invalid email: {email}.',
+      too_many_recipients: 'Too many recipients (maximum {maxRecipients}).',
+      mail_auth_required: 'Sending email requires an API key or token.',
+      mail_rate_limited: 'Too many emails from this account; try again in {retryAfter} s.',
+      invalid_password: 'Wrong password.',
+      unlock_throttled: 'Too many password attempts for this bundle; try again in {retryAfter} s.',
+      unlock_failed: 'Could not unlock the bundle.',
+      get_manifest_failed: 'Could not read the bundle.',
+      invalid_expiry: 'The expiry date is not valid.',
+      invalid_name: 'The name is not valid.',
+      name_taken: 'A file with that name already exists.',
+      last_file: 'The last file cannot be removed; delete the whole bundle instead.',
+      finalize_disabled: 'Finalizing direct uploads is not enabled.',
+      invalid_upload_token: 'The upload token does not match the key.',
+      duplicate_key: 'The key is repeated.',
+      invalid_path: 'The file path is not valid: it must be relative and cannot contain "..".',
+      folder_zip_disabled: 'This bundle is deleted after download: download it whole instead of by folder.',
+      key_not_found: 'Object {key} does not exist.',
+      key_already_finalized: 'The object already belongs to another bundle.',
+      quota_exceeded: 'The {plan} plan {quotaLabel} limit was reached.',
+      rate_limited: 'Too many requests; try again in {retryAfter} s.',
+      temporarily_blocked: 'Access temporarily blocked; try again in {retryAfter} s.',
+      auth_required: 'An API key or token is required.',
+      invalid_token: 'The API key or token is not valid.',
+      auth_store_error: 'Could not validate the credential.',
+      Unauthorized: 'Unauthorized.',
+      Forbidden: 'Forbidden.',
+      admin_disabled: 'Admin routes are disabled.',
+      no_such_bucket: 'The bucket does not exist.',
+      s3_error: 'Storage error.',
+      storage_error: 'Storage error.',
+      sweep_in_progress: 'A sweep is already running.',
+      janitor_in_progress: 'A multipart cleanup is already running.',
+      preview_disabled: 'Preview is not available for this bundle.',
+      preview_unsupported: 'This file type has no preview.',
+      preview_too_large: 'The file is too large to preview.',
+      zip_error: 'Could not build the ZIP.',
+      internal_error: 'Internal error.',
+      invalid_request: 'The request is not valid.',
+      request_failed: 'The request could not be completed.',
+      missing_key: 'The key parameter is missing.',
+      multipart_disabled: 'Multipart uploads are disabled.',
+      session_not_found: 'Upload session not found.',
+      session_gone: 'The upload was already completed or aborted.',
+      session_key_mismatch: 'The key does not belong to that upload session.',
+      empty_manifest: 'The manifest has no files.',
+      invalid_manifest: 'The manifest is not valid.',
+      access_tokens_disabled: 'Access tokens are not enabled.',
+      access_token_required: 'An access token is required.',
+      invalid_access_token: 'The access token is invalid or expired.',
+      access_denied: 'The access token does not cover {key}.',
+      admin_required: 'Only the administrator can request prefixes.',
+      key_not_allowed: 'Key {key} is outside the allowed prefixes.'
+    }
+  },
+  pt: {
+    landing: {
+      title: 'Mixtli Transfer — API',
+      alive: 'Backend no ar. Rotas úteis:',
+      selftest: 'testa as credenciais do R2',
+      upload: 'enviar arquivos com',
+      share: 'página pública de um pacote'
+    },
+    share: {
+      title: 'Pacote {id}',
+      summary: 'Arquivos: {count} · Total: {total} · Expira: {expires}',
+      locked: 'Este pacote está protegido por senha.',
+      password: 'Senha',
+      unlock: 'Desbloquear',
+      wrong_password: 'Senha incorreta.',
+      download: 'Baixar',
+      download_all: 'Baixar tudo (ZIP)',
+      view: 'Ver',
+      grid: 'Grade',
+      list: 'Lista',
+      close: 'Fechar',
+      loading: 'Carregando…',
+      preview_failed: 'Não foi possível carregar a pré-visualização.',
+      not_found: 'Não encontrado',
+      language: 'Idioma',
+      folder_summary: '{count} arquivos · {total}',
+      folder_zip: 'Baixar pasta (ZIP)',
+      sha_declared: 'Declarado por quem enviou o arquivo; o servidor não o verificou',
+      gone: {
+        expired: 'Este pacote expirou e não está mais disponível.',
+        download_limit_reached: 'Este pacote atingiu o limite de downloads e não está mais disponível.',
+        burned: 'Este pacote foi excluído após o primeiro download.'
+      }
+    },
+    activity: {
+      title: 'Atividade — {title}',
+      intro: 'Visualizações e downloads deste pacote. Visível apenas com o owner token.',
+      token: 'Owner token',
+      show: 'Ver atividade',
+      summary: 'Visualizações: {views} · Downloads: {downloads} ({completed} completos) · Enviado: {bytes}',
+      when: 'Data',
+      event: 'Evento',
+      file: 'Arquivo',
+      sent: 'Enviado',
+      completed: 'Completo',
+      ip: 'IP',
+      agent: 'Navegador',
+      type_view: 'Visualização da página',
+      type_file: 'Download',
+      type_zip: 'ZIP completo',
+      yes: 'Sim',
+      no: 'Não',
+      partial: 'intervalo',
+      locked: 'sem desbloquear',
+      empty: 'Ainda não há atividade.',
+      denied: 'O token não é válido para este pacote.',
+      failed: 'Não foi possível carregar a atividade.',
+      truncated: 'Mostrando os {count} eventos mais recentes.'
+    },
+    quotas: {
+      storage: 'armazenamento', transfersPerDay: 'envios por dia', filesPerTransfer: 'arquivos por envio',
+      maxTtlDays: 'dias de validade', egressPerMonth: 'downloads do mês'
+    },
+    errors: {
+      unknown: 'Ocorreu um erro ({code}).',
+      not_found: 'Não encontrado.',
+      locked: 'Este pacote está protegido por senha.',
+      expired: 'Este pacote expirou.',
+      burned: 'Este pacote foi excluído após o primeiro download.',
+      download_limit_reached: 'Este pacote atingiu o limite de downloads.',
+      download_busy: 'Outro download deste pacote está em andamento; tente novamente em alguns segundos.',
+      no_files: 'Nenhum arquivo foi recebido.',
+      file_too_large: 'O arquivo excede o limite de {limit}.',
+      too_many_files: 'Arquivos demais (máximo {maxFiles}).',
+      invalid_email: 'E-mail inválido: {email}.',
+      too_many_recipients: 'Destinatários demais (máximo {maxRecipients}).',
+      mail_auth_required: 'Enviar e-mails requer uma chave de API ou um token.',
+      mail_rate_limited: 'E-mails demais desta conta; tente novamente em {retryAfter} s.',
+      invalid_password: 'Senha incorreta.',
+      unlock_throttled: 'Tentativas de senha demais para este pacote; tente novamente em {retryAfter} s.',
+      unlock_failed: 'Não foi possível desbloquear o pacote.',
+      get_manifest_failed: 'Não foi possível ler o pacote.',
+      invalid_expiry: 'A data de expiração não é válida.',
+      invalid_name: 'O nome não é válido.',
+      name_taken: 'Já existe um arquivo com esse nome.',
+      last_file: 'Não é possível remover o último arquivo; exclua o pacote inteiro.',
+      finalize_disabled: 'A finalização de envios diretos não está habilitada.',
+      invalid_upload_token: 'O token de envio não corresponde à key.',
+      duplicate_key: 'A key está repetida.',
+      invalid_path: 'O caminho do arquivo não é válido: deve ser relativo e sem "..".',
+      folder_zip_disabled: 'Este pacote é excluído após o download: baixe-o completo em vez de por pasta.',
+      key_not_found: 'O objeto {key} não existe.',
+      key_already_finalized: 'O objeto já pertence a outro pacote.',
+      quota_exceeded: 'O limite de {quotaLabel} do plano {plan} foi atingido.',
+      rate_limited: 'Solicitações demais; tente novamente em {retryAfter} s.',
+      temporarily_blocked: 'Acesso bloqueado temporariamente; tente novamente em {retryAfter} s.',
+      auth_required: 'É necessária uma API key ou token.',
+      invalid_token: 'A API key ou o token não são válidos.',
+      auth_store_error: 'Não foi possível validar a credencial.',
+      Unauthorized: 'Não autorizado.',
+      Forbidden: 'Sem permissão.',
+      admin_disabled: 'As rotas de administração estão desabilitadas.',
+      no_such_bucket: 'O bucket não existe.',
+      s3_error: 'Erro no armazenamento.',
+      storage_error: 'Erro no armazenamento.',
+      sweep_in_progress: 'Já existe uma limpeza em andamento.',
+      janitor_in_progress: 'Já existe uma limpeza de multipart em andamento.',
+      preview_disabled: 'A pré-visualização não está disponível para este pacote.',
+      preview_unsupported: 'Este tipo de arquivo não tem pré-visualização.',
+      preview_too_large: 'O arquivo é grande demais para a pré-visualização.',
+      zip_error: 'Não foi possível gerar o ZIP.',
+      internal_error: 'Erro interno.',
+      invalid_request: 'A solicitação não é válida.',
+      request_failed: 'Não foi possível concluir a solicitação.',
+      missing_key: 'Falta o parâmetro key.',
+      multipart_disabled: 'Envios multipart estão desabilitados.',
+      session_not_found: 'Sessão de envio não encontrada.',
+      session_gone: 'O envio já foi concluído ou cancelado.',
+      session_key_mismatch: 'A key não corresponde a essa sessão de envio.',
+      empty_manifest: 'O manifesto não tem arquivos.',
+      invalid_manifest: 'O manifesto não é válido.',
+      access_tokens_disabled: 'Os tokens de acesso não estão habilitados.',
+      access_token_required: 'É necessário um token de acesso.',
+      invalid_access_token: 'O token de acesso é inválido ou expirou.',
+      access_denied: 'O token de acesso não cobre {key}.',
+      admin_required: 'Somente o administrador pode pedir prefixos.',
+      key_not_allowed: 'A key {key} está fora dos prefixos permitidos.'
+    }
+  }
+};
+
+// 'pt-BR' -> 'pt'; null si no es un idioma soportado
+function normalizeLang(tag) {
+  const base = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGS.includes(base) ? base : null;
+}
+
+// ?lang= gana; si no, el primer idioma soportado de Accept-Language por orden de q
+export function langFromReq(req) {
+  const fromQuery = normalizeLang(req.query?.lang);
+  if (fromQuery) return fromQuery;
+  const ranked = String(req.get?.('accept-language') || '')
+    .split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+      return { lang: normalizeLang(tag), q: q ? parseFloat(q[1]) : 1, i };
+    })
+    .filter(x => x.lang && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked[0]?.lang || DEFAULT_LANG;
+}
+
+// t('en', 'share.summary', { count: 2 }); si falta en el idioma, cae al default y luego a la key
+export function t(lang, key, vars = {}) {
+  const lookup = (l) => key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), CATALOG[l]);
+  const text = lookup(lang) ?? lookup(DEFAULT_LANG);
+  if (typeof text !== 'string') return key;
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m));
+}
+
+export function formatBytes(lang, bytes) {
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+  let value = Math.max(0, Number(bytes) || 0);
+  let i = 0;
+  while (value >= 1024 && i < units.length - 1) { value /= 1024; i++; }
+  return new Intl.NumberFormat(LOCALES[lang] || LOCALES[DEFAULT_LANG], {
+    style: 'unit', unit: units[i], unitDisplay: 'short', maximumFractionDigits: i === 0 ? 0 : 1
+  }).format(value);
+}
+
+export function formatDate(lang, iso) {
+  return new Intl.DateTimeFormat(LOCALES[lang] || LOCALES[DEFAULT_LANG], {
+    year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
+    timeZone: TIMEZONE, timeZoneName: 'short'
+  }).format(new Date(iso));
+}
+
+// Mensaje de un código de error; `body` aporta las variables ({ limitBytes, quota, retryAfter... })
+export function errorMessage(lang, code, body = {}) {
+  const vars = { ...body, code };
+  if (body.limitBytes !== undefined) vars.limit = formatBytes(lang, body.limitBytes);
+  if (body.quota) vars.quotaLabel = t(lang, `quotas.${body.quota}`);
+  const key = `errors.${code}`;
+  const text = t(lang, key, vars);
+  return text === key ? t(lang, 'errors.unknown', vars) : text;
+}
+
+/**
+ * Middleware: req.lang, Content-Language y `message` localizado en toda respuesta JSON de error
+ * ({ error: '<código>' } con status >= 400) que no traiga uno propio.
+ */
+export function i18n(req, res, next) {
+  req.lang = langFromReq(req);
+  res.setHeader('Content-Language', req.lang);
+  res.vary('Accept-Language');
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && body.message === undefined) {
+      return json({ ...body, message: errorMessage(req.lang, body.error, body) });
+    }
+    return json(body);
+  };
+  next();
+}
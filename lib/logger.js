@@ -0,0 +1,94 @@
+// lib/logger.js — Logs JSON (una línea por evento) con el id de la petición en curso
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Config por ENV:
+ * - LOG_LEVEL: debug | info | warn | error (default info)
+ * - LOG_FORMAT: json (default) o pretty (una línea legible, para desarrollo)
+ *
+ * log.error('zip_error', err, { id }) ->
+ *   {"ts":"...","level":"error","msg":"zip_error","reqId":"...","id":"...","err":{"name","message","code","stack"}}
+ * warn y error van a stderr, el resto a stdout.
+ *
+ * requestContext deja el id en req.id y en X-Request-Id (respeta el X-Request-Id que mande un proxy
+ * si tiene forma razonable) y lo guarda en el contexto async: cualquier log emitido mientras se atiende
+ * la petición lo lleva, también los de lib/. accessLog escribe una línea por respuesta, sin query
+ * string (ahí viajan tokens).
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const PRETTY = String(process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty';
+
+const context = new AsyncLocalStorage();
+export const currentRequestId = () => context.getStore()?.reqId;
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.$metadata?.httpStatusCode) out.status = err.$metadata.httpStatusCode;
+  if (err.stack) out.stack = err.stack;
+  return out;
+}
+
+// write(level, msg, err?, fields?); el segundo argumento puede ser directamente los campos
+function write(level, msg, errOrFields, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const isErr = errOrFields instanceof Error || (errOrFields !== undefined && typeof errOrFields !== 'object');
+  const extra = isErr ? fields : errOrFields;
+  const entry = { ts: new Date().toISOString(), level, msg };
+  const reqId = currentRequestId();
+  if (reqId) entry.reqId = reqId;
+  Object.assign(entry, extra);
+  if (isErr) entry.err = serializeError(errOrFields);
+
+  let line;
+  if (PRETTY) {
+    const { ts, level: l, msg: m, err, ...rest } = entry;
+    line = `${ts} ${l.toUpperCase()} ${m}${Object.keys(rest).length ? ' ' + JSON.stringify(rest) : ''}${err ? `\n  ${err.stack || err.message}` : ''}`;
+  } else {
+    try { line = JSON.stringify(entry); } catch { line = JSON.stringify({ ts: entry.ts, level, msg, reqId, unserializable: true }); }
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+export const log = {
+  debug: (msg, a, b) => write('debug', msg, a, b),
+  info: (msg, a, b) => write('info', msg, a, b),
+  warn: (msg, a, b) => write('warn', msg, a, b),
+  error: (msg, a, b) => write('error', msg, a, b)
+};
+
+const INCOMING_ID = /^[\w.:-]{8,128}$/;
+
+// Middleware: id de la petición (req.id + X-Request-Id) y contexto para los logs
+export function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  context.run({ reqId: req.id }, next);
+}
+
+// Middleware: una línea 'request' por respuesta terminada (o cortada por el cliente)
+export function accessLog(req, res, next) {
+  const started = process.hrtime.bigint();
+  let logged = false;
+  const done = () => {
+    if (logged) return;
+    logged = true;
+    write(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+      reqId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      bytes: Number(res.getHeader('content-length')) || undefined,
+      aborted: !res.writableFinished || undefined,
+      ip: req.ip
+    });
+  };
+  res.on('finish', done);
+  res.on('close', done);
+  next();
+}
@@ -0,0 +1,194 @@
+// lib/mailer.js — Notificaciones por correo (SMTP) con cola de reintentos en memoria
+import nodemailer from 'nodemailer';
+import { log } from './logger.js';
+
+/**
+ * Config por ENV:
+ * - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *   (para probar en local basta un catcher tipo Mailpit/MailHog: SMTP_HOST=localhost SMTP_PORT=1025)
+ * - MAIL_FROM: remitente, p. ej. "Mixtli Transfer <no-reply@mixtli.app>"
+ * - MAIL_MAX_ATTEMPTS / MAIL_RETRY_BASE_SECONDS: reintentos con backoff exponencial
+ * Sin SMTP_HOST el mailer queda apagado y enqueueMail() no hace nada.
+ */
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const MAIL_FROM = process.env.MAIL_FROM || 'Mixtli Transfer <no-reply@localhost>';
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseFloat(process.env.MAIL_RETRY_BASE_SECONDS || '30') * 1000;
+
+export const MAIL_LANGS = ['es', 'en'];
+
+const transport = SMTP_HOST
+  ? nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: String(process.env.SMTP_SECURE || 'false') === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined
+    })
+  : null;
+
+export const mailEnabled = () => Boolean(transport);
+
+// ---------- Plantillas ----------
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const mb = (bytes) => `${Math.round((bytes || 0) / 1024 / 1024 * 10) / 10} MB`;
+
+function layout(title, bodyHtml) {
+  return `<!doctype html><html><body style="margin:0;background:#0f1117;font-family:system-ui,Segoe UI,Roboto,sans-serif;color:#e5e9f3">
+<div style="max-width:560px;margin:32px auto;background:#151923;border:1px solid #23283a;border-radius:14px;padding:24px">
+<h2 style="margin:0 0 12px">${esc(title)}</h2>
+${bodyHtml}
+<p style="margin-top:24px;color:#a8b3cf;font-size:12px">Mixtli Transfer</p>
+</div></body></html>`;
+}
+const button = (href, label) =>
+  `<p><a href="${esc(href)}" style="display:inline-block;background:#7c5cff;color:#fff;border-radius:10px;padding:10px 14px;font-weight:600;text-decoration:none">${esc(label)}</a></p>`;
+
+const TEMPLATES = {
+  es: {
+    newTransfer: (d) => {
+      const subject = `${d.sender || 'Alguien'} te envió archivos: ${d.title || d.id}`;
+      const lines = [
+        `${d.sender || 'Alguien'} te compartió ${d.count} archivo(s) (${mb(d.totalBytes)}) con Mixtli Transfer.`,
+        d.message ? `Mensaje: ${d.message}` : null,
+        `Descárgalos aquí: ${d.link}`,
+        `El enlace expira el ${d.expiresAt}.`,
+        d.locked ? 'El envío está protegido con contraseña; pídesela a quien te lo mandó.' : null
+      ].filter(Boolean);
+      const html = layout(d.title || 'Tienes archivos nuevos', `
+<p>${esc(d.sender || 'Alguien')} te compartió <b>${d.count}</b> archivo(s) (${mb(d.totalBytes)}).</p>
+${d.message ? `<blockquote style="border-left:3px solid #7c5cff;margin:12px 0;padding-left:12px;color:#a8b3cf">${esc(d.message)}</blockquote>` : ''}
+${button(d.link, 'Ver y descargar')}
+<p style="color:#a8b3cf">El enlace expira el ${esc(d.expiresAt)}.${d.locked ? ' Está protegido con contraseña.' : ''}</p>`);
+      return { subject, text: lines.join('\n\n'), html };
+    },
+    firstDownload: (d) => {
+      const subject = `Descargaron tu envío: ${d.title || d.id}`;
+      const text = `Alguien acaba de descargar por primera vez tu envío "${d.title || d.id}" (${d.what}).\n\n${d.link}`;
+      const html = layout('Tu envío fue descargado', `
+<p>Alguien acaba de descargar por primera vez <b>${esc(d.title || d.id)}</b> (${esc(d.what)}).</p>
+${button(d.link, 'Ver envío')}`);
+      return { subject, text, html };
+    }
+  },
+  en: {
+    newTransfer: (d) => {
+      const subject = `${d.sender || 'Someone'} sent you files: ${d.title || d.id}`;
+      const lines = [
+        `${d.sender || 'Someone'} shared ${d.count} file(s) (${mb(d.totalBytes)}) with you on Mixtli Transfer.`,
+        d.message ? `Message: ${d.message}` : null,
+        `Download them here: ${d.link}`,
+        `The link expires on ${d.expiresAt}.`,
+        d.locked ? 'This transfer is password protected; ask the sender for the password.' : null
+      ].filter(Boolean);
+      const html = layout(d.title || 'You have new files', `
+<p>${esc(d.sender || 'Someone')} shared <b>${d.count}</b> file(s) (${mb(d.totalBytes)}) with you.</p>
+${d.message ? `<blockquote style="border-left:3px solid #7c5cff;margin:12px 0;padding-left:12px;color:#a8b3cf">${esc(d.message)}</blockquote>` : ''}
+${button(d.link, 'View and download')}
+<p style="color:#a8b3cf">The link expires on ${esc(d.expiresAt)}.${d.locked ? ' It is password protected.' : ''}</p>`);
+      return { subject, text: lines.join('\n\n'), html };
+    },
+    firstDownload: (d) => {
+      const subject = `Your transfer was downloaded: ${d.title || d.id}`;
+      const text = `Someone just downloaded your transfer "${d.title || d.id}" for the first time (${d.what}).\n\n${d.link}`;
+      const html = layout('Your transfer was downloaded', `
+<p>Someone just downloaded <b>${esc(d.title || d.id)}</b> for the first time (${esc(d.what)}).</p>
+${button(d.link, 'View transfer')}`);
+      return { subject, text, html };
+    }
+  }
+};
+
+export function renderMail(template, lang, data) {
+  const t = (TEMPLATES[lang] || TEMPLATES.es)[template];
+  if (!t) throw new Error(`Plantilla desconocida: ${template}`);
+  return t(data);
+}
+
+// ---------- Cola ----------
+const queue = []; // { to, template, lang, data, attempts, dueAt }
+let timer = null;
+let timerAt = Infinity; // dueAt para el que está armado `timer`
+let draining = false;
+let sending = 0; // correos fuera de la cola que se están enviando
+const stats = { sent: 0, failed: 0 };
+
+// Arma el timer para el próximo correo vencido. Si ya hay uno armado para más tarde (p. ej. un
+// reintento en minutos) se adelanta. Durante un drain no hace nada: drain vuelve a mirar la cola al terminar
+function schedule() {
+  if (draining || !queue.length) return;
+  const next = Math.min(...queue.map(j => j.dueAt));
+  if (timer && timerAt <= next) return;
+  clearTimeout(timer);
+  timerAt = next;
+  timer = setTimeout(drain, Math.max(0, next - Date.now()));
+  timer.unref?.();
+}
+
+// Saca de la cola todos los vencidos de una vez, antes de cualquier await
+function takeDue() {
+  const now = Date.now();
+  const due = [];
+  for (let i = 0; i < queue.length;) {
+    if (queue[i].dueAt <= now) due.push(...queue.splice(i, 1));
+    else i++;
+  }
+  return due;
+}
+
+// Un solo drain a la vez; los correos encolados mientras se envía salen en la siguiente vuelta
+async function drain() {
+  timer = null;
+  timerAt = Infinity;
+  if (draining) return;
+  draining = true;
+  try {
+    for (let due = takeDue(); due.length; due = takeDue()) {
+      sending += due.length;
+      for (const job of due) {
+        try {
+          const { subject, text, html } = renderMail(job.template, job.lang, job.data);
+          await transport.sendMail({ from: MAIL_FROM, to: job.to, subject, text, html });
+          stats.sent++;
+        } catch (err) {
+          job.attempts++;
+          if (job.attempts >= MAX_ATTEMPTS) {
+            stats.failed++;
+            log.error('mail_failed', err, { template: job.template, to: job.to });
+          } else {
+            job.dueAt = Date.now() + RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            log.warn('mail_retry', err, { template: job.template, to: job.to, attempt: job.attempts });
+            queue.push(job);
+          }
+        } finally {
+          sending--;
+        }
+      }
+    }
+  } finally {
+    draining = false;
+  }
+  schedule();
+}
+
+// Encola un correo por destinatario; se envía en segundo plano
+export function enqueueMail(to, template, lang, data) {
+  if (!transport) return false;
+  for (const addr of [].concat(to)) {
+    queue.push({ to: addr, template, lang: MAIL_LANGS.includes(lang) ? lang : 'es', data, attempts: 0, dueAt: Date.now() });
+  }
+  schedule();
+  return true;
+}
+
+export const mailQueueStats = () => ({ enabled: mailEnabled(), pending: queue.length + sending, ...stats });
+
+// Lista de correos desde un campo de formulario: "a@x.com, b@y.com", repetido o array
+const EMAIL_RE = /^[^\s@<>(),;]+@[^\s@<>(),;]+\.[^\s@<>(),;]+$/;
+export const isEmail = (s) => EMAIL_RE.test(String(s || ''));
+export function parseEmails(input) {
+  return [].concat(input || [])
+    .flatMap(v => String(v).split(/[\s,;]+/))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
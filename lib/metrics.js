@@ -0,0 +1,132 @@
+// lib/metrics.js — Métricas en formato de texto de Prometheus para GET /metrics
+import { Transform } from 'stream';
+import crypto from 'crypto';
+import { s3ErrorCategory } from './storage/s3.js';
+
+/**
+ * Config por ENV:
+ * - METRICS_ENABLED: false apaga /metrics (default true)
+ * - METRICS_TOKEN: si está, /metrics pide Authorization: Bearer <token> (el scraper de Prometheus lo manda
+ *     con `authorization` / `bearer_token` en el job)
+ *
+ * Cada proceso (server.js, server_multipart.js, server_bundle.js) expone sus propios contadores: se
+ * raspan por separado y se suman en Prometheus.
+ *   mixtli_http_request_duration_seconds{method,route,status}  histograma por ruta de Express (no por URL)
+ *   mixtli_upload_bytes_total{source}                          form (POST /api/transfers) | multipart (complete)
+ *   mixtli_download_bytes_total{kind}                          file | preview | zip | thumb | bundle
+ *   mixtli_s3_errors_total{category}                           categorías de mapS3Error
+ *   mixtli_zip_streams_in_progress                             ZIPs armándose ahora mismo
+ *   mixtli_multipart_sessions_opened_total / _completed_total
+ */
+const ENABLED = String(process.env.METRICS_ENABLED || 'true') === 'true';
+const TOKEN = process.env.METRICS_TOKEN || '';
+
+const registry = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelKey = (labels = {}) => Object.keys(labels).sort().map(k => `${k}="${escapeLabel(labels[k])}"`).join(',');
+const withBraces = (key) => (key ? `{${key}}` : '');
+
+function counter(name, help) {
+  const values = new Map(); // labelKey -> número
+  const metric = {
+    inc(labels, n = 1) { const k = labelKey(labels); values.set(k, (values.get(k) || 0) + n); },
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, ...[...values].map(([k, v]) => `${name}${withBraces(k)} ${v}`)]
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function gauge(name, help) {
+  let value = 0;
+  const metric = {
+    inc() { value++; },
+    dec() { value--; },
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${value}`]
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // labelKey -> { counts por bucket, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const k = labelKey(labels);
+      let s = series.get(k);
+      if (!s) series.set(k, s = { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [k, s] of series) {
+        const sep = k ? `${k},` : '';
+        buckets.forEach((b, i) => lines.push(`${name}_bucket{${sep}le="${b}"} ${s.counts[i]}`));
+        lines.push(`${name}_bucket{${sep}le="+Inf"} ${s.count}`, `${name}_sum${withBraces(k)} ${s.sum}`, `${name}_count${withBraces(k)} ${s.count}`);
+      }
+      return lines;
+    }
+  };
+  registry.push(metric);
+  return metric;
+}
+
+export const metrics = {
+  httpDuration: histogram('mixtli_http_request_duration_seconds', 'Duración de las peticiones HTTP por ruta.',
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]),
+  uploadBytes: counter('mixtli_upload_bytes_total', 'Bytes subidos.'),
+  downloadBytes: counter('mixtli_download_bytes_total', 'Bytes servidos en descargas.'),
+  s3Errors: counter('mixtli_s3_errors_total', 'Errores de comandos S3 por categoría.'),
+  zipStreams: gauge('mixtli_zip_streams_in_progress', 'ZIPs en streaming en este momento.'),
+  multipartOpened: counter('mixtli_multipart_sessions_opened_total', 'Sesiones multipart abiertas.'),
+  multipartCompleted: counter('mixtli_multipart_sessions_completed_total', 'Sesiones multipart completadas.')
+};
+
+// Middleware: observa la duración con la ruta de Express (/api/file/:id/:name), no la URL real
+export function metricsMiddleware(req, res, next) {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : res.statusCode === 404 ? 'unmatched' : 'other';
+    metrics.httpDuration.observe(
+      { method: req.method, route, status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+  next();
+}
+
+// Handler de GET /metrics
+export function metricsHandler(req, res) {
+  if (!ENABLED) return res.status(404).json({ error: 'not_found' });
+  if (TOKEN) {
+    const a = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+    const b = Buffer.from(TOKEN);
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.flatMap(m => m.render()).join('\n') + '\n');
+}
+
+// Transform que suma a `counter` los bytes que pasan
+export function countBytes(counter, labels) {
+  return new Transform({
+    transform(chunk, _enc, cb) { counter.inc(labels, chunk.length); cb(null, chunk); }
+  });
+}
+
+// Cuenta en mixtli_s3_errors_total los errores de cualquier comando de un S3Client.
+// Las ausencias esperadas (head/get de algo que no existe, multipart ya cerrado) no son errores.
+const EXPECTED = new Set(['NotFound', 'NoSuchKey', 'NoSuchUpload']);
+export function instrumentS3Client(client) {
+  client.middlewareStack.add((next) => async (args) => {
+    try {
+      return await next(args);
+    } catch (err) {
+      if (!EXPECTED.has(err?.name)) metrics.s3Errors.inc({ category: s3ErrorCategory(err) });
+      throw err;
+    }
+  }, { step: 'initialize', name: 'mixtliMetrics' });
+  return client;
+}
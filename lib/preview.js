@@ -0,0 +1,66 @@
+// lib/preview.js — Qué archivos se pueden ver en línea y con qué cabeceras se sirven
+/**
+ * Config por ENV:
+ * - PREVIEW_ENABLED: false apaga /api/preview y el botón del share page (default true)
+ * - PREVIEW_TEXT_MAX_KB: tope para ver texto / código / CSV (default 512); PDF y medios no tienen tope
+ *     porque se piden por rangos
+ *
+ * Lo que se sirve en línea es contenido ajeno en nuestro origen, así que:
+ * - X-Content-Type-Options: nosniff siempre (el navegador no adivina HTML donde no lo hay)
+ * - CSP sin scripts ni conexiones; todo lo que no es PDF va además con `sandbox` (origen opaco),
+ *   que es lo que neutraliza un HTML o un SVG abierto directamente. El PDF no lleva sandbox porque
+ *   los visores de Chrome/Firefox no cargan dentro de un documento sandboxed.
+ * - El texto se sirve como text/plain salvo HTML/SVG, que conservan su tipo pero quedan en sandbox.
+ */
+export const PREVIEW_ENABLED = String(process.env.PREVIEW_ENABLED || 'true') === 'true';
+export const PREVIEW_TEXT_MAX_BYTES = parseInt(process.env.PREVIEW_TEXT_MAX_KB || '512', 10) * 1024;
+
+const IMAGE_EXTS = new Set(['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'svg', 'bmp', 'ico']);
+const AUDIO_EXTS = new Set(['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac', 'opus']);
+const VIDEO_EXTS = new Set(['mp4', 'm4v', 'webm', 'ogv', 'mov']);
+const TEXT_EXTS = new Set([
+  'txt', 'md', 'log', 'csv', 'tsv', 'json', 'xml', 'yml', 'yaml', 'toml', 'ini', 'env', 'sql',
+  'html', 'htm', 'css', 'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java',
+  'kt', 'c', 'h', 'cpp', 'hpp', 'cs', 'php', 'sh', 'swift', 'vue'
+]);
+const TEXT_TYPES = /^(text\/|application\/(json|xml|javascript|x-sh|x-yaml|yaml|sql|x-httpd-php))/;
+
+const extOf = (name) => (/\.([a-z0-9]+)$/i.exec(String(name || ''))?.[1] || '').toLowerCase();
+const baseType = (type) => String(type || '').split(';')[0].trim().toLowerCase();
+
+// 'pdf' | 'image' | 'audio' | 'video' | 'text' | null (sin vista previa)
+export function previewKind({ name, type }) {
+  const t = baseType(type);
+  const ext = extOf(name);
+  if (t === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (t.startsWith('image/') ? t !== 'image/heic' && t !== 'image/tiff' : IMAGE_EXTS.has(ext)) return 'image';
+  if (t.startsWith('audio/') || AUDIO_EXTS.has(ext)) return 'audio';
+  if (t.startsWith('video/') || VIDEO_EXTS.has(ext)) return 'video';
+  if (TEXT_TYPES.test(t) || TEXT_EXTS.has(ext)) return 'text';
+  return null;
+}
+
+// Lenguaje para el resaltado del share page (la extensión, o 'csv' / 'text')
+export const previewLang = (name) => extOf(name) || 'text';
+
+// { contentType, csp } para servir el archivo en línea
+export function previewHeaders(kind, { name, type }) {
+  let contentType = baseType(type) || 'application/octet-stream';
+  if (kind === 'pdf') contentType = 'application/pdf';
+  if (kind === 'image' && extOf(name) === 'svg') contentType = 'image/svg+xml';
+  if (kind === 'text') {
+    const ext = extOf(name);
+    contentType = ext === 'html' || ext === 'htm' || contentType === 'text/html'
+      ? 'text/html; charset=utf-8'
+      : 'text/plain; charset=utf-8';
+  }
+  const csp = [
+    "default-src 'none'",
+    "img-src 'self' data:",
+    "media-src 'self'",
+    "style-src 'unsafe-inline'",
+    "frame-ancestors 'self'",
+    ...(kind === 'pdf' ? [] : ['sandbox'])
+  ].join('; ');
+  return { contentType, csp };
+}
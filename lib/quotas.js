@@ -0,0 +1,201 @@
+// lib/quotas.js — Cuotas por plan a nivel cuenta y contabilidad de uso
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+/**
+ * Cuotas por plan (QUOTAS_JSON sobreescribe por plan y campo, p. ej. {"free":{"storage":"20GB"}}):
+ * - storage:          almacenamiento activo (suma de transfers vigentes)
+ * - transfersPerDay:  transfers creados por día UTC
+ * - filesPerTransfer: archivos por transfer
+ * - maxTtlDays:       vencimiento máximo al crear o extender
+ * - egressPerMonth:   bytes servidos por mes UTC (descargas de los transfers de la cuenta)
+ * null = sin límite.
+ *
+ * Las peticiones anónimas se cargan a una cuenta por IP (hasheada) con el plan por defecto. Esa
+ * "cuenta" sirve para limitar lo que se sube, pero no para el egress: quienes descargan no son quien
+ * subió y varias personas comparten IP detrás de un NAT, así que un transfer anónimo agotaría el cupo
+ * de otros. Las descargas de transfers anónimos no se miden ni se cortan por egressPerMonth (las acota
+ * la regla 'share' de lib/rateLimit.js); el egress solo se cobra a cuentas autenticadas.
+ *
+ * Las subidas directas (presign / multipart de server_multipart.js) reservan su tamaño declarado en
+ * `reservations` del registro al empezar, y esas reservas cuentan como almacenamiento usado. La reserva
+ * se libera al finalizar el transfer (que ya suma sus bytes), al abortar el multipart, o en el janitor
+ * de server.js: sin objeto en el bucket se libera; con objeto sin finalizar queda con su tamaño real.
+ *
+ * El uso de cada cuenta vive en _usage/<subject>.json del bucket para que server.js y
+ * server_multipart.js vean lo mismo. Las escrituras se serializan por cuenta dentro del proceso;
+ * entre instancias puede colarse algún byte de más, no es contabilidad de facturación.
+ */
+const GB = 1024 ** 3;
+const DEFAULT_QUOTAS = {
+  free:   { storage: 10 * GB,   transfersPerDay: 10,   filesPerTransfer: 20,   maxTtlDays: 7,  egressPerMonth: 50 * GB },
+  pro:    { storage: 1024 * GB, transfersPerDay: 200,  filesPerTransfer: 500,  maxTtlDays: 30, egressPerMonth: 2048 * GB },
+  promax: { storage: 3072 * GB, transfersPerDay: 1000, filesPerTransfer: 2000, maxTtlDays: 30, egressPerMonth: 6144 * GB }
+};
+const BYTE_FIELDS = ['storage', 'egressPerMonth'];
+
+function parseBytes(v) {
+  if (v === null || typeof v === 'number') return v;
+  const m = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i.exec(String(v).trim());
+  if (!m) return undefined;
+  return Math.floor(parseFloat(m[1]) * { B: 1, KB: 1024, MB: 1024 ** 2, GB, TB: 1024 ** 4 }[(m[2] || 'B').toUpperCase()]);
+}
+
+export const PLAN_QUOTAS = (() => {
+  let overrides = {};
+  try { overrides = JSON.parse(process.env.QUOTAS_JSON || '{}') || {}; } catch { log.warn('QUOTAS_JSON inválido; usando cuotas por defecto'); }
+  const out = {};
+  for (const [plan, base] of Object.entries(DEFAULT_QUOTAS)) {
+    out[plan] = { ...base };
+    for (const [field, value] of Object.entries(overrides[plan] || {})) {
+      if (!(field in base)) continue;
+      const v = BYTE_FIELDS.includes(field) ? parseBytes(value) : value === null ? null : Number(value);
+      if (v !== undefined && !Number.isNaN(v)) out[plan][field] = v;
+    }
+  }
+  return out;
+})();
+
+export const quotasFor = (plan) => PLAN_QUOTAS[plan] || PLAN_QUOTAS.free;
+
+// Cuenta a la que se carga la petición: la identidad autenticada o, si es anónima, su IP (hasheada)
+export function accountFromReq(req, defaultPlan = 'free') {
+  if (req.identity) return { subject: req.identity.subject, plan: req.identity.plan };
+  return { subject: `anon-${crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 16)}`, plan: defaultPlan, anonymous: true };
+}
+
+// Si el egress de la cuenta se mide (ver arriba). Los manifests anteriores a `anonymous` se reconocen por el prefijo
+export const meteredForEgress = (account) => Boolean(account) && !account.anonymous && !String(account.subject).startsWith('anon-');
+
+const dayOf = (d = new Date()) => d.toISOString().slice(0, 10);
+const monthOf = (d = new Date()) => d.toISOString().slice(0, 7);
+
+// Momento (ms) en que se reinicia el contador diario o mensual
+function periodEnd(period) {
+  const now = new Date();
+  return period === 'day'
+    ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+    : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+}
+const secondsUntil = (period) => Math.ceil((periodEnd(period) - Date.now()) / 1000);
+
+// Respuesta estándar de cuota excedida: 402 (hay que subir de plan) o 429 (se libera al cambiar de día/mes)
+export function sendQuotaError(res, { status, quota, limit, used, plan, retryAfter }) {
+  if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+  return res.status(status).json({ error: 'quota_exceeded', quota, limit, used, plan });
+}
+
+/**
+ * Contabilidad sobre un almacén JSON { get(key) -> objeto|null, put(key, objeto) }.
+ */
+export function createUsageStore({ get, put }) {
+  const chains = new Map(); // subject -> promesa de la última escritura
+
+  const usageKey = (subject) => `_usage/${subject}.json`;
+
+  // Normaliza el registro: los contadores de día/mes se reinician solos al cambiar de periodo
+  function normalize(subject, raw) {
+    const u = raw || {};
+    const day = dayOf(); const month = monthOf();
+    return {
+      subject,
+      storageBytes: Math.max(0, u.storageBytes || 0),
+      transfers: u.transfers?.day === day ? u.transfers : { day, count: 0 },
+      egress: u.egress?.month === month ? u.egress : { month, bytes: 0 },
+      reservations: u.reservations && typeof u.reservations === 'object' ? u.reservations : {} // key -> { bytes, at, stored? }
+    };
+  }
+
+  // Almacenamiento ocupado: lo de los transfers más las reservas (salvo las de `except`, keys que se están finalizando)
+  const usedStorage = (u, except = []) => u.storageBytes + Object.entries(u.reservations)
+    .reduce((n, [key, r]) => except.includes(key) ? n : n + (r.bytes || 0), 0);
+
+  const read = async (subject) => normalize(subject, await get(usageKey(subject)));
+
+  function update(subject, fn) {
+    const prev = chains.get(subject) || Promise.resolve();
+    const next = prev.catch(() => {}).then(async () => {
+      const u = await read(subject);
+      if (fn(u) === false) return u; // nada que guardar
+      u.updatedAt = new Date().toISOString();
+      await put(usageKey(subject), u);
+      return u;
+    });
+    chains.set(subject, next);
+    next.finally(() => { if (chains.get(subject) === next) chains.delete(subject); }).catch(() => {});
+    return next;
+  }
+
+  return {
+    read,
+    addStorage: (subject, bytes) => update(subject, u => { u.storageBytes = Math.max(0, u.storageBytes + bytes); }),
+    addTransfer: (subject) => update(subject, u => { u.transfers.count++; }),
+    addEgress: (subject, bytes) => update(subject, u => { u.egress.bytes += bytes; }),
+
+    // Antes de aceptar un transfer nuevo. Campos desconocidos (files/bytes/ttlDays) se omiten;
+    // `reserved` son las keys de subidas directas que el transfer va a absorber (su reserva no se cuenta dos veces)
+    async checkTransfer({ subject, plan }, { files, bytes, ttlDays, reserved = [] } = {}) {
+      const q = quotasFor(plan);
+      if (files !== undefined && q.filesPerTransfer !== null && files > q.filesPerTransfer) {
+        return { status: 402, quota: 'filesPerTransfer', limit: q.filesPerTransfer, used: files, plan };
+      }
+      if (ttlDays !== undefined && q.maxTtlDays !== null && ttlDays > q.maxTtlDays) {
+        return { status: 402, quota: 'maxTtlDays', limit: q.maxTtlDays, used: ttlDays, plan };
+      }
+      const u = await read(subject);
+      if (q.transfersPerDay !== null && u.transfers.count >= q.transfersPerDay) {
+        return { status: 429, quota: 'transfersPerDay', limit: q.transfersPerDay, used: u.transfers.count, plan, retryAfter: secondsUntil('day') };
+      }
+      const used = usedStorage(u, reserved);
+      if (q.storage !== null && used + (bytes || 0) > q.storage) {
+        return { status: 402, quota: 'storage', limit: q.storage, used, plan };
+      }
+      return null;
+    },
+
+    // Reserva `bytes` para la subida directa `key` si caben; la comprobación y la reserva van en la
+    // misma escritura serializada, así subidas en paralelo no pasan juntas del límite. Devuelve el error o null
+    async reserve({ subject, plan }, key, bytes) {
+      const q = quotasFor(plan);
+      let over = null;
+      await update(subject, u => {
+        const used = usedStorage(u);
+        if (q.storage !== null && used + bytes > q.storage) {
+          over = { status: 402, quota: 'storage', limit: q.storage, used, plan };
+          return false;
+        }
+        u.reservations[key] = { bytes, at: new Date().toISOString() };
+      });
+      return over;
+    },
+    release: (subject, key) => update(subject, u => {
+      if (!u.reservations[key]) return false;
+      delete u.reservations[key];
+    }),
+    // El objeto quedó en el bucket sin finalizar: la reserva pasa a su tamaño real y ya no se revisa
+    settle: (subject, key, bytes) => update(subject, u => {
+      if (!u.reservations[key]) return false;
+      u.reservations[key] = { ...u.reservations[key], bytes, stored: true };
+    }),
+
+    async checkEgress(account) {
+      const { subject, plan } = account;
+      const q = quotasFor(plan);
+      if (q.egressPerMonth === null || !meteredForEgress(account)) return null;
+      const u = await read(subject);
+      if (u.egress.bytes < q.egressPerMonth) return null;
+      return { status: 429, quota: 'egressPerMonth', limit: q.egressPerMonth, used: u.egress.bytes, plan, retryAfter: secondsUntil('month') };
+    },
+
+    async report(account) {
+      const { subject, plan } = account;
+      const u = await read(subject);
+      const quotas = meteredForEgress(account) ? quotasFor(plan) : { ...quotasFor(plan), egressPerMonth: null };
+      return {
+        subject, plan, quotas,
+        usage: { storageBytes: u.storageBytes, reservedBytes: usedStorage(u) - u.storageBytes, transfersToday: u.transfers.count, egressThisMonth: u.egress.bytes },
+        resets: { transfersPerDay: new Date(periodEnd('day')).toISOString(), egressPerMonth: new Date(periodEnd('month')).toISOString() }
+      };
+    }
+  };
+}
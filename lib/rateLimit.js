@@ -0,0 +1,178 @@
+// lib/rateLimit.js — Rate limiting (token bucket) por IP / API key y bloqueo temporal por 404 repetidos
+import path from 'path';
+import { errorMessage } from './i18n.js';
+import { log } from './logger.js';
+
+/**
+ * Config por ENV:
+ * - RATE_LIMIT_ENABLED: false apaga todo (default true)
+ * - RATE_LIMITS_JSON: sobreescribe reglas, p. ej. {"upload":{"capacity":10,"windowSeconds":60}}
+ *     capacity = ráfaga máxima por IP; keyCapacity = ráfaga por API key / bearer token;
+ *     el bucket se rellena entero cada windowSeconds
+ * - RATE_LIMIT_404_MAX / RATE_LIMIT_404_WINDOW_SECONDS: 404 de ids de transfer tolerados por IP en la ventana
+ * - RATE_LIMIT_404_BLOCK_MINUTES: duración del bloqueo al pasarse
+ * - RATE_LIMIT_STORE_MODULE: módulo cuyo default export implementa el store (compartido entre instancias,
+ *     p. ej. Redis) con { consume(key, capacity, refillPerSec, cost = 1), hit(key, windowMs), block(key, ms), blockedFor(key) }
+ *
+ * La IP sale de req.ip, así que detrás de un proxy hay que configurar TRUST_PROXY en el server.
+ * Las respuestas llevan RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy.
+ */
+const ENABLED = String(process.env.RATE_LIMIT_ENABLED || 'true') === 'true';
+
+const DEFAULT_RULES = {
+  upload: { capacity: 20, keyCapacity: 120, windowSeconds: 60 },  // presign, multipart/create, transfers
+  share:  { capacity: 120, keyCapacity: 600, windowSeconds: 60 }, // página de share, manifest, descargas
+  unlock: { capacity: 10, keyCapacity: 10, windowSeconds: 60 },    // intentos de contraseña
+  thumb:  { capacity: 600, keyCapacity: 3000, windowSeconds: 60 }, // miniaturas de la galería del share page
+  access: { capacity: 30, keyCapacity: 300, windowSeconds: 60 },   // emisión de tokens de sign-get / bundle
+  mail:   { capacity: 100, keyCapacity: 100, windowSeconds: 3600 } // destinatarios de correo por cuenta (consumeRule)
+};
+export const RULES = (() => {
+  let overrides = {};
+  try { overrides = JSON.parse(process.env.RATE_LIMITS_JSON || '{}') || {}; } catch { log.warn('RATE_LIMITS_JSON inválido'); }
+  const out = {};
+  for (const name of new Set([...Object.keys(DEFAULT_RULES), ...Object.keys(overrides)])) {
+    const r = { ...DEFAULT_RULES.share, ...DEFAULT_RULES[name], ...overrides[name] };
+    out[name] = { capacity: Number(r.capacity), keyCapacity: Number(r.keyCapacity ?? r.capacity), windowSeconds: Number(r.windowSeconds) };
+  }
+  return out;
+})();
+
+const NOT_FOUND_MAX = parseInt(process.env.RATE_LIMIT_404_MAX || '30', 10);
+const NOT_FOUND_WINDOW_MS = parseInt(process.env.RATE_LIMIT_404_WINDOW_SECONDS || '600', 10) * 1000;
+const NOT_FOUND_BLOCK_MS = parseFloat(process.env.RATE_LIMIT_404_BLOCK_MINUTES || '15') * 60 * 1000;
+
+// ---------- Store en memoria (por proceso) ----------
+export function createMemoryStore({ maxEntries = 50000 } = {}) {
+  const buckets = new Map(); // key -> { tokens, at }
+  const counters = new Map(); // key -> { count, resetAt }
+  const blocks = new Map(); // key -> until
+
+  // Sin timers: se purga lo vencido cuando los mapas crecen
+  function prune(now) {
+    if (buckets.size + counters.size + blocks.size < maxEntries) return;
+    for (const [k, v] of counters) if (v.resetAt <= now) counters.delete(k);
+    for (const [k, until] of blocks) if (until <= now) blocks.delete(k);
+    if (buckets.size > maxEntries / 2) buckets.clear(); // un bucket perdido solo vuelve a estar lleno
+  }
+
+  return {
+    async consume(key, capacity, refillPerSec, cost = 1) {
+      const now = Date.now();
+      prune(now);
+      const b = buckets.get(key) || { tokens: capacity, at: now };
+      b.tokens = Math.min(capacity, b.tokens + ((now - b.at) / 1000) * refillPerSec);
+      b.at = now;
+      const allowed = b.tokens >= cost;
+      if (allowed) b.tokens -= cost;
+      buckets.set(key, b);
+      return {
+        allowed,
+        remaining: Math.floor(b.tokens),
+        // segundos hasta tener `cost` fichas (si se negó) o hasta llenar el bucket
+        resetSeconds: Math.ceil((allowed ? capacity - b.tokens : cost - b.tokens) / refillPerSec)
+      };
+    },
+    async hit(key, windowMs) {
+      const now = Date.now();
+      const c = counters.get(key);
+      if (!c || c.resetAt <= now) {
+        counters.set(key, { count: 1, resetAt: now + windowMs });
+        return 1;
+      }
+      return ++c.count;
+    },
+    async block(key, ms) {
+      blocks.set(key, Date.now() + ms);
+    },
+    async blockedFor(key) {
+      const until = blocks.get(key) || 0;
+      return Math.max(0, until - Date.now());
+    }
+  };
+}
+
+const store = process.env.RATE_LIMIT_STORE_MODULE
+  ? (await import(path.resolve(process.env.RATE_LIMIT_STORE_MODULE))).default
+  : createMemoryStore();
+
+// API key / token autenticado (lib/auth.js) tiene su propio bucket; si no, la IP
+const clientKey = (req) => req.identity ? `id:${req.identity.keyId || req.identity.subject}` : `ip:${req.ip}`;
+
+function setHeaders(res, limit, remaining, reset, windowSeconds) {
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(0, remaining)));
+  res.setHeader('RateLimit-Reset', String(Math.max(0, reset)));
+  res.setHeader('RateLimit-Policy', `${limit};w=${windowSeconds}`);
+}
+
+// Middleware de una regla de RULES; `html` responde texto plano en vez de JSON (páginas)
+export function rateLimit(ruleName, { html = false } = {}) {
+  const rule = RULES[ruleName];
+  if (!rule) throw new Error(`Regla de rate limit desconocida: ${ruleName}`);
+  return async (req, res, next) => {
+    if (!ENABLED) return next();
+    try {
+      const blocked = await store.blockedFor(`ip:${req.ip}`);
+      if (blocked) return tooMany(res, Math.ceil(blocked / 1000), 'temporarily_blocked', html);
+
+      const capacity = req.identity ? rule.keyCapacity : rule.capacity;
+      const r = await store.consume(`${ruleName}:${clientKey(req)}`, capacity, capacity / rule.windowSeconds);
+      setHeaders(res, capacity, r.remaining, r.resetSeconds, rule.windowSeconds);
+      if (!r.allowed) return tooMany(res, r.resetSeconds, 'rate_limited', html);
+      next();
+    } catch (err) {
+      // Si el store compartido falla se deja pasar: mejor sin límite que sin servicio
+      log.error('rate_limit_error', err);
+      next();
+    }
+  };
+}
+
+// Regla de RULES fuera de un middleware, con clave y costo propios (p. ej. destinatarios de correo
+// por cuenta): { allowed, retryAfter }. Usa keyCapacity: la clave es de una identidad, no de una IP
+export async function consumeRule(ruleName, key, cost = 1) {
+  const rule = RULES[ruleName];
+  if (!rule) throw new Error(`Regla de rate limit desconocida: ${ruleName}`);
+  if (!ENABLED) return { allowed: true, retryAfter: 0 };
+  try {
+    const r = await store.consume(`${ruleName}:${key}`, rule.keyCapacity, rule.keyCapacity / rule.windowSeconds, cost);
+    return { allowed: r.allowed, retryAfter: r.allowed ? 0 : r.resetSeconds };
+  } catch (err) {
+    log.error('rate_limit_error', err);
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+function tooMany(res, retryAfter, error, html) {
+  res.setHeader('Retry-After', String(retryAfter));
+  if (html) return res.status(429).type('text/plain').send(errorMessage(res.req?.lang, error, { retryAfter }));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// Cuenta los 404 de rutas con id de transfer; al pasar el umbral bloquea la IP un rato.
+// Va antes del handler: mira el status cuando la respuesta termina.
+export function notFoundGuard(req, res, next) {
+  if (!ENABLED) return next();
+  res.on('finish', () => {
+    if (res.statusCode !== 404) return;
+    const ip = `ip:${req.ip}`;
+    store.hit(`404:${ip}`, NOT_FOUND_WINDOW_MS)
+      .then(n => {
+        if (n < NOT_FOUND_MAX) return;
+        log.warn('rate_limit_block', { ip: req.ip, notFound: n, windowSeconds: NOT_FOUND_WINDOW_MS / 1000 });
+        return store.block(ip, NOT_FOUND_BLOCK_MS);
+      })
+      .catch(err => log.error('rate_limit_error', err));
+  });
+  next();
+}
+
+// TRUST_PROXY -> valor para app.set('trust proxy'): true/false, número de saltos o lista de IPs/subredes
+export function trustProxySetting(fallback = 'false') {
+  const raw = process.env.TRUST_PROXY || fallback;
+  if (raw === 'false') return false;
+  if (raw === 'true') return true;
+  if (/^\d+$/.test(raw)) return parseInt(raw, 10);
+  return raw.split(',').map(s => s.trim()).filter(Boolean);
+}
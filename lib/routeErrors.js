@@ -0,0 +1,28 @@
+// lib/routeErrors.js — Respuesta de error de las rutas de server_bundle.js y server_multipart.js
+import { z } from 'zod';
+import { s3ErrorCategory } from './storage/s3.js';
+
+// Objetos, subidas multipart o bucket que el SDK reporta como inexistentes
+const NOT_FOUND = new Set(['NoSuchKey', 'NotFound', 'NoSuchUpload']);
+// Errores de S3 causados por lo que mandó el cliente (partes de complete mal armadas, etc.)
+const CLIENT_ERRORS = new Set(['InvalidPart', 'InvalidPartOrder', 'EntityTooSmall', 'InvalidArgument']);
+
+// Status + cuerpo con código estable. Nunca devuelve el mensaje interno del error: el detalle queda
+// en el log de la ruta. Lo que falla del lado del almacenamiento es 502; lo demás, 500.
+export function routeError(err) {
+  if (err instanceof z.ZodError) return { status: 400, body: { error: 'invalid_request', issues: err.issues } };
+  const code = err?.code || err?.name || '';
+  if (NOT_FOUND.has(code)) return { status: 404, body: { error: 'not_found' } };
+  if (CLIENT_ERRORS.has(code)) return { status: 400, body: { error: 'invalid_request', code } };
+  // Errores del SDK (traen $metadata); la categoría es la misma de mixtli_s3_errors_total
+  if (err?.$metadata) {
+    if (err.$metadata.httpStatusCode === 404 && s3ErrorCategory(err) !== 'no_such_bucket') return { status: 404, body: { error: 'not_found' } };
+    return { status: 502, body: { error: 'storage_error' } };
+  }
+  return { status: 500, body: { error: 'internal_error' } };
+}
+
+export function sendRouteError(res, err) {
+  const { status, body } = routeError(err);
+  res.status(status).json(body);
+}
@@ -0,0 +1,22 @@
+// lib/storage/index.js — Selección del driver de almacenamiento (STORAGE_DRIVER)
+import { createS3Storage } from './s3.js';
+import { createLocalStorage } from './local.js';
+
+/**
+ * Todos los drivers exponen la misma interfaz (las keys son como en S3: "transfers/<id>/archivo"):
+ *   put(key, body, contentType)             head(key) -> { size, contentType, etag, lastModified } | null
+ *   create(key, body, contentType) -> false si la key ya existía (escritura condicional, atómica)
+ *   getStream(key, { start, end }?)         copy(fromKey, toKey)
+ *   list(prefix, delimiter?) -> { objects: [{ key, size, lastModified }], prefixes }
+ *   deleteMany(keys)                        upload(key, stream, contentType, { partSize, queueSize }) -> { done(), abort() }
+ *   listMultipartUploads()                  abortMultipartUpload(key, uploadId)
+ *   probe() -> { count }                    info() -> datos para /api/health
+ */
+const DRIVERS = { s3: createS3Storage, r2: createS3Storage, local: createLocalStorage };
+
+export function createStorage(env = process.env) {
+  const name = String(env.STORAGE_DRIVER || 's3').toLowerCase();
+  const create = DRIVERS[name];
+  if (!create) throw new Error(`STORAGE_DRIVER desconocido: ${name} (usa ${Object.keys(DRIVERS).join(', ')})`);
+  return create(env);
+}
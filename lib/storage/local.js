@@ -0,0 +1,189 @@
+// lib/storage/local.js — Driver de almacenamiento en disco local (desarrollo, pruebas, instalaciones sin S3)
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { log } from '../logger.js';
+
+/**
+ * Estructura bajo STORAGE_LOCAL_DIR:
+ *   objects/<key>        contenido
+ *   meta/<key>.json      { contentType, etag }
+ *   tmp/                 escrituras en curso (se renombran al terminar, así nadie lee un archivo a medias)
+ * Las keys se tratan igual que en S3 ("a/b/c.txt"); no se permite salir del directorio.
+ */
+export function createLocalStorage(env = process.env) {
+  const ROOT = path.resolve(env.STORAGE_LOCAL_DIR || 'data/storage');
+  const OBJECTS = path.join(ROOT, 'objects');
+  const META = path.join(ROOT, 'meta');
+  const TMP = path.join(ROOT, 'tmp');
+  for (const dir of [OBJECTS, META, TMP]) fs.mkdirSync(dir, { recursive: true });
+  log.info('boot', { storageLocalDir: ROOT });
+
+  function resolveIn(base, key) {
+    const p = path.resolve(base, key);
+    if (!key || !p.startsWith(base + path.sep)) throw Object.assign(new Error(`Key inválida: ${key}`), { code: 'InvalidKey' });
+    return p;
+  }
+  const objectPath = (key) => resolveIn(OBJECTS, key);
+  const metaPath = (key) => resolveIn(META, `${key}.json`);
+  const tmpPath = () => path.join(TMP, `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`);
+
+  async function readMeta(key) {
+    try { return JSON.parse(await fsp.readFile(metaPath(key), 'utf8')); } catch { return {}; }
+  }
+
+  // Mueve el archivo temporal a su key y guarda contentType + etag (md5, como S3 en subidas simples)
+  async function commit(tmp, key, contentType, md5) {
+    const dest = objectPath(key);
+    await fsp.mkdir(path.dirname(dest), { recursive: true });
+    await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+    await fsp.writeFile(metaPath(key), JSON.stringify({ contentType: contentType || 'application/octet-stream', etag: `"${md5}"` }));
+    await fsp.rename(tmp, dest);
+  }
+
+  // Borra los directorios que quedaron vacíos hasta la raíz (S3 no tiene directorios)
+  async function pruneDirs(file, base) {
+    let dir = path.dirname(file);
+    while (dir.startsWith(base + path.sep)) {
+      try { await fsp.rmdir(dir); } catch { return; }
+      dir = path.dirname(dir);
+    }
+  }
+
+  async function walk(dir, out) {
+    let entries;
+    try { entries = await fsp.readdir(dir, { withFileTypes: true }); } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+      throw err;
+    }
+    for (const e of entries) {
+      const full = path.join(dir, e.name);
+      if (e.isDirectory()) await walk(full, out);
+      else if (e.isFile()) out.push(full);
+    }
+  }
+
+  return {
+    driver: 'local',
+    bucket: null,
+    info: () => ({ driver: 'local', root: ROOT }),
+
+    async put(key, body, contentType) {
+      const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body ?? ''));
+      const tmp = tmpPath();
+      await fsp.writeFile(tmp, buf);
+      await commit(tmp, key, contentType, crypto.createHash('md5').update(buf).digest('hex'));
+    },
+
+    // 'wx' falla si el archivo existe: la creación es atómica también entre procesos
+    async create(key, body, contentType) {
+      const buf = Buffer.isBuffer(body) ? body : Buffer.from(String(body ?? ''));
+      const dest = objectPath(key);
+      await fsp.mkdir(path.dirname(dest), { recursive: true });
+      try {
+        await fsp.writeFile(dest, buf, { flag: 'wx' });
+      } catch (err) {
+        if (err.code === 'EEXIST') return false;
+        throw err;
+      }
+      await fsp.mkdir(path.dirname(metaPath(key)), { recursive: true });
+      await fsp.writeFile(metaPath(key), JSON.stringify({
+        contentType: contentType || 'application/octet-stream', etag: `"${crypto.createHash('md5').update(buf).digest('hex')}"`
+      }));
+      return true;
+    },
+
+    async head(key) {
+      try {
+        const st = await fsp.stat(objectPath(key));
+        if (!st.isFile()) return null;
+        const meta = await readMeta(key);
+        return { size: st.size, contentType: meta.contentType, etag: meta.etag, lastModified: st.mtime };
+      } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+        throw err;
+      }
+    },
+
+    async copy(fromKey, key) {
+      const tmp = tmpPath();
+      await fsp.copyFile(objectPath(fromKey), tmp);
+      const meta = await readMeta(fromKey);
+      await commit(tmp, key, meta.contentType, String(meta.etag || '').replace(/"/g, ''));
+    },
+
+    async getStream(key, range) {
+      const file = objectPath(key);
+      await fsp.access(file).catch(() => { throw Object.assign(new Error(`No existe: ${key}`), { code: 'NoSuchKey', name: 'NoSuchKey' }); });
+      return fs.createReadStream(file, range ? { start: range.start, end: range.end } : undefined);
+    },
+
+    // Mismo contrato que ListObjectsV2: keys en orden lexicográfico; con delimiter agrupa en prefixes
+    async list(prefix = '', delimiter) {
+      // Solo se recorre desde el directorio más profundo que cubre el prefijo
+      const dirKey = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/') + 1) : '';
+      const files = [];
+      await walk(dirKey ? resolveIn(OBJECTS, dirKey) : OBJECTS, files);
+      const objects = [];
+      const prefixes = new Set();
+      for (const full of files) {
+        const key = path.relative(OBJECTS, full).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        if (delimiter) {
+          const i = key.indexOf(delimiter, prefix.length);
+          if (i >= 0) { prefixes.add(key.slice(0, i + delimiter.length)); continue; }
+        }
+        const st = await fsp.stat(full);
+        objects.push({ key, size: st.size, lastModified: st.mtime });
+      }
+      objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      return { objects, prefixes: [...prefixes].sort() };
+    },
+
+    async deleteMany(keys) {
+      for (const key of keys) {
+        for (const [file, base] of [[objectPath(key), OBJECTS], [metaPath(key), META]]) {
+          try { await fsp.unlink(file); } catch (err) { if (err.code !== 'ENOENT') throw err; }
+          await pruneDirs(file, base);
+        }
+      }
+    },
+
+    upload(key, body, contentType) {
+      const tmp = tmpPath();
+      const md5 = crypto.createHash('md5');
+      const hasher = new Transform({ transform(chunk, _enc, cb) { md5.update(chunk); cb(null, chunk); } });
+      const out = fs.createWriteStream(tmp);
+      let aborted = false;
+      const written = pipeline(body, hasher, out);
+      written.catch(() => {}); // el error se entrega en done()
+      return {
+        done: async () => {
+          try {
+            await written;
+            if (aborted) throw new Error('upload_aborted');
+            await commit(tmp, key, contentType, md5.digest('hex'));
+          } catch (err) {
+            await fsp.unlink(tmp).catch(() => {});
+            throw err;
+          }
+        },
+        abort: () => { aborted = true; out.destroy(new Error('upload_aborted')); }
+      };
+    },
+
+    // En disco no hay multipart a medias: lo que quede en tmp/ es de escrituras cortadas
+    listMultipartUploads: async () => [],
+    abortMultipartUpload: async () => {},
+
+    // Chequeo de permisos para /api/diag/s3; count = transfers en disco
+    async probe() {
+      await fsp.access(OBJECTS, fs.constants.R_OK | fs.constants.W_OK);
+      const entries = await fsp.readdir(path.join(OBJECTS, 'transfers')).catch(() => []);
+      return { count: entries.length };
+    }
+  };
+}
@@ -0,0 +1,160 @@
+// lib/storage/s3.js — Driver de almacenamiento sobre S3 / Cloudflare R2 (AWS SDK v3)
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+  CopyObjectCommand,
+  ListMultipartUploadsCommand,
+  AbortMultipartUploadCommand
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { log } from '../logger.js';
+
+// Normaliza endpoint: acepta 'https://host', 'host' o 'https://host/bucket' y deja esquema + host (+ puerto).
+// Sin esquema se asume https; http explícito se respeta (MinIO / S3 local en http://127.0.0.1:9000).
+export function normalizeEndpoint(ep) {
+  if (!ep) return null;
+  try {
+    const url = /^https?:\/\//i.test(ep) ? new URL(ep) : new URL('https://' + ep);
+    return url.origin; // sin pathname/bucket
+  } catch {
+    const host = String(ep).replace(/^https?:\/\//i, '').split('/')[0].trim();
+    return host ? `https://${host}` : null;
+  }
+}
+
+// Categoría de un error del SDK (la misma que usa mapS3Error en server.js y la métrica mixtli_s3_errors_total)
+export function s3ErrorCategory(err) {
+  const code = err?.code || err?.name || '';
+  if (['CredentialsError', 'InvalidAccessKeyId', 'ExpiredToken', 'SignatureDoesNotMatch', 'AccessDenied'].includes(code)) return 'Unauthorized';
+  if (code === 'Forbidden') return 'Forbidden';
+  if (code === 'NoSuchBucket') return 'no_such_bucket';
+  return 's3_error';
+}
+
+export function createS3Storage(env = process.env) {
+  const ENDPOINT_URL = normalizeEndpoint(env.S3_ENDPOINT);
+  log.info('boot', { s3Endpoint: env.S3_ENDPOINT || null });
+  if (!ENDPOINT_URL) throw new Error('S3_ENDPOINT no definido o inválido (usa https://<account>.r2.cloudflarestorage.com)');
+
+  const S3_REGION = env.S3_REGION || 'auto';
+  const FORCE_PATH = String(env.S3_FORCE_PATH_STYLE || 'true') === 'true';
+  const ACCESS_KEY_ID = env.S3_ACCESS_KEY_ID || env.S3_ACCESS_KEY || '';
+  const SECRET_ACCESS_KEY = env.S3_SECRET_ACCESS_KEY || env.S3_SECRET_KEY || '';
+  const BUCKET = env.S3_BUCKET;
+  if (!BUCKET) throw new Error('S3_BUCKET no definido');
+  if (!ACCESS_KEY_ID || !SECRET_ACCESS_KEY) log.warn('Faltan credenciales S3');
+
+  const s3 = new S3Client({
+    endpoint: ENDPOINT_URL,               // p. ej. https://<account>.r2.cloudflarestorage.com
+    region: S3_REGION,                    // R2 acepta 'auto'
+    forcePathStyle: FORCE_PATH,           // obligatorio en R2
+    credentials: {
+      accessKeyId: ACCESS_KEY_ID,
+      secretAccessKey: SECRET_ACCESS_KEY
+    }
+  });
+
+  return {
+    driver: 's3',
+    bucket: BUCKET,
+    client: s3, // solo en este driver: server.js le engancha las métricas (lib/metrics.js)
+    info: () => ({ driver: 's3', bucket: BUCKET, endpoint: ENDPOINT_URL, region: S3_REGION, forcePathStyle: FORCE_PATH }),
+
+    async put(Key, Body, ContentType) {
+      await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key, Body, ContentType }));
+    },
+
+    // If-None-Match: * (S3 y R2): si otro ya la creó responde 412; 409 si hay otra escritura condicional en curso
+    async create(Key, Body, ContentType) {
+      try {
+        await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key, Body, ContentType, IfNoneMatch: '*' }));
+        return true;
+      } catch (e) {
+        if ([409, 412].includes(e?.$metadata?.httpStatusCode)) return false;
+        throw e;
+      }
+    },
+
+    // { size, contentType, etag, lastModified } o null si no existe
+    async head(Key) {
+      try {
+        const h = await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key }));
+        return { size: Number(h.ContentLength || 0), contentType: h.ContentType, etag: h.ETag, lastModified: h.LastModified };
+      } catch (e) {
+        if (e?.$metadata?.httpStatusCode === 404 || e?.name === 'NotFound') return null;
+        throw e;
+      }
+    },
+
+    async copy(fromKey, Key) {
+      const CopySource = `${BUCKET}/${fromKey.split('/').map(encodeURIComponent).join('/')}`;
+      await s3.send(new CopyObjectCommand({ Bucket: BUCKET, CopySource, Key }));
+    },
+
+    // range: { start, end } inclusivo (opcional)
+    async getStream(Key, range) {
+      const Range = range ? `bytes=${range.start}-${range.end}` : undefined;
+      const r = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key, Range }));
+      return r.Body; // stream
+    },
+
+    // Pagina ListObjectsV2; con Delimiter devuelve también los "directorios" (CommonPrefixes)
+    async list(Prefix, Delimiter) {
+      const objects = [];
+      const prefixes = [];
+      let ContinuationToken;
+      do {
+        const r = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix, Delimiter, ContinuationToken }));
+        for (const o of r.Contents || []) objects.push({ key: o.Key, size: o.Size || 0, lastModified: o.LastModified });
+        for (const p of r.CommonPrefixes || []) prefixes.push(p.Prefix);
+        ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return { objects, prefixes };
+    },
+
+    async deleteMany(keys) {
+      for (let i = 0; i < keys.length; i += 1000) {
+        const Objects = keys.slice(i, i + 1000).map(Key => ({ Key }));
+        await s3.send(new DeleteObjectsCommand({ Bucket: BUCKET, Delete: { Objects, Quiet: true } }));
+      }
+    },
+
+    // Sube un stream de tamaño desconocido; lib-storage lo parte en partes (multipart si hay más de una)
+    upload(Key, body, ContentType, { partSize, queueSize }) {
+      const uploader = new Upload({
+        client: s3,
+        params: { Bucket: BUCKET, Key, Body: body, ContentType },
+        partSize,
+        queueSize,
+        leavePartsOnError: false
+      });
+      return { done: () => uploader.done(), abort: () => uploader.abort() };
+    },
+
+    async listMultipartUploads() {
+      const uploads = [];
+      let KeyMarker, UploadIdMarker;
+      do {
+        const r = await s3.send(new ListMultipartUploadsCommand({ Bucket: BUCKET, KeyMarker, UploadIdMarker }));
+        for (const u of r.Uploads || []) uploads.push({ key: u.Key, uploadId: u.UploadId, initiated: new Date(u.Initiated) });
+        KeyMarker = r.IsTruncated ? r.NextKeyMarker : undefined;
+        UploadIdMarker = r.IsTruncated ? r.NextUploadIdMarker : undefined;
+      } while (KeyMarker || UploadIdMarker);
+      return uploads;
+    },
+
+    async abortMultipartUpload(Key, UploadId) {
+      await s3.send(new AbortMultipartUploadCommand({ Bucket: BUCKET, Key, UploadId }));
+    },
+
+    // Chequeo barato de conectividad/permisos para /api/diag/s3
+    async probe() {
+      const data = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, MaxKeys: 1, Prefix: 'transfers/' }));
+      return { count: data?.KeyCount || 0 };
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// lib/thumbnails.js — Miniaturas de imágenes y póster de videos para el share page
+import { spawn } from 'child_process';
+import sharp from 'sharp';
+import { log } from './logger.js';
+
+/**
+ * Config por ENV:
+ * - THUMBNAILS_ENABLED: false no genera nada (default true)
+ * - THUMB_SIZE: lado máximo de la miniatura en px (default 320)
+ * - THUMB_MAX_SOURCE_MB: imágenes más grandes se quedan sin miniatura (default 64)
+ * - THUMB_TIMEOUT_SECONDS: tope por archivo; al pasarlo se corta la lectura (default 60)
+ * - FFMPEG_PATH: ffmpeg para el póster de los videos (default 'ffmpeg'); si no está instalado
+ *     los videos simplemente van sin póster
+ *
+ * Las miniaturas son JPEG y se generan en segundo plano, de una en una, para no competir
+ * con las subidas por CPU. Un fallo solo se registra: el archivo sigue descargándose igual.
+ */
+const ENABLED = String(process.env.THUMBNAILS_ENABLED || 'true') === 'true';
+const SIZE = parseInt(process.env.THUMB_SIZE || '320', 10);
+const MAX_SOURCE_BYTES = parseFloat(process.env.THUMB_MAX_SOURCE_MB || '64') * 1024 * 1024;
+const TIMEOUT_MS = parseInt(process.env.THUMB_TIMEOUT_SECONDS || '60', 10) * 1000;
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Formatos que sharp decodifica con sus binarios precompilados (sin SVG: no se rasteriza contenido ajeno)
+const IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff']);
+const IMAGE_EXTS = new Set(['jpg', 'jpeg', 'png', 'webp', 'gif', 'avif', 'tif', 'tiff']);
+const VIDEO_EXTS = new Set(['mp4', 'm4v', 'mov', 'webm', 'mkv', 'avi']);
+
+// 'image' | 'video' | null según el tipo declarado o, si llegó genérico, la extensión
+export function thumbKind({ name, type }) {
+  const t = String(type || '').toLowerCase();
+  const ext = String(name || '').split('.').pop().toLowerCase();
+  if (IMAGE_TYPES.has(t) || (!t.startsWith('video/') && IMAGE_EXTS.has(ext))) return 'image';
+  if (t.startsWith('video/') || VIDEO_EXTS.has(ext)) return 'video';
+  return null;
+}
+
+// ¿Hay ffmpeg? Se pregunta una vez por proceso
+let ffmpegCheck;
+export function ffmpegAvailable() {
+  ffmpegCheck ||= new Promise(resolve => {
+    const p = spawn(FFMPEG, ['-version'], { stdio: 'ignore' });
+    p.on('error', () => resolve(false));
+    p.on('close', code => resolve(code === 0));
+  });
+  return ffmpegCheck;
+}
+
+export const thumbnailsInfo = async () => ({ enabled: ENABLED, size: SIZE, videoPosters: ENABLED && await ffmpegAvailable() });
+
+function imageThumb(source) {
+  const resizer = sharp({ failOn: 'error' })
+    .rotate() // respeta la orientación EXIF de las fotos del celular
+    .resize(SIZE, SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 78, mozjpeg: true });
+  source.on('error', err => resizer.destroy(err));
+  return source.pipe(resizer).toBuffer();
+}
+
+// Un cuadro representativo (filtro thumbnail) escalado a SIZE; ffmpeg lee el video por stdin
+function videoPoster(source) {
+  return new Promise((resolve, reject) => {
+    const p = spawn(FFMPEG, [
+      '-hide_banner', '-loglevel', 'error', '-i', 'pipe:0',
+      '-vf', `thumbnail=50,scale=${SIZE}:${SIZE}:force_original_aspect_ratio=decrease`,
+      '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'mjpeg', 'pipe:1'
+    ], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const out = [];
+    let stderr = '';
+    p.stdout.on('data', c => out.push(c));
+    p.stderr.on('data', c => { stderr = (stderr + c).slice(-500); });
+    // ffmpeg cierra stdin en cuanto tiene su cuadro: EPIPE es lo esperado
+    p.stdin.on('error', () => {});
+    source.on('error', err => { p.kill('SIGKILL'); reject(err); });
+    p.on('error', reject);
+    p.on('close', code => {
+      source.destroy();
+      const buf = Buffer.concat(out);
+      if (code === 0 && buf.length) resolve(buf);
+      else reject(new Error(`ffmpeg terminó con ${code}: ${stderr.trim()}`));
+    });
+    source.pipe(p.stdin);
+  });
+}
+
+/**
+ * Cola de miniaturas sobre el storage del server:
+ *   getStream(key) -> Readable, put(key, Buffer, contentType)
+ * enqueue([{ source, target, name, type, size }]) devuelve una promesa que resuelve
+ * con las keys generadas (útil en pruebas; el server no la espera).
+ */
+export function createThumbnailer({ getStream, put }) {
+  let chain = Promise.resolve();
+
+  async function generate(job) {
+    const kind = thumbKind(job);
+    if (kind === 'image' && job.size > MAX_SOURCE_BYTES) return false;
+    if (kind === 'video' && !(await ffmpegAvailable())) return false;
+    if (!kind) return false;
+
+    const source = await getStream(job.source);
+    const timer = setTimeout(() => source.destroy(new Error('thumb_timeout')), TIMEOUT_MS);
+    try {
+      const jpeg = kind === 'image' ? await imageThumb(source) : await videoPoster(source);
+      await put(job.target, jpeg, 'image/jpeg');
+      return true;
+    } finally {
+      clearTimeout(timer);
+      source.destroy();
+    }
+  }
+
+  return {
+    enqueue(jobs) {
+      if (!ENABLED) return Promise.resolve([]);
+      const done = [];
+      for (const job of jobs) {
+        chain = chain.then(() => generate(job))
+          .then(ok => { if (ok) done.push(job.target); })
+          .catch(err => log.error('thumb_error', err, { source: job.source }));
+      }
+      return chain.then(() => done);
+    }
+  };
+}
@@ -0,0 +1,23 @@
+// lib/uploadTokens.js — Prueba de que una key de uploads/ la emitió este backend
+import crypto from 'crypto';
+
+/**
+ * server_multipart.js firma cada key que entrega en /api/presign y /api/multipart/create;
+ * server.js exige esa firma en /api/transfers/finalize para no convertir en transfer
+ * cualquier objeto del bucket. Ambos procesos deben compartir UPLOAD_TOKEN_SECRET.
+ */
+const SECRET = process.env.UPLOAD_TOKEN_SECRET || '';
+
+export const uploadTokensEnabled = () => Boolean(SECRET);
+
+export function signUploadKey(key) {
+  if (!SECRET) return null;
+  return crypto.createHmac('sha256', SECRET).update(`upload:${key}`).digest('base64url');
+}
+
+export function verifyUploadKey(key, token) {
+  if (!SECRET || !token) return false;
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(signUploadKey(key));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,106 @@
+// lib/webhooks.js — Webhooks firmados (HMAC-SHA256) para eventos del ciclo de vida de un transfer
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+/**
+ * Config por ENV:
+ * - WEBHOOK_URLS: JSON array (o lista separada por comas) de URLs destino
+ * - WEBHOOK_SECRET: secreto para la firma
+ * - WEBHOOK_MAX_ATTEMPTS / WEBHOOK_RETRY_BASE_SECONDS: reintentos con backoff exponencial
+ * - WEBHOOK_TIMEOUT_MS: timeout por intento
+ * - WEBHOOK_LOG_SIZE: entregas que se guardan en el log (en memoria, por proceso)
+ *
+ * Cada POST lleva:
+ *   X-Mixtli-Event: <tipo>            X-Mixtli-Delivery: <id de entrega>
+ *   X-Mixtli-Signature: t=<unix>,v1=<hex de HMAC-SHA256(secret, "<t>.<body>")>
+ */
+const URLS = (() => {
+  const raw = process.env.WEBHOOK_URLS || '';
+  try { const v = JSON.parse(raw); return Array.isArray(v) ? v.map(String) : []; }
+  catch { return raw.split(',').map(s => s.trim()).filter(Boolean); }
+})();
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS || '10') * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const LOG_SIZE = parseInt(process.env.WEBHOOK_LOG_SIZE || '500', 10);
+
+if (URLS.length && !SECRET) log.warn('WEBHOOK_URLS sin WEBHOOK_SECRET; las entregas van sin firma válida');
+
+export const EVENT_TYPES = [
+  'transfer.created', 'transfer.downloaded', 'transfer.zipped', 'transfer.expired', 'transfer.deleted',
+  'multipart.completed'
+];
+
+const deliveries = []; // log, la más reciente primero
+
+export function signPayload(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${v1}`;
+}
+
+async function attempt(delivery) {
+  const started = Date.now();
+  const entry = { at: new Date(started).toISOString(), status: null, error: null, durationMs: 0 };
+  try {
+    const r = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mixtli-Webhooks/1',
+        'X-Mixtli-Event': delivery.type,
+        'X-Mixtli-Delivery': delivery.id,
+        'X-Mixtli-Signature': signPayload(delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    entry.status = r.status;
+    if (!r.ok) entry.error = `HTTP ${r.status}`;
+  } catch (err) {
+    entry.error = err.message;
+  }
+  entry.durationMs = Date.now() - started;
+  delivery.attempts.push(entry);
+
+  if (!entry.error) {
+    delivery.status = 'delivered';
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    log.error('webhook_failed', { type: delivery.type, url: delivery.url, error: entry.error, deliveryId: delivery.id });
+  } else {
+    const wait = RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+    setTimeout(() => attempt(delivery), wait).unref?.();
+  }
+}
+
+// Dispara un evento a todas las URLs configuradas; no bloquea a quien lo llama
+export function emitEvent(type, data) {
+  if (!URLS.length) return null;
+  const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data };
+  const body = JSON.stringify(event);
+  for (const url of URLS) {
+    const delivery = {
+      id: `dlv_${crypto.randomUUID()}`, eventId: event.id, type, url, body,
+      status: 'pending', attempts: [], nextAttemptAt: null, createdAt: event.createdAt
+    };
+    deliveries.unshift(delivery);
+    attempt(delivery);
+  }
+  deliveries.length = Math.min(deliveries.length, LOG_SIZE);
+  return event.id;
+}
+
+// Consulta del log: ?status=pending|delivered|failed&type=...&eventId=...&limit=
+export function listDeliveries({ status, type, eventId, limit } = {}) {
+  const max = Math.max(1, Math.min(LOG_SIZE, parseInt(limit || '100', 10) || 100));
+  return deliveries
+    .filter(d => (!status || d.status === status) && (!type || d.type === type) && (!eventId || d.eventId === eventId))
+    .slice(0, max)
+    .map(({ body, ...d }) => ({ ...d, event: JSON.parse(body) }));
+}
+
+export const webhooksEnabled = () => URLS.length > 0;
@@ -0,0 +1,119 @@
+// public/share-activity.js — Panel de actividad del remitente (/t/:id/activity); server.js lo sirve en /assets/share-activity.js
+// El owner token llega en el fragmento (#owner=...) o por el formulario y se guarda en sessionStorage;
+// nunca viaja en la URL al server. Los textos vienen de los data-* de #activity en el idioma de la página.
+(function () {
+  var root = document.getElementById('activity');
+  if (!root) return;
+  var id = root.getAttribute('data-id');
+  var lang = root.getAttribute('data-lang') || 'es';
+  var form = document.getElementById('activity-token');
+  var error = document.getElementById('activity-error');
+  var summary = document.getElementById('activity-summary');
+  var table = document.getElementById('activity-table');
+  var tbody = table.querySelector('tbody');
+  var STORAGE_KEY = 'mixtli:owner:' + id;
+  var LOCALES = { es: 'es-MX', en: 'en-US', pt: 'pt-BR' };
+
+  function text(name, vars) {
+    return (root.getAttribute('data-' + name) || '').replace(/\{(\w+)\}/g, function (m, k) {
+      return vars && vars[k] !== undefined ? vars[k] : m;
+    });
+  }
+
+  function formatBytes(bytes) {
+    var units = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+    var value = bytes || 0;
+    var i = 0;
+    while (value >= 1024 && i < units.length - 1) { value /= 1024; i++; }
+    return new Intl.NumberFormat(LOCALES[lang], {
+      style: 'unit', unit: units[i], unitDisplay: 'short', maximumFractionDigits: i === 0 ? 0 : 1
+    }).format(value);
+  }
+
+  function cell(tr, value, cls) {
+    var td = tr.appendChild(document.createElement('td'));
+    td.textContent = value;
+    if (cls) td.className = cls;
+    if (cls === 'ua') td.title = value;
+  }
+
+  function eventLabel(e) {
+    var label = text('type-' + e.type);
+    if (e.partial) label += ' (' + text('partial') + ')';
+    if (e.locked) label += ' (' + text('locked') + ')';
+    return label;
+  }
+
+  function render(data) {
+    document.querySelector('h1').textContent = text('title', { title: data.title || data.id });
+    var s = data.summary;
+    summary.textContent = text('summary', {
+      views: s.views, downloads: s.downloads, completed: s.completed, bytes: formatBytes(s.bytes)
+    }) + (data.truncated ? ' ' + text('truncated', { count: data.events.length }) : '');
+    tbody.textContent = '';
+    if (!data.events.length) {
+      summary.textContent = text('empty');
+      table.hidden = true;
+      return;
+    }
+    data.events.forEach(function (e) {
+      var tr = tbody.appendChild(document.createElement('tr'));
+      cell(tr, new Date(e.at).toLocaleString(LOCALES[lang]));
+      cell(tr, eventLabel(e));
+      cell(tr, e.file || (e.folder ? e.folder + '/' : e.type === 'zip' ? 'ZIP' : '—'));
+      cell(tr, e.type === 'view' ? '—' : formatBytes(e.bytes), 'num');
+      cell(tr, e.type === 'view' ? '—' : text(e.completed ? 'yes' : 'no'));
+      cell(tr, e.ip || '—');
+      cell(tr, e.ua || '—', 'ua');
+    });
+    table.hidden = false;
+  }
+
+  function showForm(message) {
+    error.hidden = !message;
+    error.textContent = message || '';
+    form.hidden = false;
+    table.hidden = true;
+    summary.textContent = '';
+  }
+
+  function load(token) {
+    fetch('/api/transfers/' + encodeURIComponent(id) + '/activity?lang=' + lang, {
+      headers: { 'x-owner-token': token }, credentials: 'same-origin', cache: 'no-store'
+    })
+      .then(function (r) {
+        if (r.status === 401 || r.status === 404) {
+          try { sessionStorage.removeItem(STORAGE_KEY); } catch (e) {}
+          return showForm(text('denied'));
+        }
+        if (!r.ok) return showForm(text('failed'));
+        return r.json().then(function (data) {
+          form.hidden = true;
+          error.hidden = true;
+          render(data);
+        });
+      })
+      .catch(function () { showForm(text('failed')); });
+  }
+
+  var match = /(?:^#|&)owner=([^&]+)/.exec(location.hash);
+  var token = match ? decodeURIComponent(match[1]) : null;
+  if (token) {
+    try { sessionStorage.setItem(STORAGE_KEY, token); } catch (e) {}
+    // Se saca el token de la barra de direcciones (y del historial)
+    history.replaceState(null, '', location.pathname + location.search);
+  } else {
+    try { token = sessionStorage.getItem(STORAGE_KEY); } catch (e) {}
+  }
+
+  form.addEventListener('submit', function (ev) {
+    ev.preventDefault();
+    var value = form.elements.token.value.trim();
+    if (!value) return;
+    try { sessionStorage.setItem(STORAGE_KEY, value); } catch (e) {}
+    load(value);
+  });
+
+  if (token) load(token);
+  else showForm();
+})();
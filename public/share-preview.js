@@ -0,0 +1,106 @@
+// public/share-preview.js — Modal de vista previa del share page (/t/:id); server.js lo sirve en /assets/share-preview.js
+// Los botones llevan data-preview (pdf|image|audio|video|text), data-src (/api/preview/...), data-download, data-name y data-lang.
+// Los textos vienen del modal (data-loading, data-error) en el idioma de la página.
+(function () {
+  var modal = document.getElementById('preview-modal');
+  if (!modal || typeof modal.showModal !== 'function') return;
+  var title = modal.querySelector('.pv-title');
+  var download = modal.querySelector('.pv-download');
+  var body = modal.querySelector('.pv-body');
+  var LOADING = modal.getAttribute('data-loading') || '…';
+  var FAILED = modal.getAttribute('data-error') || '';
+
+  var HASH_COMMENTS = /^(py|rb|sh|yml|yaml|toml|ini|env|r|pl)$/;
+  var PLAIN = /^(txt|md|log|text)$/;
+  var KEYWORDS = /^(?:const|let|var|function|return|if|else|elif|for|while|do|switch|case|break|continue|new|class|extends|import|export|from|default|async|await|try|catch|except|finally|throw|raise|typeof|instanceof|in|of|def|lambda|pass|yield|with|as|not|and|or|is|None|True|False|null|true|false|undefined|this|self|public|private|protected|static|void|int|float|string|bool|struct|enum|interface|type|package|func|fn|impl|mut|pub|use|match|select|insert|update|delete|where|create|table|values|into|join|on|group|by|order|limit)$/;
+  var MAX_CSV_ROWS = 1000;
+
+  function el(tag, attrs) {
+    var node = document.createElement(tag);
+    for (var k in attrs) node.setAttribute(k, attrs[k]);
+    return node;
+  }
+
+  function esc(s) {
+    return s.replace(/[&<>]/g, function (c) { return c === '&' ? '&amp;' : c === '<' ? '&lt;' : '&gt;'; });
+  }
+
+  // Resaltado mínimo: comentarios, cadenas, números y palabras clave comunes
+  function highlight(text, lang) {
+    var re = HASH_COMMENTS.test(lang)
+      ? /(#[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|(\b\d+(?:\.\d+)?\b)|([A-Za-z_]\w*)/g
+      : /(\/\/[^\n]*|\/\*[\s\S]*?\*\/|<!--[\s\S]*?-->)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_]\w*)/g;
+    var out = '';
+    var last = 0;
+    var m;
+    while ((m = re.exec(text))) {
+      var cls = m[1] ? 'c' : m[2] ? 's' : m[3] ? 'n' : KEYWORDS.test(m[4]) ? 'k' : '';
+      out += esc(text.slice(last, m.index));
+      out += cls ? '<span class="tok-' + cls + '">' + esc(m[0]) + '</span>' : esc(m[0]);
+      last = re.lastIndex;
+    }
+    return out + esc(text.slice(last));
+  }
+
+  // CSV/TSV con comillas dobles (RFC 4180); se corta en MAX_CSV_ROWS filas
+  function parseCsv(text, sep) {
+    var rows = [], row = [], cell = '', quoted = false;
+    for (var i = 0; i < text.length && rows.length < MAX_CSV_ROWS; i++) {
+      var ch = text[i];
+      if (quoted) {
+        if (ch !== '"') cell += ch;
+        else if (text[i + 1] === '"') { cell += '"'; i++; }
+        else quoted = false;
+      } else if (ch === '"') quoted = true;
+      else if (ch === sep) { row.push(cell); cell = ''; }
+      else if (ch === '\n') { row.push(cell); rows.push(row); row = []; cell = ''; }
+      else if (ch !== '\r') cell += ch;
+    }
+    if ((cell || row.length) && rows.length < MAX_CSV_ROWS) { row.push(cell); rows.push(row); }
+    return rows;
+  }
+
+  function csvTable(text, sep) {
+    var table = el('table', { 'class': 'pv-table' });
+    parseCsv(text, sep).forEach(function (cells, i) {
+      var tr = table.appendChild(el('tr', {}));
+      cells.forEach(function (c) { tr.appendChild(el(i === 0 ? 'th' : 'td', {})).textContent = c; });
+    });
+    return table;
+  }
+
+  function showText(src, lang) {
+    var pre = body.appendChild(el('pre', { 'class': 'pv-code' }));
+    pre.textContent = LOADING;
+    fetch(src, { credentials: 'same-origin' })
+      .then(function (r) { return r.ok ? r.text() : Promise.reject(r.status); })
+      .then(function (text) {
+        if (lang === 'csv' || lang === 'tsv') return body.replaceChild(csvTable(text, lang === 'csv' ? ',' : '\t'), pre);
+        if (PLAIN.test(lang)) pre.textContent = text;
+        else pre.innerHTML = highlight(text, lang);
+      })
+      .catch(function () { pre.textContent = FAILED; });
+  }
+
+  function open(btn) {
+    var kind = btn.getAttribute('data-preview');
+    var src = btn.getAttribute('data-src');
+    var name = btn.getAttribute('data-name');
+    title.textContent = name;
+    download.setAttribute('href', btn.getAttribute('data-download'));
+    body.textContent = '';
+    if (kind === 'pdf') body.appendChild(el('iframe', { src: src, title: name }));
+    else if (kind === 'image') body.appendChild(el('img', { src: src, alt: name }));
+    else if (kind === 'audio' || kind === 'video') body.appendChild(el(kind, { src: src, controls: '', preload: 'metadata' }));
+    else showText(src, btn.getAttribute('data-lang'));
+    modal.showModal();
+  }
+
+  document.querySelectorAll('[data-preview]').forEach(function (btn) {
+    btn.addEventListener('click', function () { open(btn); });
+  });
+  modal.querySelector('.pv-close').addEventListener('click', function () { modal.close(); });
+  // Al cerrar se vacía el cuerpo: corta la reproducción y las descargas en curso
+  modal.addEventListener('close', function () { body.textContent = ''; });
+  modal.addEventListener('click', function (e) { if (e.target === modal) modal.close(); });
+})();
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// scripts/apikeys.js — Administra las API keys del almacén local (AUTH_KEYS_FILE)
+//
+//   node scripts/apikeys.js list
+//   node scripts/apikeys.js create <subject> [--plan pro] [--name "CI de Acme"]
+//   node scripts/apikeys.js rotate <id> [--grace-hours 24]
+//   node scripts/apikeys.js revoke <id>
+//   node scripts/apikeys.js plan <id> <free|pro|promax>
+//   node scripts/apikeys.js token <subject> [--plan pro] [--ttl-hours 24]   (requiere AUTH_TOKEN_SECRET)
+import 'dotenv/config';
+import {
+  listApiKeys, createApiKey, rotateApiKey, revokeApiKey, setApiKeyPlan, issueBearerToken
+} from '../lib/auth.js';
+
+const [cmd, ...rest] = process.argv.slice(2);
+const args = [];
+const opts = {};
+for (let i = 0; i < rest.length; i++) {
+  if (rest[i].startsWith('--')) opts[rest[i].slice(2)] = rest[++i];
+  else args.push(rest[i]);
+}
+
+const print = (v) => console.log(JSON.stringify(v, null, 2));
+
+try {
+  switch (cmd) {
+    case 'list':
+      print(listApiKeys());
+      break;
+    case 'create':
+      print(createApiKey({ subject: args[0], plan: opts.plan, name: opts.name }));
+      console.error('Guarda la key: no se puede volver a mostrar.');
+      break;
+    case 'rotate':
+      print(rotateApiKey(args[0], { graceHours: parseFloat(opts['grace-hours'] || '0') }));
+      console.error('Guarda la key nueva: no se puede volver a mostrar.');
+      break;
+    case 'revoke':
+      revokeApiKey(args[0]);
+      console.log(`revocada ${args[0]}`);
+      break;
+    case 'plan':
+      setApiKeyPlan(args[0], args[1]);
+      console.log(`${args[0]} -> ${args[1]}`);
+      break;
+    case 'token':
+      print(issueBearerToken({ subject: args[0], plan: opts.plan, ttlSeconds: Math.round(parseFloat(opts['ttl-hours'] || '1') * 3600) }));
+      break;
+    default:
+      console.error('Uso: node scripts/apikeys.js <list|create|rotate|revoke|plan|token> ...');
+      process.exit(1);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
@@ -1,24 +1,37 @@
 // server.js — Mixtli Transfer v2.3.3 (R2 con AWS SDK v3, fixes + selftest)
+// dotenv primero: los módulos de lib/ leen su config del entorno al importarse
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import multer from 'multer';
 import { nanoid } from 'nanoid';
-import {
-  S3Client,
-  PutObjectCommand,
-  HeadObjectCommand,
-  GetObjectCommand,
-  ListObjectsV2Command,
-  DeleteObjectCommand
-} from '@aws-sdk/client-s3';
+import { Transform } from 'stream';
 import archiver from 'archiver';
-
-dotenv.config();
+import { enqueueMail, parseEmails, isEmail, MAIL_LANGS, mailQueueStats } from './lib/mailer.js';
+import { emitEvent, listDeliveries } from './lib/webhooks.js';
+import { requireAdmin } from './lib/admin.js';
+import { uploadTokensEnabled, verifyUploadKey } from './lib/uploadTokens.js';
+import { authenticate, verifyCredential, credentialFromReq } from './lib/auth.js';
+import { quotasFor, accountFromReq, meteredForEgress, sendQuotaError, createUsageStore } from './lib/quotas.js';
+import { rateLimit, consumeRule, notFoundGuard, trustProxySetting } from './lib/rateLimit.js';
+import { createStorage } from './lib/storage/index.js';
+import { createThumbnailer, thumbKind, thumbnailsInfo } from './lib/thumbnails.js';
+import { PREVIEW_ENABLED, PREVIEW_TEXT_MAX_BYTES, previewKind, previewLang, previewHeaders } from './lib/preview.js';
+import { i18n, t, errorMessage, formatBytes, formatDate, LANGS } from './lib/i18n.js';
+import { log, requestContext, accessLog } from './lib/logger.js';
+import { metrics, metricsMiddleware, metricsHandler, instrumentS3Client, countBytes } from './lib/metrics.js';
+import { s3ErrorCategory } from './lib/storage/s3.js';
+import { createActivityLog } from './lib/activity.js';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Primero que todo: X-Request-Id + logs JSON (lib/logger.js) y latencia por ruta para /metrics (lib/metrics.js)
+app.use(requestContext, accessLog, metricsMiddleware);
+
 /* ----------------------------------------------------------------------
  *  Seguridad CORS
  * -------------------------------------------------------------------- */
@@ -37,55 +50,35 @@ const corsCheck = cors({
 app.use(corsCheck);
 app.options('*', corsCheck);
 app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+// Idioma por ?lang= / Accept-Language: req.lang y `message` localizado en los errores JSON (lib/i18n.js)
+app.use(i18n);
+// JS del share page (public/)
+app.use('/assets', express.static(fileURLToPath(new URL('./public/', import.meta.url)), { maxAge: '1h' }));
 
-// Para que los links salgan con https detrás de Render/Proxies
-app.set('trust proxy', true);
+// Para que los links salgan con https detrás de Render/Proxies. También define req.ip para el
+// rate limiting: TRUST_PROXY = saltos de proxy (Render: 1) o lista de IPs/subredes confiables
+app.set('trust proxy', trustProxySetting('1'));
+
+// Rate limiting (lib/rateLimit.js): subidas por IP/API key; rutas con id de transfer además
+// cuentan 404 para frenar la enumeración de ids
+const uploadLimit = rateLimit('upload');
+const shareGuard = [rateLimit('share'), notFoundGuard];
+const sharePageGuard = [rateLimit('share', { html: true }), notFoundGuard];
 
 /* ----------------------------------------------------------------------
- *  Multer (memoria) — límites
+ *  Subidas — límites (el storage de multer está más abajo)
  * -------------------------------------------------------------------- */
 const MAX_MB = parseInt(process.env.MAX_FILE_SIZE_MB || '2000', 10);
 const MAX_FILES = parseInt(process.env.MAX_FILE_COUNT || '50', 10);
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: MAX_MB * 1024 * 1024, files: MAX_FILES }
-});
+const UPLOAD_PART_MB = parseInt(process.env.UPLOAD_PART_SIZE_MB || '8', 10);
+const UPLOAD_QUEUE_SIZE = parseInt(process.env.UPLOAD_QUEUE_SIZE || '2', 10);
 
 /* ----------------------------------------------------------------------
- *  Cloudflare R2 — AWS SDK v3 (S3 compatible)
+ *  Almacenamiento: STORAGE_DRIVER=s3 (Cloudflare R2 / S3, default) o local (disco)
  * -------------------------------------------------------------------- */
-// Normaliza endpoint: acepta 'https://host', 'host' o 'https://host/bucket' y deja solo host
-function normalizeEndpoint(ep) {
-  if (!ep) return null;
-  try {
-    const url = ep.startsWith('http') ? new URL(ep) : new URL('https://' + ep);
-    return `https://${url.hostname}`; // sin pathname/bucket
-  } catch {
-    const host = String(ep).replace(/^https?:\/\//i, '').split('/')[0].trim();
-    return host ? `https://${host}` : null;
-  }
-}
-const ENDPOINT_URL = normalizeEndpoint(process.env.S3_ENDPOINT);
-console.log('[BOOT] S3_ENDPOINT =', process.env.S3_ENDPOINT || '(undefined)');
-if (!ENDPOINT_URL) throw new Error('S3_ENDPOINT no definido o inválido (usa https://<account>.r2.cloudflarestorage.com)');
-
-const S3_REGION = process.env.S3_REGION || 'auto';
-const FORCE_PATH = String(process.env.S3_FORCE_PATH_STYLE || 'true') === 'true';
-const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || process.env.S3_ACCESS_KEY || '';
-const SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || process.env.S3_SECRET_KEY || '';
-const BUCKET = process.env.S3_BUCKET;
-if (!BUCKET) throw new Error('S3_BUCKET no definido');
-if (!ACCESS_KEY_ID || !SECRET_ACCESS_KEY) console.warn('[WARN] Faltan credenciales S3');
-
-const s3 = new S3Client({
-  endpoint: ENDPOINT_URL,               // p. ej. https://<account>.r2.cloudflarestorage.com
-  region: S3_REGION,                    // R2 acepta 'auto'
-  forcePathStyle: FORCE_PATH,           // obligatorio en R2
-  credentials: {
-    accessKeyId: ACCESS_KEY_ID,
-    secretAccessKey: SECRET_ACCESS_KEY
-  }
-});
+const storage = createStorage();
+if (storage.client) instrumentS3Client(storage.client); // mixtli_s3_errors_total
 
 // PUBLIC_BASE o PUBLIC_BASE_URL para “link público” del share (opcional)
 const PUBLIC_BASE = (process.env.PUBLIC_BASE && process.env.PUBLIC_BASE.trim())
@@ -93,53 +86,556 @@ const PUBLIC_BASE = (process.env.PUBLIC_BASE && process.env.PUBLIC_BASE.trim())
   || null;
 
 const DEFAULT_TTL = parseInt(process.env.LINK_TTL_DAYS || '7', 10);
+const MAX_TTL_DAYS = 30;
+const MAIL_MAX_RECIPIENTS = parseInt(process.env.MAIL_MAX_RECIPIENTS || '20', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transfers con contraseña: el token de desbloqueo se firma con UNLOCK_SECRET.
+// Sin él se genera uno por proceso (los tokens no sobreviven reinicios ni sirven entre instancias).
+const UNLOCK_SECRET = process.env.UNLOCK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.UNLOCK_SECRET) log.warn('UNLOCK_SECRET no definido; usando secreto efímero');
+const UNLOCK_TTL_MIN = parseInt(process.env.UNLOCK_TTL_MINUTES || '30', 10);
+// Tope de intentos de contraseña por transfer (cualquier IP) dentro de la ventana; ver unlockAttempt
+const UNLOCK_MAX_ATTEMPTS = parseInt(process.env.UNLOCK_MAX_ATTEMPTS || '10', 10);
+const UNLOCK_WINDOW_MS = parseInt(process.env.UNLOCK_WINDOW_MINUTES || '15', 10) * 60 * 1000;
 
 /* ----------------------------------------------------------------------
  *  Utils
  * -------------------------------------------------------------------- */
 const safeName = (name) => name.replace(/[\\#?<>:*|"\x00-\x1F]/g, '_');
+// Último segmento de una ruta de archivo ('docs/2024/a.pdf' -> 'a.pdf')
+const baseName = (name) => name.slice(name.lastIndexOf('/') + 1);
+
+// busboy (vía multer) lee el filename de multipart como latin1 y los navegadores mandan UTF-8 crudo:
+// si el texto cabe en latin1 y esos bytes son UTF-8 válido, se reinterpreta ('cafÃ©' -> 'café')
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+function decodeFilename(raw) {
+  const str = String(raw ?? '');
+  if (!/[\x80-\xFF]/.test(str) || /[^\x00-\xFF]/.test(str)) return str;
+  try { return utf8.decode(Buffer.from(str, 'latin1')); } catch { return str; }
+}
+
+// Ruta relativa de un archivo subido desde una carpeta ('docs\\2024/./a.pdf' -> 'docs/2024/a.pdf'),
+// en Unicode NFC ('é' compuesto, como lo escribe macOS o no). Es el nombre que se muestra: las keys
+// del storage van por id de archivo. null si no es segura: absoluta, con '..', caracteres de control,
+// segmentos de más de 255 o más de MAX_PATH_DEPTH niveles
+const MAX_PATH_DEPTH = 32;
+function normalizePath(raw) {
+  const str = String(raw ?? '').normalize('NFC').trim();
+  if (!str || str.length > 1024 || /[\x00-\x1F\x7F]/.test(str)) return null;
+  const unified = str.replace(/\\/g, '/');
+  if (unified.startsWith('/') || /^[a-zA-Z]:(\/|$)/.test(unified)) return null;
+  const parts = unified.split('/').filter(p => p !== '' && p !== '.');
+  if (!parts.length || parts.length > MAX_PATH_DEPTH) return null;
+  if (parts.some(p => p === '..' || p.length > 255)) return null;
+  return parts.join('/');
+}
+
+// Una ruta choca con otras si se repite o si una es carpeta de la otra ('docs' y 'docs/a.pdf')
+function pathTaken(names, name) {
+  for (const n of names) {
+    if (n === name || n.startsWith(`${name}/`) || name.startsWith(`${n}/`)) return true;
+  }
+  return false;
+}
 const toRFC3339 = (d) => d.toISOString();
+const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Range de un solo tramo ("bytes=a-b", "bytes=a-", "bytes=-n"). null = servir completo
+// (sin Range o con varios tramos); false = no satisfacible (416)
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start, end;
+  if (m[1] === '') {
+    const suffix = parseInt(m[2], 10);
+    if (!suffix) return false;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+const stripWeak = (etag) => String(etag).trim().replace(/^W\//, '');
+
+// If-None-Match tiene prioridad sobre If-Modified-Since (RFC 9110 §13.2.2)
+function isNotModified(req, head) {
+  const inm = req.get('if-none-match');
+  if (inm) {
+    if (inm.trim() === '*') return true;
+    return Boolean(head.etag) && inm.split(',').some(t => stripWeak(t) === stripWeak(head.etag));
+  }
+  const ims = Date.parse(req.get('if-modified-since') || '');
+  if (!Number.isNaN(ims) && head.lastModified) {
+    return Math.floor(new Date(head.lastModified).getTime() / 1000) <= Math.floor(ims / 1000);
+  }
+  return false;
+}
+
+// If-Range: solo se respeta el Range si el validador coincide (ETag fuerte o fecha exacta)
+function ifRangeMatches(req, head) {
+  const ifRange = req.get('if-range');
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    return !ifRange.startsWith('W/') && ifRange === head.etag;
+  }
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && head.lastModified &&
+    Math.floor(new Date(head.lastModified).getTime() / 1000) === Math.floor(date / 1000);
+}
+
+// Acceso al almacenamiento (ver lib/storage/index.js); head -> { size, contentType, etag, lastModified } | null
+const putObject = (key, body, contentType) => storage.put(key, body, contentType);
+const createObject = (key, body, contentType) => storage.create(key, body, contentType); // false si ya existía
+const headObject = (key) => storage.head(key);
+const copyObject = (fromKey, key) => storage.copy(fromKey, key);
+const getObjectStream = (key, range) => storage.getStream(key, range); // range: { start, end }
+// Con delimiter devuelve también los "directorios" (prefixes)
+const listObjects = (prefix, delimiter) => storage.list(prefix, delimiter);
+async function listKeys(prefix) {
+  const { objects } = await listObjects(prefix);
+  return objects.map(o => o.key);
+}
+const deleteKeys = (keys) => storage.deleteMany(keys);
+
+// Lee un objeto JSON; null si no existe
+async function readJsonObject(Key) {
+  const head = await headObject(Key);
+  if (!head) return null;
+  const stream = await getObjectStream(Key);
+  let buf = Buffer.from([]);
+  for await (const c of stream) buf = Buffer.concat([buf, c]);
+  return JSON.parse(buf.toString('utf8'));
+}
+
+// Lee transfers/<id>/manifest.json; null si no existe
+const readManifest = (id) => readJsonObject(`transfers/${id}/manifest.json`);
+async function writeManifest(manifest) {
+  await putObject(`transfers/${manifest.id}/manifest.json`, Buffer.from(JSON.stringify(manifest, null, 2)), 'application/json');
+}
+
+// Metadatos de objetos subidos por presign/multipart (SHA-256 del cliente, transfer al que pertenecen)
+const uploadMetaKey = (key) => `_meta/${key}.json`;
+
+// Cada archivo lleva un id propio (f.id) que va en su key y en las URLs: dos nombres que se
+// sanitizan igual ('a?.txt' y 'a_.txt') ya no se pisan. Los transfers anteriores no tienen id y
+// siguen guardados y enlazados por nombre (safeName) hasta que se renombra el archivo.
+const newFileId = () => nanoid(12);
+// Lo que va en /api/file/:id/:ref, /api/preview y /api/thumb
+const fileRef = (f) => f.id || f.name;
+
+// Archivo por id o, para links viejos, por nombre (exacto en NFC; por safeName solo los que no tienen id)
+function findFile(manifest, ref) {
+  const byId = manifest.files.findIndex(f => f.id && f.id === ref);
+  if (byId >= 0) return byId;
+  const name = String(ref).normalize('NFC');
+  const exact = manifest.files.findIndex(f => f.name === name);
+  return exact >= 0 ? exact : manifest.files.findIndex(f => !f.id && safeName(f.name) === safeName(name));
+}
+// Los archivos de transfers finalizados viven en uploads/ (f.key); el resto en transfers/<id>/<id de archivo>
+const fileKey = (manifest, f) => f.key || `transfers/${manifest.id}/${f.id || safeName(f.name)}`;
+// Miniatura (JPEG) de un archivo; vive siempre junto al transfer aunque el archivo esté en uploads/
+const thumbKey = (manifest, f) => `transfers/${manifest.id}/.thumbs/${f.id || safeName(f.name)}.jpg`;
+// Objetos del transfer que están fuera de transfers/<id>/
+const externalKeys = (manifest) =>
+  (manifest?.files || []).filter(f => f.key).flatMap(f => [f.key, uploadMetaKey(f.key)]);
+
+/* ----------------------------------------------------------------------
+ *  Contraseñas y tokens de desbloqueo
+ * -------------------------------------------------------------------- */
+const scryptAsync = (pw, salt) => new Promise((resolve, reject) =>
+  crypto.scrypt(pw, salt, 32, (err, key) => err ? reject(err) : resolve(key))
+);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt);
+  return { algo: 'scrypt', salt: salt.toString('base64'), hash: hash.toString('base64') };
+}
+async function verifyPassword(password, stored) {
+  if (!stored || stored.algo !== 'scrypt') return false;
+  const expected = Buffer.from(stored.hash, 'base64');
+  const actual = await scryptAsync(String(password || ''), Buffer.from(stored.salt, 'base64'));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const unlockSig = (id, exp) =>
+  crypto.createHmac('sha256', UNLOCK_SECRET).update(`${id}.${exp}`).digest('base64url');
+
+// Token "<exp>.<firma>" ligado al id del transfer
+function issueUnlockToken(id) {
+  const exp = Date.now() + UNLOCK_TTL_MIN * 60 * 1000;
+  return { token: `${exp}.${unlockSig(id, exp)}`, expiresAt: new Date(exp) };
+}
+function verifyUnlockToken(id, token) {
+  const [exp, sig] = String(token || '').split('.');
+  if (!exp || !sig || !(Number(exp) > Date.now())) return false;
+  const expected = Buffer.from(unlockSig(id, exp));
+  const actual = Buffer.from(sig);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+const unlockCookieName = (id) => `mxt_${id}`;
+function readCookie(req, name) {
+  const raw = req.headers.cookie || '';
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+function setUnlockCookie(req, res, id, token) {
+  const attrs = [`Path=/`, `Max-Age=${UNLOCK_TTL_MIN * 60}`, 'HttpOnly', 'SameSite=Lax'];
+  if (req.secure) attrs.push('Secure');
+  res.append('Set-Cookie', `${unlockCookieName(id)}=${encodeURIComponent(token)}; ${attrs.join('; ')}`);
+}
 
-async function putObject(Key, Body, ContentType) {
-  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key, Body, ContentType }));
+// true si el transfer no tiene contraseña o la petición trae un token válido (?token=, header o cookie)
+function isUnlocked(req, manifest) {
+  if (!manifest.password) return true;
+  const token = req.query.token || req.get('x-transfer-token') || readCookie(req, unlockCookieName(manifest.id));
+  return verifyUnlockToken(manifest.id, token);
 }
-async function headObject(Key) {
+
+// Intentos de desbloqueo por transfer, aparte del rate limit por IP (la regla 'unlock' se puede apagar
+// y no frena a quien reparte intentos entre IPs). Cada intento deja un marcador
+// transfers/<id>/.unlock/<ms>-<nanoid> antes de verificar la contraseña, así los intentos simultáneos
+// también cuentan. Devuelve { done(ok) } para cerrar el intento (un acierto borra su marcador) o
+// { retryAfter } si ya se agotaron los de la ventana.
+async function unlockAttempt(id) {
+  const prefix = `transfers/${id}/.unlock/`;
+  const key = `${prefix}${Date.now()}-${nanoid(8)}`;
+  await putObject(key, Buffer.alloc(0), 'text/plain');
+  const since = Date.now() - UNLOCK_WINDOW_MS;
+  const at = (k) => parseInt(k.slice(prefix.length), 10);
+  const keys = await listKeys(prefix);
+  const stale = keys.filter(k => at(k) < since);
+  if (stale.length) deleteKeys(stale).catch(err => log.warn('unlock_cleanup_error', err));
+  const recent = keys.filter(k => at(k) >= since).sort();
+  if (recent.length > UNLOCK_MAX_ATTEMPTS) {
+    // El intento rechazado no cuenta: la ventana vence con el más viejo de los que sí se probaron
+    await deleteKeys([key]);
+    return { retryAfter: Math.max(1, Math.ceil((at(recent[0]) + UNLOCK_WINDOW_MS - Date.now()) / 1000)) };
+  }
+  return { done: (ok) => ok ? deleteKeys([key]) : Promise.resolve() };
+}
+
+// Vista pública del manifest: nunca expone el hash; sin desbloquear oculta la lista de archivos
+function publicManifest(manifest, unlocked) {
+  const { password, owner, notify, account, ...rest } = manifest;
+  const out = { ...rest, locked: Boolean(password) };
+  // Las keys internas de uploads/ no se publican
+  if (unlocked) out.files = rest.files.map(({ key, ...f }) => f);
+  else delete out.files;
+  return out;
+}
+
+/* ----------------------------------------------------------------------
+ *  Owner token (gestión del transfer)
+ * -------------------------------------------------------------------- */
+// Se entrega una sola vez al crear el transfer; en el manifest solo queda su SHA-256
+const issueOwnerToken = () => crypto.randomBytes(24).toString('base64url');
+const hashOwnerToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function isOwner(req, manifest) {
+  const token = req.get('x-owner-token') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!token || !manifest.owner?.hash) return false;
+  const a = Buffer.from(hashOwnerToken(token));
+  const b = Buffer.from(manifest.owner.hash);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Cuenta dueña: API key / bearer token (lib/auth.js) del mismo subject con el que se creó el transfer
+function isOwnerAccount(req, manifest) {
+  const identity = verifyCredential(credentialFromReq(req));
+  return Boolean(identity && manifest.account?.subject === identity.subject);
+}
+
+// Carga el manifest en req.manifest y exige el owner token (o, con allowAccount, la cuenta dueña)
+const ownerGuard = ({ allowAccount }) => async (req, res, next) => {
   try {
-    return await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key }));
-  } catch (e) {
-    if (e?.$metadata?.httpStatusCode === 404 || e?.name === 'NotFound') return null;
-    throw e;
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return res.status(404).json({ error: 'not_found' });
+    if (!isOwner(req, manifest) && !(allowAccount && isOwnerAccount(req, manifest))) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    req.manifest = manifest;
+    next();
+  } catch (err) {
+    log.error('owner_auth_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+};
+const requireOwner = ownerGuard({ allowAccount: false });
+const requireOwnerOrAccount = ownerGuard({ allowAccount: true });
+
+/* ----------------------------------------------------------------------
+ *  Contador de descargas (límite y burn-after-download)
+ * -------------------------------------------------------------------- */
+// Cada descarga deja un marcador vacío en transfers/<id>/.downloads/, así el conteo sobrevive
+// reinicios y es consistente entre instancias. El marcador se escribe antes de mandar el primer byte
+// (reserveDownload) y se borra si la respuesta se corta: cuenta solo la descarga terminada.
+//
+// Regla del límite: cada archivo se puede bajar maxDownloads veces (1 con burn-after-download),
+// suelto o dentro de un ZIP (el completo o el de una carpeta cuentan una vez por cada archivo que
+// traen). Un archivo que llegó al límite responde 410 aunque queden otros; el transfer entero llega
+// (410 download_limit_reached en manifest y share page) cuando todos sus archivos llegaron, es decir
+// cuando se bajó completo maxDownloads veces. Con burn-after-download se quema al bajarse completo una vez.
+//
+// Con límite, cada descarga de un archivo ocupa un lugar 'slot-<n>.f<id>' (n = 1..límite) que se crea
+// con escritura condicional: de dos descargas simultáneas que piden el último lugar pasa una sola.
+// DOWNLOAD_STORE_MODULE permite cambiarlo por otro store que exporte { record(id, kind) -> marcador,
+// claim(id, kind, limit) -> marcador | null, list(id) -> [{ kind, marker }], remove(id, marcadores) }.
+const downloadsPrefix = (id) => `transfers/${id}/.downloads/`;
+const bucketDownloadStore = {
+  async record(id, kind) {
+    const key = `${downloadsPrefix(id)}${Date.now()}-${nanoid(6)}.${kind}`;
+    await putObject(key, Buffer.alloc(0), 'text/plain');
+    return key;
+  },
+  // Primer lugar libre de `kind`; null si los `limit` están ocupados
+  async claim(id, kind, limit) {
+    const taken = new Set(await listKeys(downloadsPrefix(id)));
+    for (let n = 1; n <= limit; n++) {
+      const key = `${downloadsPrefix(id)}slot-${n}.${kind}`;
+      if (!taken.has(key) && await createObject(key, Buffer.alloc(0), 'text/plain')) return key;
+    }
+    return null;
+  },
+  async list(id) {
+    const keys = await listKeys(downloadsPrefix(id));
+    return keys.map(k => ({ kind: k.slice(k.lastIndexOf('.') + 1), marker: k }));
+  },
+  async remove(id, markers) {
+    await deleteKeys(markers.filter(k => k.startsWith(downloadsPrefix(id))));
+  }
+};
+const downloadStore = process.env.DOWNLOAD_STORE_MODULE
+  ? (await import(path.resolve(process.env.DOWNLOAD_STORE_MODULE))).default
+  : bucketDownloadStore;
+
+// Veces que puede bajarse cada archivo; 0 = sin límite
+const downloadLimit = (manifest) => (manifest.burnAfterDownload ? 1 : manifest.maxDownloads || 0);
+
+// Marcador de la descarga de un archivo: 'f<id de archivo>', o 'f<índice>' en transfers anteriores sin ids
+const downloadKind = (manifest, f) => `f${f.id || manifest.files.indexOf(f)}`;
+const fileByKind = (manifest, kind) => manifest.files.find(f => downloadKind(manifest, f) === kind);
+
+// Descargas de cada archivo (Map downloadKind -> n): las suyas más los ZIP completos sin lugares
+// por archivo (los de transfers sin límite). Los ZIP de carpeta sin límite no se cuentan
+function downloadCounts(manifest, downloads) {
+  const zips = downloads.filter(d => d.kind === 'zip').length;
+  const counts = new Map(manifest.files.map(f => [downloadKind(manifest, f), zips]));
+  for (const d of downloads) if (counts.has(d.kind)) counts.set(d.kind, counts.get(d.kind) + 1);
+  return counts;
+}
+
+// true si alguno de `files` ya se bajó todas las veces permitidas
+async function downloadsExhausted(manifest, files) {
+  const limit = downloadLimit(manifest);
+  if (!limit) return false;
+  const counts = downloadCounts(manifest, await downloadStore.list(manifest.id));
+  return files.some(f => counts.get(downloadKind(manifest, f)) >= limit);
+}
+
+// Motivo por el que el transfer ya no se sirve (410), o null si sigue disponible
+async function goneReason(manifest) {
+  if (manifest.burnedAt) return 'burned';
+  if (new Date(manifest.expiresAt) < new Date()) return 'expired';
+  if (manifest.maxDownloads && manifest.files.length) {
+    const counts = downloadCounts(manifest, await downloadStore.list(manifest.id));
+    if (Math.min(...counts.values()) >= manifest.maxDownloads) return 'download_limit_reached';
+  }
+  return null;
+}
+
+// Borra los objetos del transfer y deja solo un manifest "quemado" (sin archivos) para responder 410.
+// La actividad se conserva: el remitente quiere saber quién lo bajó justamente en estos transfers
+async function burnTransfer(manifest) {
+  const manKey = `transfers/${manifest.id}/manifest.json`;
+  const keep = (k) => k === manKey || k.startsWith(`transfers/${manifest.id}/.activity/`);
+  const keys = (await listKeys(`transfers/${manifest.id}/`)).filter(k => !keep(k)).concat(externalKeys(manifest));
+  await deleteKeys(keys);
+  await writeManifest({ ...manifest, files: [], count: 0, totalBytes: 0, burnedAt: toRFC3339(new Date()) });
+  releaseStorage(manifest);
+  log.info('burn', { id: manifest.id, objects: keys.length });
+  emitEvent('transfer.deleted', { id: manifest.id, reason: 'burned' });
+}
+
+// Antes de quitar el archivo `index` se borran sus marcadores; en transfers sin ids los 'f<índice>'
+// de los archivos siguientes se corren uno para que sigan apuntando al mismo archivo
+async function forgetDownloads(manifest, index) {
+  const removed = downloadKind(manifest, manifest.files[index]);
+  const shifted = new Map(manifest.files.map((f, i) => [i, f])
+    .filter(([i, f]) => i > index && !f.id).map(([i]) => [`f${i}`, `f${i - 1}`]));
+  const stale = (await downloadStore.list(manifest.id)).filter(d => d.kind === removed || shifted.has(d.kind));
+  for (const d of stale) if (shifted.has(d.kind)) await downloadStore.record(manifest.id, shifted.get(d.kind));
+  if (stale.length) await downloadStore.remove(manifest.id, stale.map(d => d.marker));
+}
+
+// Reserva la descarga antes de mandar el primer byte (kind: 'zip', 'dir' = ZIP de la carpeta `folder`
+// o el de un archivo, ver downloadKind; files = los archivos que entrega). Con límite ocupa un lugar
+// por archivo y devuelve false si alguno ya no tiene (otra descarga en curso se lo llevó). Al terminar
+// la respuesta se avisa (downloadFinished); si se corta antes, se liberan los marcadores
+async function reserveDownload(manifest, res, { kind, files, folder }) {
+  const limit = downloadLimit(manifest);
+  const markers = [];
+  const release = () => markers.length && downloadStore.remove(manifest.id, markers)
+    .catch(err => log.error('download_release_error', err));
+  if (!limit) markers.push(await downloadStore.record(manifest.id, kind));
+  for (const f of limit ? files : []) {
+    const marker = await downloadStore.claim(manifest.id, downloadKind(manifest, f), limit);
+    if (!marker) {
+      await release();
+      return false;
+    }
+    markers.push(marker);
   }
+  res.on('close', () => (res.writableFinished ? downloadFinished(manifest, kind, folder) : release()));
+  return true;
 }
-async function getObjectStream(Key) {
-  const r = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key }));
-  return r.Body; // stream
+
+// Descarga reservada que otra en curso ganó: puede liberarse si esa se corta
+function sendDownloadBusy(req, res) {
+  res.setHeader('Retry-After', '5');
+  return sendTextError(req, res, 503, 'download_busy');
 }
 
+// Descarga terminada: eventos, aviso al remitente de la primera y burn si ya se bajó entero
+async function downloadFinished(manifest, kind, folder) {
+  try {
+    const file = kind.startsWith('f') ? fileByKind(manifest, kind) : null;
+    if (kind === 'zip' || kind === 'dir') {
+      const files = folder ? filesInFolder(manifest, folder) : manifest.files;
+      emitEvent('transfer.zipped', {
+        id: manifest.id, count: files.length, totalBytes: files.reduce((n, f) => n + f.size, 0), ...(folder ? { folder } : {})
+      });
+    } else emitEvent('transfer.downloaded', { id: manifest.id, file: file?.name || null, fileId: file?.id || null });
+    // Solo la primera descarga terminada crea el aviso (escritura condicional): uno y solo uno
+    if (manifest.notify && await createObject(`transfers/${manifest.id}/.notified/first-download`, Buffer.alloc(0), 'text/plain')) {
+      const what = kind === 'zip' ? 'ZIP' : kind === 'dir' ? `${folder}/ (ZIP)` : file?.name || kind;
+      enqueueMail(manifest.notify.senderEmail, 'firstDownload', manifest.notify.lang,
+        { id: manifest.id, title: manifest.title, link: manifest.notify.link, what });
+    }
+    if (!manifest.burnAfterDownload) return;
+    const counts = downloadCounts(manifest, await downloadStore.list(manifest.id));
+    if ([...counts.values()].every(n => n > 0)) await burnTransfer(manifest);
+  } catch (err) {
+    log.error('download_record_error', err);
+  }
+}
+
+/* ----------------------------------------------------------------------
+ *  Actividad del transfer: vistas del share page y descargas (ver lib/activity.js)
+ * -------------------------------------------------------------------- */
+const activity = createActivityLog({
+  put: (Key, value) => putObject(Key, Buffer.from(JSON.stringify(value)), 'application/json'),
+  list: listKeys,
+  get: readJsonObject
+});
+
+// Un fallo al registrar no debe cortar la página ni la descarga
+const trackActivity = (manifest, req, event) =>
+  activity.record(manifest.id, req, event).catch(err => log.error('activity_error', err));
+
+// Registra la descarga al cerrarse la respuesta (terminada o cortada) con los bytes que pasaron por
+// `egress` (countEgress); isComplete decide si llegó hasta el final
+function trackDownload(manifest, req, res, egress, event, isComplete = () => res.writableFinished) {
+  res.on('close', () => trackActivity(manifest, req, { ...event, bytes: egress.bytes, completed: isComplete() }));
+}
+
+/* ----------------------------------------------------------------------
+ *  Cuotas por plan (ver lib/quotas.js)
+ * -------------------------------------------------------------------- */
+// El plan viene de la API key / bearer token (lib/auth.js); anónimos = DEFAULT_PLAN por IP
+const DEFAULT_PLAN = String(process.env.DEFAULT_PLAN || 'free').toLowerCase();
+const usage = createUsageStore({
+  get: readJsonObject,
+  put: (Key, value) => putObject(Key, Buffer.from(JSON.stringify(value)), 'application/json')
+});
+
+// Errores de contabilidad no deben tumbar una subida o descarga ya servida
+const trackUsage = (promise) => promise.catch(err => log.error('usage_error', err));
+
+// Libera el almacenamiento de un transfer (borrado, quemado o expirado)
+function releaseStorage(manifest, bytes = manifest?.totalBytes) {
+  if (manifest?.account && bytes > 0) trackUsage(usage.addStorage(manifest.account.subject, -bytes));
+}
+
+// Cuenta los bytes que realmente salieron: mixtli_download_bytes_total{kind} y, si el transfer
+// tiene cuenta dueña autenticada, su egress del mes (los anónimos no se miden, ver lib/quotas.js).
+// El total queda en counter.bytes (ver trackDownload)
+function countEgress(manifest, res, kind) {
+  const counter = new Transform({
+    transform(chunk, _enc, cb) { counter.bytes += chunk.length; cb(null, chunk); }
+  });
+  counter.bytes = 0;
+  res.on('close', () => {
+    if (!counter.bytes) return;
+    metrics.downloadBytes.inc({ kind }, counter.bytes);
+    if (meteredForEgress(manifest.account)) trackUsage(usage.addEgress(manifest.account.subject, counter.bytes));
+  });
+  return counter;
+}
+
+// 429 si la cuenta dueña del transfer ya agotó su egress del mes
+async function egressBlocked(manifest, res) {
+  if (!meteredForEgress(manifest.account)) return false;
+  const over = await usage.checkEgress(manifest.account);
+  if (!over) return false;
+  sendQuotaError(res, over);
+  return true;
+}
+
+// Antes de recibir archivos: transfers del día y almacenamiento ya lleno
+async function requireTransferQuota(req, res, next) {
+  try {
+    req.account = accountFromReq(req, DEFAULT_PLAN);
+    const over = await usage.checkTransfer(req.account);
+    if (over) return sendQuotaError(res, over);
+    next();
+  } catch (err) {
+    log.error('quota_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+}
+
+// La categoría (s3ErrorCategory) es la misma que agrupa mixtli_s3_errors_total en /metrics
 function mapS3Error(err) {
   const code = err?.code || err?.name || '';
   const msg  = err?.message || '';
-  if (code === 'CredentialsError' || code === 'InvalidAccessKeyId' || code === 'ExpiredToken') {
-    return { status: 401, body: { error: 'Unauthorized', hint: 'R2 API Token incorrecto' } };
-  }
-  if (code === 'SignatureDoesNotMatch' || code === 'AccessDenied') {
-    return { status: 401, body: { error: 'Unauthorized', hint: 'Endpoint sin /bucket, region=auto, path-style=true' } };
+  const category = s3ErrorCategory(err);
+  if (category === 'Unauthorized') {
+    const hint = code === 'SignatureDoesNotMatch' || code === 'AccessDenied'
+      ? 'Endpoint sin /bucket, region=auto, path-style=true'
+      : 'R2 API Token incorrecto';
+    return { status: 401, body: { error: 'Unauthorized', hint } };
   }
-  if (code === 'Forbidden') {
+  if (category === 'Forbidden') {
     return { status: 403, body: { error: 'Forbidden', hint: 'Faltan permisos (Bucket/Object RWLD)' } };
   }
-  if (code === 'NoSuchBucket') {
-    return { status: 404, body: { error: 'no_such_bucket', hint: `Bucket "${BUCKET}" no existe o está mal escrito` } };
+  if (category === 'no_such_bucket') {
+    return { status: 404, body: { error: 'no_such_bucket', hint: `Bucket "${storage.bucket}" no existe o está mal escrito` } };
   }
-  return { status: 500, body: { error: 's3_error', code, message: msg } };
+  // Driver local: errores del sistema de archivos (EACCES, ENOSPC...)
+  if (storage.driver === 'local') return { status: 500, body: { error: 'storage_error', code, detail: msg } };
+  return { status: 500, body: { error: 's3_error', code, detail: msg } };
 }
 
 /* ----------------------------------------------------------------------
- *  Portada (opcional) y Salud
+ *  Portada (opcional), Salud y Métricas
  * -------------------------------------------------------------------- */
 app.get('/', (req, res) => {
+  const l = req.lang;
   res.type('html').send(`<!doctype html>
-<html lang="es"><head><meta charset="utf-8"/>
+<html lang="${l}"><head><meta charset="utf-8"/>
 <title>Mixtli Transfer API</title>
 <style>
   body{font-family:system-ui,Segoe UI,Roboto;background:#0f1117;color:#e5e9f3;padding:24px}
@@ -150,39 +646,70 @@ app.get('/', (req, res) => {
 </style></head>
 <body>
   <div class="card">
-    <h1>Mixtli Transfer — API</h1>
-    <p class="muted">Backend vivo. Rutas útiles:</p>
+    <h1>${t(l, 'landing.title')}</h1>
+    <p class="muted">${t(l, 'landing.alive')}</p>
     <ul>
       <li><a href="/api/health">/api/health</a></li>
-      <li><a href="/api/r2-selftest">/api/r2-selftest</a> (prueba credenciales R2)</li>
-      <li><code>POST /api/transfers</code> (subir archivos con <code>multipart/form-data</code>)</li>
-      <li><code>GET /t/:id</code> (vista pública de un bundle)</li>
+      <li><a href="/api/r2-selftest">/api/r2-selftest</a> (${t(l, 'landing.selftest')})</li>
+      <li><code>POST /api/transfers</code> (${t(l, 'landing.upload')} <code>multipart/form-data</code>)</li>
+      <li><code>GET /t/:id</code> (${t(l, 'landing.share')})</li>
     </ul>
   </div>
 </body></html>`);
 });
 
-app.get('/api/health', (req, res) =>
+app.get('/api/health', async (req, res) =>
   res.json({
     ok: true,
     time: new Date().toISOString(),
-    bucket: BUCKET,
-    endpoint: ENDPOINT_URL,
-    region: S3_REGION,
-    forcePathStyle: FORCE_PATH
+    ...storage.info(),
+    mail: mailQueueStats(),
+    thumbnails: await thumbnailsInfo()
   })
 );
 
+// Prometheus (texto); METRICS_TOKEN lo protege con Bearer
+app.get('/metrics', metricsHandler);
+
 /* ----------------------------------------------------------------------
  *  Diag & Self-Test
  * -------------------------------------------------------------------- */
 app.get('/api/diag/s3', async (req, res) => {
   try {
-    const data = await s3.send(new ListObjectsV2Command({
-      Bucket: BUCKET, MaxKeys: 1, Prefix: 'transfers/'
-    }));
-    res.json({ ok: true, count: data?.KeyCount || 0 });
+    const { count } = await storage.probe();
+    res.json({ ok: true, driver: storage.driver, count });
+  } catch (err) {
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+// Multipart abiertos en el bucket y lo que el janitor ha abortado
+app.get('/api/diag/multipart', requireAdmin, async (req, res) => {
+  try {
+    const uploads = await listMultipartUploads();
+    const cutoff = Date.now() - MP_MAX_AGE_HOURS * 60 * 60 * 1000;
+    res.json({
+      ok: true,
+      intervalMinutes: MP_JANITOR_INTERVAL_MIN, maxAgeHours: MP_MAX_AGE_HOURS, dryRun: MP_JANITOR_DRY_RUN,
+      open: uploads.length,
+      stale: uploads.filter(u => u.initiated.getTime() < cutoff).length,
+      running: janitorRunning, runs: janitorRuns
+    });
+  } catch (err) {
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+app.post('/api/diag/multipart/run', requireAdmin, async (req, res) => {
+  try {
+    const flag = req.query.dryRun ?? req.body?.dryRun;
+    const dryRun = flag === undefined ? MP_JANITOR_DRY_RUN : ['true', '1', true].includes(flag);
+    res.json(await multipartJanitorOnce({ dryRun }));
   } catch (err) {
+    if (err.message === 'janitor_in_progress') return res.status(409).json({ error: 'janitor_in_progress' });
+    log.error('multipart_janitor_error', err);
     const m = mapS3Error(err);
     res.status(m.status).json(m.body);
   }
@@ -191,12 +718,12 @@ app.get('/api/diag/s3', async (req, res) => {
 app.get('/api/r2-selftest', async (req, res) => {
   try {
     // Head "suave" de un objeto (si no existe, no es error fatal)
-    await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: '__check__' })).catch(()=>{});
+    await headObject('__check__').catch(()=>{});
     // Put/Delete de prueba
     const testKey = `__selftest__/t-${Date.now()}.txt`;
-    await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: testKey, Body: 'ok-mixtli', ContentType: 'text/plain' }));
-    await s3.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: testKey }));
-    res.json({ ok: true, message: 'R2 v3 OK', endpoint: ENDPOINT_URL });
+    await putObject(testKey, Buffer.from('ok-mixtli'), 'text/plain');
+    await deleteKeys([testKey]);
+    res.json({ ok: true, message: storage.driver === 's3' ? 'R2 v3 OK' : 'Storage OK', ...storage.info() });
   } catch (err) {
     const m = mapS3Error(err);
     res.status(m.status).json({
@@ -206,53 +733,338 @@ app.get('/api/r2-selftest', async (req, res) => {
   }
 });
 
+/* ----------------------------------------------------------------------
+ *  Subida en streaming al storage
+ * -------------------------------------------------------------------- */
+// Storage de multer que sube cada archivo mientras llega, sin guardarlo en memoria.
+// En S3/R2, lib-storage parte el stream en partes de UPLOAD_PART_SIZE_MB (multipart si hay más de una).
+// El filename de cada parte puede traer la ruta relativa de una carpeta (webkitRelativePath):
+// se normaliza con normalizePath y se conserva como nombre del archivo en el manifest.
+const pathError = (code, path) => Object.assign(new Error(code), { code, path });
+
+const streamingStorage = {
+  _handleFile(req, file, cb) {
+    const name = normalizePath(decodeFilename(file.originalname));
+    if (!name) return cb(pathError('invalid_path', decodeFilename(file.originalname)));
+    const fileId = newFileId();
+    const key = `transfers/${req.transferId}/${fileId}`;
+    file.key = key; // para poder borrarlo aunque la subida falle a medias
+    let size = 0;
+    const hash = crypto.createHash('sha256'); // se calcula al vuelo, sin releer el objeto
+    const body = new Transform({
+      transform(chunk, _enc, done) {
+        size += chunk.length;
+        hash.update(chunk);
+        metrics.uploadBytes.inc({ source: 'form' }, chunk.length);
+        done(null, chunk);
+      }
+    });
+    const uploader = storage.upload(key, body, file.mimetype || 'application/octet-stream', {
+      partSize: UPLOAD_PART_MB * 1024 * 1024,
+      queueSize: UPLOAD_QUEUE_SIZE
+    });
+    // Cortar el body además de abortar hace que lib-storage aborte el multipart en R2
+    const cancel = () => { uploader.abort(); body.destroy(); };
+    // Archivo por encima de MAX_FILE_SIZE_MB: no tiene caso terminar de subirlo
+    file.stream.on('limit', cancel);
+    file.stream.pipe(body);
+
+    req.activeUploads.add(cancel);
+    uploader.done()
+      .then(() => cb(null, { key, fileId, name, size, sha256: hash.digest('hex') }), cb)
+      .finally(() => req.activeUploads.delete(cancel));
+  },
+  _removeFile(req, file, cb) {
+    if (!file.key) return cb(null);
+    deleteKeys([file.key]).then(() => cb(null), cb);
+  }
+};
+
+const upload = multer({
+  storage: streamingStorage,
+  preservePath: true, // sin esto busboy se queda solo con el último segmento del filename
+  limits: { fileSize: MAX_MB * 1024 * 1024, files: MAX_FILES }
+});
+
+// Borra lo que haya alcanzado a escribirse de un transfer que no llegó a tener manifest
+async function discardTransfer(id) {
+  try {
+    await deleteKeys(await listKeys(`transfers/${id}/`));
+  } catch (err) {
+    log.error('upload_cleanup_error', err, { id });
+  }
+}
+
+// Envuelve multer: asigna el id antes de recibir archivos, aborta las subidas si el cliente
+// corta la conexión y responde JSON a los errores de límites
+function receiveFiles(req, res, next) {
+  req.transferId = nanoid(10);
+  req.activeUploads = new Set();
+  let aborted = false;
+  const onClose = () => {
+    if (req.complete) return;
+    aborted = true;
+    for (const cancel of req.activeUploads) cancel();
+  };
+  req.on('close', onClose);
+
+  const planFiles = quotasFor(req.account?.plan).filesPerTransfer;
+  const maxFiles = planFiles === null ? MAX_FILES : Math.min(MAX_FILES, planFiles);
+  upload.array('files', maxFiles)(req, res, async (err) => {
+    req.off('close', onClose);
+    if (!err) return next();
+
+    await discardTransfer(req.transferId);
+    if (aborted) return log.warn('upload_aborted', { id: req.transferId });
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'file_too_large', limitBytes: MAX_MB * 1024 * 1024 });
+    }
+    // Con el tope del plan por debajo de MAX_FILES, multer corta por maxCount (LIMIT_UNEXPECTED_FILE)
+    if (err.code === 'LIMIT_FILE_COUNT' || (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'files')) {
+      if (maxFiles < MAX_FILES) {
+        return sendQuotaError(res, { status: 402, quota: 'filesPerTransfer', limit: maxFiles, used: maxFiles + 1, plan: req.account.plan });
+      }
+      return res.status(400).json({ error: 'too_many_files', maxFiles: MAX_FILES });
+    }
+    if (err.code === 'invalid_path') return res.status(400).json({ error: err.code, path: err.path });
+    if (err instanceof multer.MulterError) return res.status(400).json({ error: err.code });
+    log.error('upload_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  });
+}
+
 /* ----------------------------------------------------------------------
  *  Transfers
  * -------------------------------------------------------------------- */
-app.post('/api/transfers', upload.array('files', MAX_FILES), async (req, res) => {
+// link = backend que atiende la petición; publicLink = PUBLIC_BASE si está configurado.
+// activityLink = panel de actividad del remitente, con el owner token en el fragmento (no llega al server)
+function transferLinks(req, id, ownerToken) {
+  const viewPath = `/t/${id}`;
+  const scheme = req.headers['x-forwarded-proto'] || req.protocol;
+  const host = req.get('host');
+  const backendBase = `${scheme}://${host}`;
+  const link = backendBase + viewPath;
+  const publicLink = PUBLIC_BASE ? `${PUBLIC_BASE}${viewPath}` : link;
+  const activityLink = ownerToken ? `${link}/activity#owner=${ownerToken}` : undefined;
+  return { link, publicLink, activityLink };
+}
+
+// Opciones de correo comunes a /api/transfers y /finalize; se validan antes de escribir el manifest.
+// Sin `lang` explícito los correos salen en el idioma de la petición (si el mailer lo tiene)
+function parseNotifyOptions(body, reqLang) {
+  const recipients = parseEmails(body.recipients);
+  const senderEmail = String(body.senderEmail || '').trim();
+  const badEmail = [...recipients, ...(senderEmail ? [senderEmail] : [])].find(e => !isEmail(e));
+  if (badEmail) return { error: { error: 'invalid_email', email: badEmail } };
+  if (recipients.length > MAIL_MAX_RECIPIENTS) {
+    return { error: { error: 'too_many_recipients', maxRecipients: MAIL_MAX_RECIPIENTS } };
+  }
+  const lang = MAIL_LANGS.includes(body.lang) ? body.lang : MAIL_LANGS.includes(reqLang) ? reqLang : 'es';
+  return { recipients, senderEmail, lang };
+}
+
+// Correos solo con identidad (API key / bearer token): un anónimo no puede hacer que el server escriba
+// con nuestro remitente a direcciones arbitrarias. Los destinatarios por cuenta van por la regla 'mail'
+// de lib/rateLimit.js. { status, body } si no se permite
+async function mailNotAllowed(req, notify) {
+  if (!notify.recipients.length && !notify.senderEmail) return null;
+  if (!req.identity) return { status: 401, body: { error: 'mail_auth_required' } };
+  const r = await consumeRule('mail', `sub:${req.identity.subject}`, Math.max(1, notify.recipients.length));
+  return r.allowed ? null : { status: 429, body: { error: 'mail_rate_limited', retryAfter: r.retryAfter } };
+}
+
+// Días de vigencia pedidos (expiresInDays), acotados a MAX_TTL_DAYS y al default del servidor
+function requestedTtlDays(body, account) {
+  const days = Math.max(1, Math.min(MAX_TTL_DAYS, parseInt(body.expiresInDays || String(DEFAULT_TTL), 10) || DEFAULT_TTL));
+  // Si el plan no da para el default, el default se recorta (no es culpa del cliente)
+  const planMax = quotasFor(account?.plan).maxTtlDays;
+  return body.expiresInDays || planMax === null ? days : Math.min(days, planMax);
+}
+
+// Cuotas que solo se conocen con los archivos ya recibidos: cantidad, bytes y vigencia.
+// `reserved`: keys de subidas directas de la misma cuenta cuya reserva reemplaza el transfer
+const checkNewTransfer = (req, items, reserved = []) => usage.checkTransfer(req.account, {
+  files: items.length,
+  bytes: items.reduce((n, i) => n + i.size, 0),
+  ttlDays: requestedTtlDays(req.body || {}, req.account),
+  reserved
+});
+
+// Escribe el manifest de un transfer nuevo a partir de sus archivos ya guardados
+// ({ name, size, type, sha256, sha256Source?, key? }) y devuelve la respuesta para el cliente
+async function createTransfer(req, id, items, notify) {
+  const body = req.body || {};
+  const { recipients, senderEmail, lang } = notify;
+  const expiresInDays = requestedTtlDays(body, req.account);
+  const createdAt = new Date();
+  const expiresAt = new Date(createdAt.getTime() + expiresInDays * DAY_MS);
+  const total = items.reduce((n, i) => n + i.size, 0);
+
+  const manifest = {
+    id,
+    version: '2.3.3',
+    createdAt: toRFC3339(createdAt),
+    expiresAt: toRFC3339(expiresAt),
+    totalBytes: total,
+    count: items.length,
+    account: req.account,
+    // key solo se guarda si el archivo vive fuera de transfers/<id>/ (transfers finalizados)
+    // sha256Source 'client': checksum declarado en /api/multipart/complete, no calculado por el servidor
+    files: items.map(i => ({
+      id: i.id, name: i.name, size: i.size, type: i.type, sha256: i.sha256,
+      ...(i.sha256Source ? { sha256Source: i.sha256Source } : {}),
+      ...(i.key ? { key: i.key } : {})
+    }))
+  };
+  const title = String(body.title || '').trim().slice(0, 200);
+  if (title) manifest.title = title;
+  if (body.password) manifest.password = await hashPassword(body.password);
+  const ownerToken = issueOwnerToken();
+  manifest.owner = { hash: hashOwnerToken(ownerToken) };
+  const maxDownloads = parseInt(body.maxDownloads || '0', 10);
+  if (maxDownloads > 0) manifest.maxDownloads = maxDownloads;
+  if (['true', '1', 'on'].includes(String(body.burnAfterDownload))) manifest.burnAfterDownload = true;
+
+  const { link, publicLink, activityLink } = transferLinks(req, id, ownerToken);
+  if (senderEmail) manifest.notify = { senderEmail, lang, link: publicLink };
+
+  await writeManifest(manifest);
+  queueThumbnails(manifest);
+  await trackUsage(usage.addTransfer(req.account.subject));
+  await trackUsage(usage.addStorage(req.account.subject, total));
+
+  const notified = recipients.length && enqueueMail(recipients, 'newTransfer', lang, {
+    id, title: manifest.title, sender: senderEmail, message: String(body.message || '').slice(0, 1000),
+    link: publicLink, count: items.length, totalBytes: total, expiresAt: manifest.expiresAt,
+    locked: Boolean(manifest.password)
+  }) ? recipients.length : 0;
+  emitEvent('transfer.created', {
+    id, title: manifest.title || null, link: publicLink, count: items.length, totalBytes: total,
+    expiresAt: manifest.expiresAt, locked: Boolean(manifest.password)
+  });
+
+  return { id, link, publicLink, activityLink, expiresInDays, count: items.length, totalBytes: total, locked: Boolean(manifest.password),
+    maxDownloads: manifest.maxDownloads || null, burnAfterDownload: Boolean(manifest.burnAfterDownload), ownerToken, notified };
+}
+
+app.post('/api/transfers', authenticate, uploadLimit, requireTransferQuota, receiveFiles, async (req, res) => {
+  const id = req.transferId;
   try {
     const files = req.files || [];
-    if (!files.length) return res.status(400).json({ error: 'No files' });
+    if (!files.length) return res.status(400).json({ error: 'no_files' });
 
-    const expiresInDays = Math.max(1, Math.min(30,
-      parseInt(req.body.expiresInDays || String(DEFAULT_TTL), 10)
-    ));
-    const id = nanoid(10);
-    const createdAt = new Date();
-    const expiresAt = new Date(createdAt.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+    const notify = parseNotifyOptions(req.body, req.lang);
+    if (notify.error) {
+      await discardTransfer(id);
+      return res.status(400).json(notify.error);
+    }
+    const mailDenied = await mailNotAllowed(req, notify);
+    if (mailDenied) {
+      await discardTransfer(id);
+      return res.status(mailDenied.status).json(mailDenied.body);
+    }
+
+    const items = files.map(f => ({
+      id: f.fileId, name: f.name, size: f.size, type: f.mimetype || 'application/octet-stream', sha256: f.sha256
+    }));
+    const over = await checkNewTransfer(req, items);
+    if (over) {
+      await discardTransfer(id);
+      return sendQuotaError(res, over);
+    }
+    res.json(await createTransfer(req, id, items, notify));
+  } catch (err) {
+    log.error('upload_error', err);
+    await discardTransfer(id);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+/* ----------------------------------------------------------------------
+ *  Transfers desde subidas directas (presign / multipart)
+ * -------------------------------------------------------------------- */
+// Nombre legible de una key "uploads/yyyy/mm/dd/<uuid>-<nombre>"
+const nameFromUploadKey = (key) =>
+  key.split('/').pop().replace(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-/i, '') || 'file';
+
+const readUploadMeta = (key) => readJsonObject(uploadMetaKey(key));
 
-    let total = 0;
+// Body JSON: { files: [{ key, uploadToken, name? }], title, password, expiresInDays, ... }
+// uploadToken es el que devolvió server_multipart.js junto con la key; name puede ser una ruta
+// relativa ('docs/a.pdf') como en las subidas de carpetas
+app.post('/api/transfers/finalize', authenticate, uploadLimit, requireTransferQuota, async (req, res) => {
+  try {
+    if (!uploadTokensEnabled()) return res.status(503).json({ error: 'finalize_disabled', hint: 'Falta UPLOAD_TOKEN_SECRET' });
+    const list = Array.isArray(req.body?.files) ? req.body.files : [];
+    if (!list.length) return res.status(400).json({ error: 'no_files' });
+    if (list.length > MAX_FILES) return res.status(400).json({ error: 'too_many_files', maxFiles: MAX_FILES });
+
+    const notify = parseNotifyOptions(req.body, req.lang);
+    if (notify.error) return res.status(400).json(notify.error);
+    const mailDenied = await mailNotAllowed(req, notify);
+    if (mailDenied) return res.status(mailDenied.status).json(mailDenied.body);
+
+    const keys = new Set();
     const items = [];
+    const metas = [];
+    for (const entry of list) {
+      const key = String(entry?.key || '');
+      if (!key.startsWith('uploads/') || !verifyUploadKey(key, entry.uploadToken)) {
+        return res.status(403).json({ error: 'invalid_upload_token', key });
+      }
+      if (keys.has(key)) return res.status(400).json({ error: 'duplicate_key', key });
+      keys.add(key);
 
-    for (const f of files) {
-      const key = `transfers/${id}/${safeName(f.originalname)}`;
-      await putObject(key, f.buffer, f.mimetype || 'application/octet-stream');
-      total += f.size;
-      items.push({ name: f.originalname, size: f.size, type: f.mimetype || 'application/octet-stream', key });
-    }
-
-    const manifest = {
-      id,
-      version: '2.3.3',
-      createdAt: toRFC3339(createdAt),
-      expiresAt: toRFC3339(expiresAt),
-      totalBytes: total,
-      count: items.length,
-      files: items.map(i => ({ name: i.name, size: i.size, type: i.type }))
-    };
-
-    await putObject(`transfers/${id}/manifest.json`, Buffer.from(JSON.stringify(manifest, null, 2)), 'application/json');
-
-    const viewPath = `/t/${id}`;
-    const scheme = req.headers['x-forwarded-proto'] || req.protocol;
-    const host = req.get('host');
-    const backendBase = `${scheme}://${host}`;
-    const link = backendBase + viewPath;
-    const publicLink = PUBLIC_BASE ? `${PUBLIC_BASE}${viewPath}` : link;
-
-    res.json({ id, link, publicLink, expiresInDays, count: items.length, totalBytes: total });
+      const head = await headObject(key);
+      if (!head) return res.status(404).json({ error: 'key_not_found', key });
+      const meta = await readUploadMeta(key);
+      // Cada objeto pertenece a un solo transfer: al borrarse uno se borran sus archivos
+      if (meta?.transferId) return res.status(409).json({ error: 'key_already_finalized', key });
+
+      const name = normalizePath(entry.name || nameFromUploadKey(key));
+      if (!name) return res.status(400).json({ error: 'invalid_path', path: String(entry.name || '') });
+
+      metas.push({ key, meta });
+      items.push({
+        id: newFileId(),
+        name,
+        size: head.size,
+        type: head.contentType || 'application/octet-stream',
+        sha256: meta?.sha256,
+        sha256Source: meta?.sha256Source,
+        key
+      });
+    }
+
+    const reserved = metas.filter(m => m.meta?.reservedBy === req.account.subject).map(m => m.key);
+    const over = await checkNewTransfer(req, items, reserved);
+    if (over) return sendQuotaError(res, over);
+
+    const id = nanoid(10);
+    for (const { key, meta } of metas) {
+      await putObject(uploadMetaKey(key), JSON.stringify({ key, ...meta, transferId: id }), 'application/json');
+    }
+    const out = await createTransfer(req, id, items, notify);
+    // Los bytes ya cuentan en el transfer: se liberan las reservas de presign/multipart
+    for (const { key, meta } of metas) {
+      if (meta?.reservedBy) await trackUsage(usage.release(meta.reservedBy, key));
+    }
+    res.json(out);
   } catch (err) {
-    console.error('[upload_error]', err);
+    log.error('finalize_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+// Uso y cuotas de la cuenta que hace la petición (API key / bearer token, o la IP si es anónima)
+app.get('/api/usage', authenticate, async (req, res) => {
+  try {
+    res.json(await usage.report(accountFromReq(req, DEFAULT_PLAN)));
+  } catch (err) {
+    log.error('usage_error', err);
     const m = mapS3Error(err);
     res.status(m.status).json(m.body);
   }
@@ -261,109 +1073,563 @@ app.post('/api/transfers', upload.array('files', MAX_FILES), async (req, res) =>
 /* ----------------------------------------------------------------------
  *  Manifest y Descargas
  * -------------------------------------------------------------------- */
-app.get('/api/transfers/:id', async (req, res) => {
+// Errores de las rutas que abre el navegador (descargas, miniaturas, share page): texto plano en
+// el idioma de la petición; el código estable viaja en X-Error-Code
+function sendTextError(req, res, status, code) {
+  res.setHeader('X-Error-Code', code);
+  return res.status(status).type('text/plain').send(errorMessage(req.lang, code));
+}
+
+app.get('/api/transfers/:id', shareGuard, async (req, res) => {
   try {
-    const id = req.params.id;
-    const manKey = `transfers/${id}/manifest.json`;
-    const head = await headObject(manKey);
-    if (!head) return res.status(404).json({ error: 'not_found' });
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return res.status(404).json({ error: 'not_found' });
 
-    const stream = await getObjectStream(manKey);
-    let buf = Buffer.from([]);
-    for await (const chunk of stream) buf = Buffer.concat([buf, chunk]);
-    const manifest = JSON.parse(buf.toString('utf8'));
+    const gone = await goneReason(manifest);
+    if (gone) return res.status(410).json({ error: gone });
+    res.json(publicManifest(manifest, isUnlocked(req, manifest)));
+  } catch (err) {
+    log.error('get_manifest_failed', err);
+    res.status(500).json({ error: 'get_manifest_failed' });
+  }
+});
 
-    if (new Date(manifest.expiresAt) < new Date()) {
-      return res.status(410).json({ error: 'expired' });
+app.post('/api/transfers/:id/unlock', rateLimit('unlock'), notFoundGuard, async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return res.status(404).json({ error: 'not_found' });
+    const gone = await goneReason(manifest);
+    if (gone) return res.status(410).json({ error: gone });
+    if (!manifest.password) return res.json({ ok: true, locked: false });
+
+    const attempt = await unlockAttempt(manifest.id);
+    if (attempt.retryAfter) {
+      res.setHeader('Retry-After', String(attempt.retryAfter));
+      return res.status(429).json({ error: 'unlock_throttled', retryAfter: attempt.retryAfter });
     }
-    res.json(manifest);
+    const ok = await verifyPassword(req.body?.password, manifest.password);
+    await attempt.done(ok);
+    if (!ok) return res.status(401).json({ error: 'invalid_password' });
+    const { token, expiresAt } = issueUnlockToken(manifest.id);
+    setUnlockCookie(req, res, manifest.id, token);
+    res.json({ ok: true, token, expiresAt: toRFC3339(expiresAt) });
   } catch (err) {
-    console.error('[get_manifest_failed]', err);
-    res.status(500).json({ error: err.message || 'get_manifest_failed' });
+    log.error('unlock_error', err);
+    res.status(500).json({ error: 'unlock_failed' });
   }
 });
 
-app.get('/api/file/:id/:name', async (req, res) => {
+// La vista previa entrega el archivo completo sin contarlo como descarga: en transfers con
+// límite de descargas o burn-after-download no se ofrece
+const previewAllowed = (manifest) => PREVIEW_ENABLED && !manifest.maxDownloads && !manifest.burnAfterDownload;
+
+// Descarga (attachment) o, con preview, el mismo archivo en línea con las cabeceras de lib/preview.js.
+// Ambas soportan Range / If-Range / 304 (el reproductor de la vista previa busca por rangos).
+const serveFile = ({ preview }) => async (req, res) => {
   try {
     const { id, name } = req.params;
-    const manKey = `transfers/${id}/manifest.json`;
-    const head = await headObject(manKey);
-    if (!head) return res.status(404).send('not found');
+    const manifest = await readManifest(id);
+    if (!manifest) return sendTextError(req, res, 404, 'not_found');
+    const gone = await goneReason(manifest);
+    if (gone) return sendTextError(req, res, 410, gone);
+    if (!isUnlocked(req, manifest)) return sendTextError(req, res, 401, 'locked');
+
+    const index = findFile(manifest, name);
+    if (index < 0) return sendTextError(req, res, 404, 'not_found');
+    const file = manifest.files[index];
+    if (!preview && await downloadsExhausted(manifest, [file])) return sendTextError(req, res, 410, 'download_limit_reached');
+    const kind = preview ? previewKind(file) : null;
+    if (preview) {
+      if (!previewAllowed(manifest)) return sendTextError(req, res, 403, 'preview_disabled');
+      if (!kind) return sendTextError(req, res, 415, 'preview_unsupported');
+      if (kind === 'text' && file.size > PREVIEW_TEXT_MAX_BYTES) return sendTextError(req, res, 413, 'preview_too_large');
+    }
+    if (req.method !== 'HEAD' && await egressBlocked(manifest, res)) return;
+    const key = fileKey(manifest, file);
+    const objHead = await headObject(key);
+    if (!objHead) return sendTextError(req, res, 404, 'not_found');
+
+    const size = objHead.size;
+    // Con límite de descargas se ignora Range (RFC 9110 lo permite): solo cuenta la respuesta completa
+    // y pedir el archivo por rangos no debe gastar el límite ni servir para saltárselo
+    const limited = !preview && downloadLimit(manifest) > 0;
+    res.setHeader('Accept-Ranges', limited ? 'none' : 'bytes');
+    if (objHead.etag) res.setHeader('ETag', objHead.etag);
+    if (objHead.lastModified) res.setHeader('Last-Modified', new Date(objHead.lastModified).toUTCString());
+    if (isNotModified(req, objHead)) return res.status(304).end();
+
+    if (preview) {
+      const { contentType, csp } = previewHeaders(kind, { name: baseName(file.name), type: file.type || objHead.contentType });
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Security-Policy', csp);
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(baseName(file.name))}`);
+    } else {
+      res.setHeader('Content-Type', objHead.contentType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(baseName(file.name))}`);
+    }
+    // Solo el checksum calculado al subir: uno declarado por el cliente no se afirma como digest del servidor
+    const sha256 = file.sha256Source === 'client' ? null : file.sha256;
+    if (sha256) {
+      // Digest del archivo completo (también en respuestas 206): RFC 9530 y el Digest clásico (RFC 3230)
+      const b64 = Buffer.from(sha256, 'hex').toString('base64');
+      res.setHeader('Repr-Digest', `sha-256=:${b64}:`);
+      res.setHeader('Digest', `SHA-256=${b64}`);
+    }
+
+    const range = !limited && ifRangeMatches(req, objHead) ? parseRange(req.get('range'), size) : null;
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    const { start, end } = range || { start: 0, end: size - 1 };
+    // Cuenta como descarga solo la respuesta completa (200), no un rango aunque llegue al último byte
+    if (!preview && req.method !== 'HEAD' && !range &&
+        !(await reserveDownload(manifest, res, { kind: downloadKind(manifest, file), files: [file] }))) {
+      return sendDownloadBusy(req, res);
+    }
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader('Content-Length', String(Math.max(0, end - start + 1)));
+    if (req.method === 'HEAD') return res.end();
+
+    const egress = countEgress(manifest, res, preview ? 'preview' : 'file');
+    if (!preview) {
+      trackDownload(manifest, req, res, egress, { type: 'file', file: file.name, fileId: file.id, ...(range ? { partial: true } : {}) },
+        () => res.writableFinished && end >= size - 1);
+    }
+    const stream = await getObjectStream(key, range ? { start, end } : undefined);
+    stream.pipe(egress).pipe(res);
+  } catch (err) {
+    log.error(preview ? 'preview_stream_error' : 'file_stream_error', err);
+    if (!res.headersSent) sendTextError(req, res, 500, 'internal_error');
+  }
+};
+
+app.get('/api/file/:id/:name', shareGuard, serveFile({ preview: false }));
+app.get('/api/preview/:id/:name', shareGuard, serveFile({ preview: true }));
+
+// Archivos bajo una carpeta ('docs' -> docs/a.pdf, docs/2024/b.pdf...)
+const filesInFolder = (manifest, folder) => manifest.files.filter(f => f.name.startsWith(`${folder}/`));
+// Un ZIP de carpeta no completa el transfer: con burn-after-download dejaría bajarlo todo sin quemarlo
+const folderZipAllowed = (manifest) => !manifest.burnAfterDownload;
+
+// 'informe.pdf' -> 'informe (1).pdf'; 'docs/LEEME' -> 'docs/LEEME (1)'
+function numberedName(name, n) {
+  const base = baseName(name);
+  const dot = base.lastIndexOf('.');
+  const cut = dot > 0 ? name.length - base.length + dot : name.length;
+  return `${name.slice(0, cut)} (${n})${name.slice(cut)}`;
+}
+
+// Nombres de las entradas del ZIP sin repetidos: dos archivos con el mismo nombre (o que solo
+// difieren en mayúsculas, que al descomprimir en Windows/macOS se pisan) o un archivo que se llama
+// como una carpeta reciben ' (1)', ' (2)'... El primero conserva su nombre.
+function zipEntryNames(names, reserved = []) {
+  const key = (n) => n.toLowerCase();
+  const taken = new Set(reserved.map(key));
+  for (const n of names) {
+    const parts = n.split('/');
+    for (let i = 1; i < parts.length; i++) taken.add(key(parts.slice(0, i).join('/')));
+  }
+  return names.map(n => {
+    let candidate = n;
+    for (let i = 1; taken.has(key(candidate)); i++) candidate = numberedName(n, i);
+    taken.add(key(candidate));
+    return candidate;
+  });
+}
+
+// Arma el ZIP en streaming con la jerarquía de carpetas de los nombres. `strip` se quita del
+// inicio de cada ruta (el padre de la carpeta en los ZIP de carpeta) y checksums.sha256 va con las mismas rutas
+async function streamZip(req, res, manifest, { files, filename, strip = '', kind, folder }) {
+  if (await downloadsExhausted(manifest, files)) return sendTextError(req, res, 410, 'download_limit_reached');
+  // Todos los objetos se comprueban antes de reservar y de mandar headers: después ya no hay forma de responder un error
+  for (const f of files) {
+    if (!(await headObject(fileKey(manifest, f)))) {
+      log.error('zip_missing_object', { id: manifest.id, fileId: f.id });
+      return sendTextError(req, res, 404, 'not_found');
+    }
+  }
+  if (!(await reserveDownload(manifest, res, { kind, files, folder }))) return sendDownloadBusy(req, res);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]+/g, '-')}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  // Con el ZIP a medias no queda respuesta posible: se corta la conexión (el cliente ve la descarga
+  // fallida en vez de un archivo truncado) y la reserva de la descarga se libera al cerrarse
+  const fail = (err) => {
+    if (res.destroyed) return;
+    log.error('zip_stream_error', err);
+    archive.abort();
+    res.destroy(err);
+  };
+  archive.on('error', fail);
+  metrics.zipStreams.inc();
+  res.on('close', () => metrics.zipStreams.dec());
+  const egress = countEgress(manifest, res, 'zip');
+  trackDownload(manifest, req, res, egress, { type: 'zip', ...(folder ? { folder } : {}) });
+  archive.pipe(egress).pipe(res);
+
+  const names = zipEntryNames(files.map(f => f.name.slice(strip.length)), files.some(f => f.sha256) ? ['checksums.sha256'] : []);
+  const entries = files.map((f, i) => ({ f, name: names[i] }));
+  try {
+    for (const { f, name } of entries) {
+      if (res.destroyed) return;
+      const stream = await getObjectStream(fileKey(manifest, f));
+      stream.on('error', fail);
+      archive.append(stream, { name });
+    }
+    const sums = entries.filter(e => e.f.sha256).map(e => `${e.f.sha256}  ${e.name}\n`).join('');
+    if (sums) archive.append(sums, { name: 'checksums.sha256' });
+    await archive.finalize();
+  } catch (err) {
+    fail(err);
+  }
+}
+
+app.get('/api/transfers/:id/download.zip', shareGuard, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const manifest = await readManifest(id);
+    if (!manifest) return sendTextError(req, res, 404, 'not_found');
+    const gone = await goneReason(manifest);
+    if (gone) return sendTextError(req, res, 410, gone);
+    if (!isUnlocked(req, manifest)) return sendTextError(req, res, 401, 'locked');
+    if (await egressBlocked(manifest, res)) return;
+
+    await streamZip(req, res, manifest, { files: manifest.files, filename: `mixtli-${id}.zip`, kind: 'zip' });
+  } catch (err) {
+    log.error('zip_error', err);
+    if (!res.headersSent) sendTextError(req, res, 500, 'zip_error');
+  }
+});
+
+// ZIP de una sola carpeta: ?path=docs/2024 -> 2024.zip con 2024/... adentro
+app.get('/api/transfers/:id/folder.zip', shareGuard, async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return sendTextError(req, res, 404, 'not_found');
+    const gone = await goneReason(manifest);
+    if (gone) return sendTextError(req, res, 410, gone);
+    if (!isUnlocked(req, manifest)) return sendTextError(req, res, 401, 'locked');
+    if (!folderZipAllowed(manifest)) return sendTextError(req, res, 403, 'folder_zip_disabled');
+
+    const folder = normalizePath(req.query.path);
+    const files = folder ? filesInFolder(manifest, folder) : [];
+    if (!files.length) return sendTextError(req, res, 404, 'not_found');
+    if (await egressBlocked(manifest, res)) return;
+
+    const strip = folder.slice(0, folder.length - baseName(folder).length);
+    await streamZip(req, res, manifest, { files, filename: `${baseName(folder)}.zip`, strip, kind: 'dir', folder });
+  } catch (err) {
+    log.error('zip_error', err);
+    if (!res.headersSent) sendTextError(req, res, 500, 'zip_error');
+  }
+});
 
-    const streamM = await getObjectStream(manKey);
-    let buf = Buffer.from([]);
-    for await (const c of streamM) buf = Buffer.concat([buf, c]);
-    const manifest = JSON.parse(buf.toString('utf8'));
-    if (new Date(manifest.expiresAt) < new Date()) return res.status(410).send('expired');
+/* ----------------------------------------------------------------------
+ *  Miniaturas — transfers/<id>/.thumbs/ (imágenes y póster de videos, ver lib/thumbnails.js)
+ * -------------------------------------------------------------------- */
+const thumbnailer = createThumbnailer({ getStream: (key) => getObjectStream(key), put: putObject });
 
-    const key = `transfers/${id}/${safeName(name)}`;
+// Se generan en segundo plano al crear el transfer; la respuesta al que sube no las espera
+function queueThumbnails(manifest) {
+  const jobs = manifest.files.filter(f => thumbKind(f)).map(f => ({
+    source: fileKey(manifest, f), target: thumbKey(manifest, f), name: f.name, type: f.type, size: f.size
+  }));
+  return jobs.length ? thumbnailer.enqueue(jobs) : Promise.resolve([]);
+}
+
+// fileRef de los archivos que ya tienen miniatura (una sola lista de .thumbs/)
+async function thumbNames(manifest) {
+  const keys = new Set(await listKeys(`transfers/${manifest.id}/.thumbs/`));
+  return new Set(manifest.files.filter(f => keys.has(thumbKey(manifest, f))).map(fileRef));
+}
+
+// Regla propia: una galería pide decenas de miniaturas de golpe
+const thumbGuard = [rateLimit('thumb'), notFoundGuard];
+
+app.get('/api/thumb/:id/:name', thumbGuard, async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return sendTextError(req, res, 404, 'not_found');
+    const gone = await goneReason(manifest);
+    if (gone) return sendTextError(req, res, 410, gone);
+    if (!isUnlocked(req, manifest)) return sendTextError(req, res, 401, 'locked');
+    const index = findFile(manifest, req.params.name);
+    if (index < 0) return sendTextError(req, res, 404, 'not_found');
+
+    const key = thumbKey(manifest, manifest.files[index]);
     const objHead = await headObject(key);
-    if (!objHead) return res.status(404).send('not found');
+    if (!objHead) return sendTextError(req, res, 404, 'not_found');
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // private: en transfers con contraseña depende de la cookie de desbloqueo
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    if (objHead.etag) res.setHeader('ETag', objHead.etag);
+    if (isNotModified(req, objHead)) return res.status(304).end();
+    res.setHeader('Content-Length', String(objHead.size));
+    // Solo métrica: las miniaturas no cuentan para el egress de la cuenta
+    (await getObjectStream(key)).pipe(countBytes(metrics.downloadBytes, { kind: 'thumb' })).pipe(res);
+  } catch (err) {
+    log.error('thumb_error', err);
+    if (!res.headersSent) sendTextError(req, res, 500, 'internal_error');
+  }
+});
 
-    res.setHeader('Content-Type', objHead.ContentType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}`);
-    const stream = await getObjectStream(key);
-    stream.pipe(res);
+/* ----------------------------------------------------------------------
+ *  Gestión del transfer (requiere owner token)
+ * -------------------------------------------------------------------- */
+app.delete('/api/transfers/:id', shareGuard, requireOwner, async (req, res) => {
+  try {
+    const keys = (await listKeys(`transfers/${req.manifest.id}/`)).concat(externalKeys(req.manifest));
+    await deleteKeys(keys);
+    releaseStorage(req.manifest);
+    emitEvent('transfer.deleted', { id: req.manifest.id, reason: 'owner' });
+    res.json({ ok: true, id: req.manifest.id, deleted: keys.length });
   } catch (err) {
-    console.error('[file_stream_error]', err);
-    if (!res.headersSent) res.status(500).send('error');
+    log.error('delete_transfer_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
   }
 });
 
-app.get('/api/transfers/:id/download.zip', async (req, res) => {
+// Vistas y descargas del transfer (ver lib/activity.js); también con la API key de la cuenta dueña.
+// ?limit= acota los eventos (máximo ACTIVITY_MAX_EVENTS). Sigue disponible en transfers quemados.
+app.get('/api/transfers/:id/activity', shareGuard, requireOwnerOrAccount, async (req, res) => {
   try {
-    const { id } = req.params;
-    const manKey = `transfers/${id}/manifest.json`;
-    const head = await headObject(manKey);
-    if (!head) return res.status(404).send('not found');
-
-    const streamM = await getObjectStream(manKey);
-    let buf = Buffer.from([]);
-    for await (const c of streamM) buf = Buffer.concat([buf, c]);
-    const manifest = JSON.parse(buf.toString('utf8'));
-    if (new Date(manifest.expiresAt) < new Date()) return res.status(410).send('expired');
-
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="mixtli-${id}.zip"`);
-
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    archive.on('error', err => { throw err; });
-    archive.pipe(res);
-
-    for (const f of manifest.files) {
-      const key = `transfers/${id}/${safeName(f.name)}`;
-      const objHead = await headObject(key);
-      if (!objHead) continue;
-      const stream = await getObjectStream(key);
-      archive.append(stream, { name: f.name });
+    const manifest = req.manifest;
+    const limit = parseInt(req.query.limit, 10);
+    res.json({
+      id: manifest.id, title: manifest.title || null, createdAt: manifest.createdAt, expiresAt: manifest.expiresAt,
+      burnedAt: manifest.burnedAt || null, ...await activity.list(manifest.id, { limit: limit > 0 ? limit : undefined })
+    });
+  } catch (err) {
+    log.error('activity_list_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+// Cambia título y/o vencimiento: { title, expiresAt } o { title, extendDays }
+app.patch('/api/transfers/:id', shareGuard, requireOwner, async (req, res) => {
+  try {
+    const manifest = req.manifest;
+    const body = req.body || {};
+    if (manifest.burnedAt) return res.status(410).json({ error: 'burned' });
+
+    if (body.title !== undefined) {
+      const title = String(body.title || '').trim().slice(0, 200);
+      if (title) manifest.title = title; else delete manifest.title;
     }
-    await archive.finalize();
+    if (body.expiresAt !== undefined || body.extendDays !== undefined) {
+      const next = body.expiresAt !== undefined
+        ? new Date(body.expiresAt)
+        : new Date(new Date(manifest.expiresAt).getTime() + Number(body.extendDays) * DAY_MS);
+      if (Number.isNaN(next.getTime()) || next <= new Date()) {
+        return res.status(400).json({ error: 'invalid_expiry' });
+      }
+      // Igual que al subir: nunca más de MAX_TTL_DAYS desde la creación, ni más de lo que da el plan
+      const cap = new Date(new Date(manifest.createdAt).getTime() + MAX_TTL_DAYS * DAY_MS);
+      const planMax = manifest.account ? quotasFor(manifest.account.plan).maxTtlDays : null;
+      const ttlDays = Math.ceil((next - new Date(manifest.createdAt)) / DAY_MS);
+      if (planMax !== null && ttlDays > planMax) {
+        return sendQuotaError(res, { status: 402, quota: 'maxTtlDays', limit: planMax, used: ttlDays, plan: manifest.account.plan });
+      }
+      manifest.expiresAt = toRFC3339(next > cap ? cap : next);
+    }
+    await writeManifest(manifest);
+    res.json(publicManifest(manifest, true));
+  } catch (err) {
+    log.error('update_transfer_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+// Renombra un archivo: { name } (solo el nombre; el archivo se queda en su carpeta)
+app.patch('/api/transfers/:id/files/:name', shareGuard, requireOwner, async (req, res) => {
+  try {
+    const manifest = req.manifest;
+    const index = findFile(manifest, req.params.name);
+    if (index < 0) return res.status(404).json({ error: 'not_found' });
+    const file = manifest.files[index];
+    const requested = String(req.body?.name || '').trim();
+    const dir = file.name.slice(0, file.name.length - baseName(file.name).length);
+    const newName = requested && !/[\\/]/.test(requested) ? normalizePath(dir + requested) : null;
+    if (!newName) return res.status(400).json({ error: 'invalid_name' });
+
+    if (newName !== file.name) {
+      if (pathTaken(manifest.files.filter(f => f !== file).map(f => f.name), newName)) {
+        return res.status(409).json({ error: 'name_taken' });
+      }
+      // Un archivo sin id (transfer anterior) guarda objeto y miniatura por nombre: se pasa a un id
+      // y desde ahí renombrar es solo cambiar el manifest
+      if (!file.id) {
+        const legacy = { ...file };
+        file.id = newFileId();
+        if (!file.key) {
+          await copyObject(fileKey(manifest, legacy), fileKey(manifest, file));
+          await deleteKeys([fileKey(manifest, legacy)]);
+        }
+        const thumb = thumbKey(manifest, legacy);
+        if (await headObject(thumb)) {
+          await copyObject(thumb, thumbKey(manifest, file));
+          await deleteKeys([thumb]);
+        }
+      }
+    }
+    file.name = newName;
+    await writeManifest(manifest);
+    res.json(publicManifest(manifest, true));
   } catch (err) {
-    console.error('[zip_error]', err);
-    if (!res.headersSent) res.status(500).send('zip_error');
+    log.error('rename_file_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
+  }
+});
+
+app.delete('/api/transfers/:id/files/:name', shareGuard, requireOwner, async (req, res) => {
+  try {
+    const manifest = req.manifest;
+    const index = findFile(manifest, req.params.name);
+    if (index < 0) return res.status(404).json({ error: 'not_found' });
+    // Un transfer sin archivos no tiene sentido: para eso está DELETE /api/transfers/:id
+    if (manifest.files.length === 1) return res.status(409).json({ error: 'last_file' });
+
+    await forgetDownloads(manifest, index);
+    const [file] = manifest.files.splice(index, 1);
+    await deleteKeys([...(file.key ? [file.key, uploadMetaKey(file.key)] : [fileKey(manifest, file)]), thumbKey(manifest, file)]);
+    releaseStorage(manifest, file.size);
+    manifest.count = manifest.files.length;
+    manifest.totalBytes = manifest.files.reduce((n, f) => n + f.size, 0);
+    await writeManifest(manifest);
+    res.json(publicManifest(manifest, true));
+  } catch (err) {
+    log.error('remove_file_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
   }
 });
 
 /* ----------------------------------------------------------------------
  *  Share page
  * -------------------------------------------------------------------- */
-app.get('/t/:id', async (req, res) => {
-  try {
-    const id = req.params.id;
-    const manKey = `transfers/${id}/manifest.json`;
-    const head = await headObject(manKey);
-    if (!head) return res.status(404).send('<h1>No encontrado</h1>');
-
-    const streamM = await getObjectStream(manKey);
-    let buf = Buffer.from([]);
-    for await (const c of streamM) buf = Buffer.concat([buf, c]);
-    const manifest = JSON.parse(buf.toString('utf8'));
-    const expired = new Date(manifest.expiresAt) < new Date();
-
-    const html = `<!doctype html>
-<html lang="es"><head>
+// Selector de idioma: mismos links con ?lang=; el actual no es link. page = '' (share page) o '/activity'
+const langSwitcher = (id, lang, page = '') => LANGS.map(l => l === lang
+  ? `<strong>${l.toUpperCase()}</strong>`
+  : `<a href="/t/${id}${page}?lang=${l}" hreflang="${l}">${l.toUpperCase()}</a>`).join(' · ');
+
+// Texto del recuadro de archivos sin miniatura: la extensión (PDF, ZIP...)
+const extLabel = (name) => (/\.([a-z0-9]{1,5})$/i.exec(name)?.[1] || 'file').toUpperCase();
+
+// Árbol de carpetas a partir de las rutas de los archivos: { path, dirs: Map(nombre -> nodo), files, count, bytes }
+function fileTree(files) {
+  const node = (path) => ({ path, dirs: new Map(), files: [], count: 0, bytes: 0 });
+  const root = node('');
+  for (const f of files) {
+    let cur = root;
+    const dirs = f.name.split('/').slice(0, -1);
+    for (const dir of dirs) {
+      cur.count++; cur.bytes += f.size;
+      if (!cur.dirs.has(dir)) cur.dirs.set(dir, node(`${cur.path}${dir}/`));
+      cur = cur.dirs.get(dir);
+    }
+    cur.count++; cur.bytes += f.size;
+    cur.files.push(f);
+  }
+  return root;
+}
+
+// thumbs: Set con el fileRef de los archivos que tienen miniatura (ver thumbNames); lang: uno de LANGS
+function renderSharePage(manifest, { gone, unlocked, error, thumbs = new Set(), lang }) {
+  const id = manifest.id;
+  const tr = (key, vars) => escapeHtml(t(lang, key, vars));
+  const title = manifest.title || t(lang, 'share.title', { id });
+  // Vista previa: tipos soportados, texto hasta PREVIEW_TEXT_MAX_KB y sin límite de descargas
+  const canPreview = (f) => {
+    const kind = previewAllowed(manifest) && previewKind(f);
+    return Boolean(kind) && (kind !== 'text' || f.size <= PREVIEW_TEXT_MAX_BYTES);
+  };
+  const unlockForm = `
+<form method="post" action="/t/${id}/unlock?lang=${lang}" style="margin-top:16px">
+  <p class="muted">${tr('share.locked')}</p>
+  ${ error ? `<p style="color:#ff4d4d">${escapeHtml(error)}</p>` : '' }
+  <input type="password" name="password" placeholder="${tr('share.password')}" required autofocus
+    style="background:#0f1423;color:#e5e9f3;border:1px solid #23283a;border-radius:10px;padding:10px 12px;margin-right:8px">
+  <button class="btn" type="submit">${tr('share.unlock')}</button>
+</form>`;
+  const view = thumbs.size ? 'grid' : 'list';
+  const renderFile = (f) => `
+  <div class="file">
+    <a class="thumb" href="/api/file/${id}/${encodeURIComponent(fileRef(f))}">${ thumbs.has(fileRef(f))
+      ? `<img loading="lazy" src="/api/thumb/${id}/${encodeURIComponent(fileRef(f))}" alt="${escapeHtml(baseName(f.name))}">`
+      : `<span>${escapeHtml(extLabel(f.name))}</span>` }</a>
+    <div class="info">
+      <div class="name" title="${escapeHtml(f.name)}">${escapeHtml(baseName(f.name))}</div>
+      <div class="muted" style="font-size:12px">${escapeHtml(formatBytes(lang, f.size))} · ${escapeHtml(f.type||'application/octet-stream')}</div>
+      ${ f.sha256 ? `<div class="muted sha" title="${f.sha256Source === 'client' ? tr('share.sha_declared') : 'SHA-256'}">SHA-256${f.sha256Source === 'client' ? '*' : ''}: ${escapeHtml(f.sha256)}</div>` : '' }
+    </div>
+    <div class="actions">
+      ${ canPreview(f) ? `<button type="button" class="btn secondary" data-preview="${previewKind(f)}"
+        data-src="/api/preview/${id}/${encodeURIComponent(fileRef(f))}" data-download="/api/file/${id}/${encodeURIComponent(fileRef(f))}"
+        data-name="${escapeHtml(baseName(f.name))}" data-lang="${escapeHtml(previewLang(f.name))}">${tr('share.view')}</button>` : '' }
+      <a class="btn secondary" href="/api/file/${id}/${encodeURIComponent(fileRef(f))}">${tr('share.download')}</a>
+    </div>
+  </div>
+`;
+  // Carpetas plegables (abiertas por defecto) con su ZIP; los archivos de cada nivel van en su propio .files
+  const renderNode = (node) => `${[...node.dirs].sort(([a], [b]) => a.localeCompare(b)).map(([name, dir]) => `
+<details class="folder" open>
+  <summary>
+    <span class="folder-name">${escapeHtml(name)}/</span>
+    <span class="muted">${tr('share.folder_summary', { count: dir.count, total: formatBytes(lang, dir.bytes) })}</span>
+    ${ !gone && folderZipAllowed(manifest) ? `<a class="btn secondary folder-zip"
+      href="/api/transfers/${id}/folder.zip?path=${encodeURIComponent(dir.path.slice(0, -1))}">${tr('share.folder_zip')}</a>` : '' }
+  </summary>
+  <div class="folder-body">${renderNode(dir)}</div>
+</details>`).join('')}
+${ node.files.length ? `<div class="files ${view}">${node.files.map(renderFile).join('')}</div>` : '' }`;
+  const fileList = `
+<div class="view-toggle">
+  <button type="button" class="btn secondary" data-view="grid">${tr('share.grid')}</button>
+  <button type="button" class="btn secondary" data-view="list">${tr('share.list')}</button>
+</div>
+<div id="files">${renderNode(fileTree(manifest.files))}</div>
+<dialog id="preview-modal" data-loading="${tr('share.loading')}" data-error="${tr('share.preview_failed')}">
+  <div class="pv-head">
+    <strong class="pv-title"></strong>
+    <span>
+      <a class="btn secondary pv-download" href="#">${tr('share.download')}</a>
+      <button type="button" class="btn secondary pv-close" aria-label="${tr('share.close')}">${tr('share.close')}</button>
+    </span>
+  </div>
+  <div class="pv-body"></div>
+</dialog>
+<script src="/assets/share-preview.js" defer></script>
+<script>
+(function () {
+  function show(view) {
+    document.querySelectorAll('#files .files').forEach(function (el) { el.className = 'files ' + view; });
+  }
+  try { var saved = localStorage.getItem('mixtli:view'); if (saved === 'grid' || saved === 'list') show(saved); } catch (e) {}
+  document.querySelectorAll('[data-view]').forEach(function (b) {
+    b.addEventListener('click', function () {
+      show(b.dataset.view);
+      try { localStorage.setItem('mixtli:view', b.dataset.view); } catch (e) {}
+    });
+  });
+})();
+</script>
+${ gone ? '' : `<div style="margin-top:16px"><a class="btn" href="/api/transfers/${id}/download.zip">${tr('share.download_all')}</a></div>` }`;
+
+  return `<!doctype html>
+<html lang="${lang}"><head>
 <meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
-<title>Mixtli Transfer — Bundle ${id}</title>
+<title>Mixtli Transfer — ${escapeHtml(title)}</title>
 <style>
 body{background:#0f1117;color:#e5e9f3;font-family:system-ui,Segoe UI,Roboto;-webkit-font-smoothing:antialiased}
 .container{max-width:860px;margin:40px auto;padding:24px}
@@ -373,34 +1639,350 @@ h1{margin:0 0 10px} .muted{color:#a8b3cf}
 .btn{background:#7c5cff;color:#fff;border:none;border-radius:10px;padding:10px 14px;font-weight:600;cursor:pointer;text-decoration:none}
 .btn.secondary{background:#26314b;color:#e5e9f3;border:1px solid #23283a}
 .footer{margin-top:20px;color:#a8b3cf;font-size:12px}
+.langs{float:right;font-size:12px;color:#a8b3cf} .langs a{color:#a8b3cf}
+.sha{font-family:ui-monospace,Menlo,Consolas,monospace;font-size:11px;word-break:break-all;margin-top:2px}
+.view-toggle{display:flex;gap:8px;justify-content:flex-end;margin:12px 0 4px}
+.view-toggle .btn{padding:6px 10px;font-size:13px}
+.files.list .thumb{display:none}
+.files.list .info{max-width:60%}
+.files.grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(180px,1fr));gap:12px;margin-top:8px}
+.files.grid .file{flex-direction:column;align-items:stretch;gap:8px;margin:0}
+.files.grid .file .btn{text-align:center}
+.files.grid .sha{display:none}
+.files.grid .name{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.thumb{display:flex;align-items:center;justify-content:center;aspect-ratio:1;background:#151923;border-radius:8px;overflow:hidden;color:#a8b3cf;font-weight:600;text-decoration:none}
+.thumb img{width:100%;height:100%;object-fit:cover}
+.actions{display:flex;gap:8px}
+.files.grid .actions .btn{flex:1}
+#preview-modal{width:min(960px,94vw);max-height:90vh;background:#151923;color:#e5e9f3;border:1px solid #23283a;border-radius:16px;padding:16px}
+#preview-modal::backdrop{background:rgba(0,0,0,.7)}
+.pv-head{display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:12px}
+.pv-title{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.pv-body{display:flex;justify-content:center}
+.pv-body iframe{width:100%;height:75vh;border:0;background:#fff;border-radius:8px}
+.pv-body img,.pv-body video{max-width:100%;max-height:75vh}
+.pv-body audio{width:100%}
+.pv-code{width:100%;max-height:75vh;overflow:auto;margin:0;padding:12px;background:#0f1423;border-radius:8px;font:12px/1.5 ui-monospace,Menlo,Consolas,monospace;white-space:pre}
+.tok-c{color:#6b7793}.tok-s{color:#9ad58b}.tok-n{color:#f0a35e}.tok-k{color:#b99cff}
+.pv-table{border-collapse:collapse;font-size:12px;display:block;max-height:75vh;overflow:auto}
+.pv-table th,.pv-table td{border:1px solid #23283a;padding:4px 8px;text-align:left;white-space:nowrap}
+.pv-table th{background:#0f1423;position:sticky;top:0}
+.folder{margin:8px 0}
+.folder summary{display:flex;align-items:center;gap:10px;cursor:pointer;padding:6px 4px;list-style:none}
+.folder summary::before{content:'▸';color:#a8b3cf}
+.folder[open]>summary::before{content:'▾'}
+.folder-name{font-weight:600}
+.folder-zip{margin-left:auto;padding:4px 10px;font-size:12px}
+.folder-body{margin-left:14px;padding-left:10px;border-left:1px solid #23283a}
 </style>
 </head>
 <body><div class="container"><div class="card">
-<h1>Bundle ${id}</h1>
-<p class="muted">Archivos: ${manifest.count} · Total: ${Math.round(manifest.totalBytes/1024/1024*10)/10} MB · Expira: ${manifest.expiresAt}</p>
-${ expired ? '<p style="color:#ff4d4d">Este bundle expiró y ya no está disponible.</p>' : '' }
-<div>
-${manifest.files.map(f=>`
-  <div class="file">
-    <div style="max-width:60%">
-      <div>${f.name}</div>
-      <div class="muted" style="font-size:12px">${(f.size/1024/1024).toFixed(2)} MB · ${f.type||'application/octet-stream'}</div>
-    </div>
-    <a class="btn secondary" href="/api/file/${id}/${encodeURIComponent(f.name)}">Descargar</a>
-  </div>
-`).join('')}
-</div>
-${ expired ? '' : `<div style="margin-top:16px"><a class="btn" href="/api/transfers/${id}/download.zip">Descargar todo (ZIP)</a></div>` }
+<nav class="langs" aria-label="${tr('share.language')}">${langSwitcher(id, lang)}</nav>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">${tr('share.summary', { count: manifest.count, total: formatBytes(lang, manifest.totalBytes), expires: formatDate(lang, manifest.expiresAt) })}</p>
+${ gone ? `<p style="color:#ff4d4d">${tr(`share.gone.${gone}`)}</p>` : '' }
+${ gone ? '' : unlocked ? fileList : unlockForm }
 <div class="footer">Mixtli Transfer v2.3.3 — compat: PUBLIC_BASE / PUBLIC_BASE_URL.</div>
 </div></div></body></html>`;
+}
+
+app.get('/t/:id', sharePageGuard, async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return res.status(404).send(`<h1>${t(req.lang, 'share.not_found')}</h1>`);
+    const gone = await goneReason(manifest);
+
+    const unlocked = isUnlocked(req, manifest);
+    const thumbs = !gone && unlocked ? await thumbNames(manifest) : undefined;
+    if (!gone) trackActivity(manifest, req, { type: 'view', ...(unlocked ? {} : { locked: true }) });
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.send(html);
+    res.send(renderSharePage(manifest, { gone, unlocked, thumbs, lang: req.lang }));
+  } catch (err) {
+    log.error('share_page_error', err);
+    sendTextError(req, res, 500, 'internal_error');
+  }
+});
+
+// Formulario de desbloqueo del share page: deja el token en cookie y vuelve a /t/:id
+app.post('/t/:id/unlock', rateLimit('unlock', { html: true }), notFoundGuard, async (req, res) => {
+  try {
+    const manifest = await readManifest(req.params.id);
+    if (!manifest) return res.status(404).send(`<h1>${t(req.lang, 'share.not_found')}</h1>`);
+    const gone = await goneReason(manifest);
+    // Con ?lang= explícito (el form lo trae) la redirección conserva el idioma
+    const back = `/t/${manifest.id}${req.query.lang ? `?lang=${req.lang}` : ''}`;
+    if (gone || !manifest.password) return res.redirect(303, back);
+
+    const attempt = await unlockAttempt(manifest.id);
+    if (attempt.retryAfter) res.setHeader('Retry-After', String(attempt.retryAfter));
+    const ok = !attempt.retryAfter && await verifyPassword(req.body?.password, manifest.password);
+    if (attempt.done) await attempt.done(ok);
+    if (!ok) {
+      const error = attempt.retryAfter
+        ? errorMessage(req.lang, 'unlock_throttled', { retryAfter: attempt.retryAfter })
+        : t(req.lang, 'share.wrong_password');
+      res.status(attempt.retryAfter ? 429 : 401).setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(renderSharePage(manifest, { gone, unlocked: false, error, lang: req.lang }));
+    }
+    const { token } = issueUnlockToken(manifest.id);
+    setUnlockCookie(req, res, manifest.id, token);
+    res.redirect(303, back);
+  } catch (err) {
+    log.error('share_unlock_error', err);
+    sendTextError(req, res, 500, 'internal_error');
+  }
+});
+
+/* ----------------------------------------------------------------------
+ *  Panel de actividad del remitente (/t/:id/activity)
+ * -------------------------------------------------------------------- */
+// La página no lleva datos del transfer: public/share-activity.js toma el owner token del fragmento
+// (#owner=..., el activityLink que devuelve la subida) o del formulario y llama a /api/transfers/:id/activity
+function renderActivityPage(id, lang) {
+  const tr = (key, vars) => escapeHtml(t(lang, key, vars));
+  const texts = ['summary', 'type_view', 'type_file', 'type_zip', 'yes', 'no', 'partial', 'locked', 'empty', 'denied', 'failed', 'truncated']
+    .map(k => `data-${k.replace(/_/g, '-')}="${tr(`activity.${k}`)}"`).join(' ');
+  return `<!doctype html>
+<html lang="${lang}"><head>
+<meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="referrer" content="no-referrer">
+<title>Mixtli Transfer — ${tr('activity.title', { title: id })}</title>
+<style>
+body{background:#0f1117;color:#e5e9f3;font-family:system-ui,Segoe UI,Roboto;-webkit-font-smoothing:antialiased}
+.container{max-width:960px;margin:40px auto;padding:24px}
+.card{background:#151923;border:1px solid #23283a;border-radius:16px;padding:24px;box-shadow:0 10px 30px rgba(0,0,0,.25)}
+h1{margin:0 0 10px} .muted{color:#a8b3cf}
+.btn{background:#7c5cff;color:#fff;border:none;border-radius:10px;padding:10px 14px;font-weight:600;cursor:pointer}
+.langs{float:right;font-size:12px;color:#a8b3cf} .langs a{color:#a8b3cf}
+input{background:#0f1423;color:#e5e9f3;border:1px solid #23283a;border-radius:10px;padding:10px 12px;margin-right:8px;width:280px}
+.error{color:#ff4d4d}
+table{width:100%;border-collapse:collapse;font-size:13px;margin-top:12px}
+th,td{border-bottom:1px solid #23283a;padding:6px 8px;text-align:left;vertical-align:top}
+th{color:#a8b3cf;font-weight:600}
+td.num{text-align:right;white-space:nowrap}
+td.ua{color:#a8b3cf;font-size:11px;max-width:240px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+</style>
+</head>
+<body><div class="container"><div class="card" id="activity" data-id="${escapeHtml(id)}" data-lang="${lang}"
+  data-title="${tr('activity.title', { title: '{title}' })}" ${texts}>
+<nav class="langs" aria-label="${tr('share.language')}">${langSwitcher(escapeHtml(id), lang, '/activity')}</nav>
+<h1>${tr('activity.title', { title: id })}</h1>
+<p class="muted">${tr('activity.intro')}</p>
+<form id="activity-token" hidden>
+  <input type="password" name="token" placeholder="${tr('activity.token')}" autocomplete="off" required>
+  <button class="btn" type="submit">${tr('activity.show')}</button>
+</form>
+<p class="error" id="activity-error" hidden></p>
+<p class="muted" id="activity-summary"></p>
+<table id="activity-table" hidden>
+  <thead><tr>
+    <th>${tr('activity.when')}</th><th>${tr('activity.event')}</th><th>${tr('activity.file')}</th>
+    <th>${tr('activity.sent')}</th><th>${tr('activity.completed')}</th><th>${tr('activity.ip')}</th><th>${tr('activity.agent')}</th>
+  </tr></thead>
+  <tbody></tbody>
+</table>
+<script src="/assets/share-activity.js" defer></script>
+</div></div></body></html>`;
+}
+
+app.get('/t/:id/activity', sharePageGuard, (req, res) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(renderActivityPage(req.params.id, req.lang));
+});
+
+/* ----------------------------------------------------------------------
+ *  Sweeper: borra transfers expirados y restos de __selftest__/
+ * -------------------------------------------------------------------- */
+const SWEEP_INTERVAL_MIN = parseInt(process.env.SWEEP_INTERVAL_MINUTES || '60', 10); // 0 = apagado
+const SWEEP_GRACE_HOURS = parseFloat(process.env.SWEEP_GRACE_HOURS || '24');
+const SWEEP_DRY_RUN = String(process.env.SWEEP_DRY_RUN || 'false') === 'true';
+const SELFTEST_MAX_AGE_MS = 60 * 60 * 1000;
+
+const sweepRuns = []; // últimos reportes, el más reciente primero
+let sweepRunning = false;
+
+async function sweepOnce({ dryRun = SWEEP_DRY_RUN } = {}) {
+  if (sweepRunning) throw new Error('sweep_in_progress');
+  sweepRunning = true;
+  const report = { startedAt: toRFC3339(new Date()), dryRun, scanned: 0, removed: [], selftest: 0, errors: [] };
+  const cutoff = Date.now() - SWEEP_GRACE_HOURS * 60 * 60 * 1000;
+  try {
+    const { prefixes } = await listObjects('transfers/', '/');
+    for (const prefix of prefixes) {
+      report.scanned++;
+      const id = prefix.slice('transfers/'.length, -1);
+      try {
+        const { objects } = await listObjects(prefix);
+        const manifest = await readManifest(id);
+        let reason = null;
+        if (manifest && new Date(manifest.expiresAt).getTime() < cutoff) reason = 'expired';
+        // Sin manifest = subida a medias; se borra cuando nadie la ha tocado en el periodo de gracia
+        if (!manifest && objects.every(o => new Date(o.lastModified).getTime() < cutoff)) reason = 'orphan';
+        if (!reason) continue;
+
+        if (!dryRun) {
+          await deleteKeys(objects.map(o => o.key).concat(externalKeys(manifest)));
+          if (reason === 'expired') {
+            releaseStorage(manifest);
+            emitEvent('transfer.expired', { id, expiresAt: manifest.expiresAt });
+          }
+        }
+        report.removed.push({
+          id, reason, expiresAt: manifest?.expiresAt || null,
+          objects: objects.length, bytes: objects.reduce((n, o) => n + o.size, 0)
+        });
+      } catch (err) {
+        report.errors.push({ id, error: err.message });
+      }
+    }
+
+    const { objects: selftest } = await listObjects('__selftest__/');
+    const stale = selftest.filter(o => new Date(o.lastModified).getTime() < Date.now() - SELFTEST_MAX_AGE_MS);
+    if (!dryRun) await deleteKeys(stale.map(o => o.key));
+    report.selftest = stale.length;
+  } finally {
+    sweepRunning = false;
+    report.finishedAt = toRFC3339(new Date());
+    sweepRuns.unshift(report);
+    sweepRuns.length = Math.min(sweepRuns.length, 20);
+  }
+  log.info('sweep', { dryRun, scanned: report.scanned, removed: report.removed.length, selftest: report.selftest, errors: report.errors.length });
+  return report;
+}
+
+app.get('/api/admin/sweeper', requireAdmin, (req, res) => {
+  res.json({
+    intervalMinutes: SWEEP_INTERVAL_MIN, graceHours: SWEEP_GRACE_HOURS, dryRun: SWEEP_DRY_RUN,
+    running: sweepRunning, runs: sweepRuns
+  });
+});
+
+app.post('/api/admin/sweeper/run', requireAdmin, async (req, res) => {
+  try {
+    const flag = req.query.dryRun ?? req.body?.dryRun;
+    const dryRun = flag === undefined ? SWEEP_DRY_RUN : ['true', '1', true].includes(flag);
+    res.json(await sweepOnce({ dryRun }));
   } catch (err) {
-    console.error('[share_page_error]', err);
-    res.status(500).send('error');
+    if (err.message === 'sweep_in_progress') return res.status(409).json({ error: 'sweep_in_progress' });
+    log.error('sweep_error', err);
+    const m = mapS3Error(err);
+    res.status(m.status).json(m.body);
   }
 });
 
-app.listen(PORT, () => {
-  console.log('Mixtli Transfer backend v2.3.3 listening on', PORT);
+/* ----------------------------------------------------------------------
+ *  Janitor multipart: aborta subidas multipart abandonadas
+ *  (las de /api/multipart/create que nadie completó), borra su sesión en _sessions/
+ *  y cierra las reservas de cuota de presign/multipart que nadie finalizó (lib/quotas.js)
+ * -------------------------------------------------------------------- */
+const MP_JANITOR_INTERVAL_MIN = parseInt(process.env.MULTIPART_JANITOR_INTERVAL_MINUTES || '60', 10); // 0 = apagado
+const MP_MAX_AGE_HOURS = parseFloat(process.env.MULTIPART_MAX_AGE_HOURS || '24');
+const MP_JANITOR_DRY_RUN = String(process.env.MULTIPART_JANITOR_DRY_RUN || 'false') === 'true';
+
+const janitorRuns = [];
+let janitorRunning = false;
+
+// Con el driver local no hay multipart: la lista sale vacía
+const listMultipartUploads = () => storage.listMultipartUploads();
+
+// Reservas más viejas que la edad máxima: sin objeto (nunca se subió o el multipart se abortó) o
+// ya finalizado se liberan; con objeto sin finalizar quedan con su tamaño real hasta que alguien lo borre
+async function closeStaleReservations(cutoff, dryRun, report) {
+  for (const usageKey of await listKeys('_usage/')) {
+    if (!usageKey.endsWith('.json')) continue;
+    const subject = usageKey.slice('_usage/'.length, -'.json'.length);
+    const { reservations } = await usage.read(subject);
+    for (const [key, r] of Object.entries(reservations)) {
+      if (r.stored || new Date(r.at).getTime() >= cutoff) continue;
+      try {
+        const head = await headObject(key);
+        const finalized = head && (await readUploadMeta(key))?.transferId;
+        if (head && !finalized) {
+          if (!dryRun) await usage.settle(subject, key, head.size);
+          report.reservations.settled++;
+        } else {
+          if (!dryRun) await usage.release(subject, key);
+          report.reservations.released++;
+        }
+      } catch (err) {
+        report.errors.push({ key, subject, error: err.message });
+      }
+    }
+  }
+}
+
+async function multipartJanitorOnce({ dryRun = MP_JANITOR_DRY_RUN } = {}) {
+  if (janitorRunning) throw new Error('janitor_in_progress');
+  janitorRunning = true;
+  const report = { startedAt: toRFC3339(new Date()), dryRun, scanned: 0, aborted: [], sessions: 0, reservations: { released: 0, settled: 0 }, errors: [] };
+  const cutoff = Date.now() - MP_MAX_AGE_HOURS * 60 * 60 * 1000;
+  try {
+    const uploads = await listMultipartUploads();
+    report.scanned = uploads.length;
+    const open = new Set();
+    for (const u of uploads) {
+      if (u.initiated.getTime() >= cutoff) { open.add(u.uploadId); continue; }
+      try {
+        if (!dryRun) await storage.abortMultipartUpload(u.key, u.uploadId);
+        report.aborted.push({
+          key: u.key, uploadId: u.uploadId, initiated: toRFC3339(u.initiated),
+          ageHours: Math.round((Date.now() - u.initiated.getTime()) / 36e5 * 10) / 10
+        });
+      } catch (err) {
+        open.add(u.uploadId);
+        report.errors.push({ key: u.key, uploadId: u.uploadId, error: err.message });
+      }
+    }
+
+    // Sesiones (_sessions/<creador>/<uploadId>.json) cuyo multipart ya no existe y pasaron la edad máxima
+    const { objects } = await listObjects('_sessions/');
+    const stale = objects.filter(o => {
+      const uploadId = decodeURIComponent(path.posix.basename(o.key, '.json'));
+      return !open.has(uploadId) && new Date(o.lastModified).getTime() < cutoff;
+    });
+    if (!dryRun) await deleteKeys(stale.map(o => o.key));
+    report.sessions = stale.length;
+
+    await closeStaleReservations(cutoff, dryRun, report);
+  } finally {
+    janitorRunning = false;
+    report.finishedAt = toRFC3339(new Date());
+    janitorRuns.unshift(report);
+    janitorRuns.length = Math.min(janitorRuns.length, 20);
+  }
+  for (const a of report.aborted) log.info('multipart_janitor_abort', { dryRun, key: a.key, uploadId: a.uploadId, ageHours: a.ageHours });
+  log.info('multipart_janitor', { dryRun, scanned: report.scanned, aborted: report.aborted.length, sessions: report.sessions, reservationsReleased: report.reservations.released, reservationsSettled: report.reservations.settled, errors: report.errors.length });
+  return report;
+}
+
+/* ----------------------------------------------------------------------
+ *  Webhooks — log de entregas
+ * -------------------------------------------------------------------- */
+app.get('/api/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  const { status, type, eventId, limit } = req.query;
+  res.json({ deliveries: listDeliveries({ status, type, eventId, limit }) });
 });
+
+/* ----------------------------------------------------------------------
+ *  Arranque — solo al ejecutar el archivo (node server.js); importado (tests) exporta la app
+ *  sin escuchar ni programar el barrido / janitor
+ * -------------------------------------------------------------------- */
+export { app, mapS3Error };
+export default app;
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    log.info('listening', { version: '2.3.3', port: Number(PORT) });
+    if (SWEEP_INTERVAL_MIN > 0) {
+      setInterval(() => {
+        if (!sweepRunning) sweepOnce().catch(err => log.error('sweep_error', err));
+      }, SWEEP_INTERVAL_MIN * 60 * 1000);
+    }
+    if (MP_JANITOR_INTERVAL_MIN > 0) {
+      setInterval(() => {
+        if (!janitorRunning) multipartJanitorOnce().catch(err => log.error('multipart_janitor_error', err));
+      }, MP_JANITOR_INTERVAL_MIN * 60 * 1000);
+    }
+  });
+}
@@ -5,6 +5,8 @@ import multer from 'multer';
 import { nanoid } from 'nanoid';
 import AWS from 'aws-sdk';
 import archiver from 'archiver';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
 dotenv.config();
 
@@ -285,6 +287,12 @@ ${ expired ? '' : `<div style="margin-top:16px"><a class="btn" href="/api/transf
 /* =========================
    Start
    ========================= */
-app.listen(PORT, () => {
-  console.log('Mixtli Transfer backend v2.3.1-b listening on', PORT);
-});
+export { app };
+export default app;
+
+// Solo escucha al ejecutar el archivo; importado (tests) exporta la app
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log('Mixtli Transfer backend v2.3.1-b listening on', PORT);
+  });
+}
@@ -1,16 +1,28 @@
 // server_bundle.js
 import 'dotenv/config';
 import express from 'express';
-import morgan from 'morgan';
-import { S3Client, PutObjectCommand, GetObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, GetObjectCommand as S3GetObject } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, ListObjectsV2Command, HeadObjectCommand, GetObjectCommand as S3GetObject } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { z } from 'zod';
+import { signUploadKey, verifyUploadKey } from './lib/uploadTokens.js';
+import { authenticate } from './lib/auth.js';
+import { rateLimit, trustProxySetting } from './lib/rateLimit.js';
+import { i18n } from './lib/i18n.js';
+import { sendRouteError } from './lib/routeErrors.js'; // errores con código estable (zod, S3 404 / 5xx)
+import { log, requestContext, accessLog } from './lib/logger.js';
+import { metrics, metricsMiddleware, metricsHandler, instrumentS3Client, countBytes } from './lib/metrics.js';
+import { createAccessAudit, issueAccessToken, requireAccessToken, tokenAllows, isAllowedKey, isAllowedPrefix, accessTokensEnabled, ACCESS_SCOPES } from './lib/accessTokens.js';
+import { requireAdmin, isAdminRequest } from './lib/admin.js';
 import archiver from 'archiver'; // <-- AÑADIR EN package.json: "archiver": "^6.0.2"
 
 /**
  * Mixtli Transfer Backend — v3.1
  * - Igual que v3.0 (multipart + single PUT)
+ * - Auth en /api/* (lib/auth.js); el plan sale de la identidad, no de x-mixtli-plan.
+ * - Errores JSON con código estable en `error` y `message` según ?lang= / Accept-Language (lib/i18n.js).
  * - NUEVO: /api/bundle (stream ZIP) a partir de un manifiesto JSON en el bucket
  *   Manifiesto JSON (application/json) estructura:
  *   {
@@ -20,11 +32,15 @@ import archiver from 'archiver'; // <-- AÑADIR EN package.json: "archiver": "^6
  *        { "key": "uploads/.../file2.ext" }
  *     ]
  *   }
+ * - /api/bundle y /api/sign-get piden un token firmado con alcance (POST /api/access-tokens, lib/accessTokens.js);
+ *   los items del manifiesto se validan con zod contra ACCESS_ALLOWED_PREFIXES (BUNDLE_MAX_ITEMS como tope).
  */
 
 const app = express();
+app.set('trust proxy', trustProxySetting()); // TRUST_PROXY: req.ip real detrás de un proxy (rate limiting)
 app.use(express.json({ limit: '2mb' }));
-app.use(morgan('tiny'));
+app.use(requestContext, accessLog, metricsMiddleware); // X-Request-Id, logs JSON y latencias para /metrics
+app.use(i18n); // req.lang + `message` localizado en los errores JSON (lib/i18n.js)
 
 // ---------- Helpers ----------
 function parseSize(input, fallback) {
@@ -51,7 +67,7 @@ function applyCors(req, res) {
   if (origin && ALLOWED.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Vary', 'Origin');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-mixtli-token, x-mixtli-plan');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-mixtli-token, x-mixtli-plan, x-access-token');
 }
 app.use((req, res, next) => { applyCors(req, res); if (req.method === 'OPTIONS') return res.status(204).end(); next(); });
 
@@ -62,9 +78,34 @@ const s3 = new S3Client({
   forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || 'true') === 'true',
   credentials: { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY },
 });
+instrumentS3Client(s3); // errores por categoría en /metrics
 const BUCKET = process.env.S3_BUCKET;
 const URL_TTL_SECONDS = parseInt(process.env.URL_TTL_SECONDS || String(5 * 24 * 60 * 60), 10);
 
+// JSON en el bucket (auditoría de tokens de acceso en _audit/)
+async function readJson(Key) {
+  try {
+    const r = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key }));
+    return JSON.parse(await r.Body.transformToString());
+  } catch (err) {
+    if (err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404) return null;
+    throw err;
+  }
+}
+async function putJson(Key, obj) {
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key, Body: JSON.stringify(obj), ContentType: 'application/json' }));
+}
+async function listKeys(Prefix) {
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const r = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix, ContinuationToken }));
+    for (const o of r.Contents || []) keys.push(o.Key);
+    ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return keys;
+}
+
 // ---------- Planes ----------
 const PLAN_LIMITS = (() => {
   const json = jsonFromEnv('PLAN_LIMITS_JSON', null);
@@ -77,9 +118,16 @@ const PLAN_LIMITS = (() => {
     promax: bytesFromEnv('PROMAX_MAX_FILE_BYTES', 300 * 1024**3),
   };
 })();
-const ENABLE_PLAN_HEADER = String(process.env.ENABLE_PLAN_HEADER || 'true') === 'true';
+// x-mixtli-plan / ?plan= solo para pruebas locales: en cualquier otro NODE_ENV se ignora
+const ENABLE_PLAN_HEADER = String(process.env.ENABLE_PLAN_HEADER || 'false') === 'true' && process.env.NODE_ENV === 'development';
+if (String(process.env.ENABLE_PLAN_HEADER) === 'true' && !ENABLE_PLAN_HEADER) log.warn('ENABLE_PLAN_HEADER ignorado fuera de NODE_ENV=development');
 const DEFAULT_PLAN = String(process.env.DEFAULT_PLAN || 'free').toLowerCase();
-function getPlanFromReq(req) { if (!ENABLE_PLAN_HEADER) return DEFAULT_PLAN; const p = String(req.headers['x-mixtli-plan'] || req.query.plan || DEFAULT_PLAN).toLowerCase(); return ['free','pro','promax'].includes(p) ? p : DEFAULT_PLAN; }
+function getPlanFromReq(req) {
+  if (req.identity) return req.identity.plan;
+  if (!ENABLE_PLAN_HEADER) return DEFAULT_PLAN;
+  const p = String(req.headers['x-mixtli-plan'] || req.query.plan || DEFAULT_PLAN).toLowerCase();
+  return ['free','pro','promax'].includes(p) ? p : DEFAULT_PLAN;
+}
 function getPlanLimit(req) { const plan = getPlanFromReq(req); return PLAN_LIMITS[plan] ?? PLAN_LIMITS.free; }
 
 // ---------- Misc ----------
@@ -102,80 +150,186 @@ const PresignSchema = z.object({
 
 const BundleQuery = z.object({ m: z.string().min(1) }); // manifest key
 
+// Manifiesto de /api/bundle: items solo bajo ACCESS_ALLOWED_PREFIXES y nombres sin rutas (nada de ../ en el ZIP)
+const BUNDLE_MAX_ITEMS = parseInt(process.env.BUNDLE_MAX_ITEMS || '1000', 10);
+const BundleManifestSchema = z.object({
+  name: z.string().min(1).max(200).optional(),
+  items: z.array(z.object({
+    key: z.string().refine(isAllowedKey, 'key fuera de los prefijos permitidos'),
+    name: z.string().min(1).max(255).refine(n => !/[\\/]/.test(n) && n !== '.' && n !== '..', 'nombre con ruta').optional(),
+  })).min(1).max(BUNDLE_MAX_ITEMS),
+});
+
 // ---------- Rutas ya existentes (health, presign, sign-get, multipart...) ----------
 app.get('/api/health', (_req, res) => {
   res.json({ ok: true, ts: new Date().toISOString(), limits: { free: PLAN_LIMITS.free, pro: PLAN_LIMITS.pro, promax: PLAN_LIMITS.promax, ttlSeconds: URL_TTL_SECONDS }, defaultPlan: DEFAULT_PLAN });
 });
 
-app.post('/api/presign', async (req, res) => {
+// Prometheus (METRICS_ENABLED / METRICS_TOKEN)
+app.get('/metrics', metricsHandler);
+
+// Todo lo demás bajo /api valida la credencial del cliente (/api/admin/* va con ADMIN_TOKEN)
+app.use(/^\/api(?!\/admin\/)/, authenticate);
+
+app.post('/api/presign', rateLimit('upload'), async (req, res) => {
   try {
     const parsed = PresignSchema.parse(req.body || {});
     const limit = getPlanLimit(req);
     if (parsed.size > limit) {
-      return res.status(400).json({ error: `Archivo excede el límite del plan (${limit} bytes).`, limitBytes: limit });
+      return res.status(400).json({ error: 'file_too_large', limitBytes: limit });
     }
     const key = safeKeyFrom(parsed.filename);
     const putCmd = new PutObjectCommand({ Bucket: BUCKET, Key: key, ContentType: parsed.contentType });
     const putUrl = await getSignedUrl(s3, putCmd, { expiresIn: URL_TTL_SECONDS });
-    res.json({ key, putUrl, expiresIn: URL_TTL_SECONDS });
+    // uploadToken: prueba de que la key la emitimos nosotros (la pide POST /api/transfers/finalize)
+    res.json({ key, putUrl, expiresIn: URL_TTL_SECONDS, uploadToken: signUploadKey(key) });
   } catch (err) {
-    console.error('presign error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('presign_error', err);
+    sendRouteError(res, err);
   }
 });
 
-app.get('/api/sign-get', async (req, res) => {
+// ---------- Tokens de acceso (sign-get / bundle, ver lib/accessTokens.js) ----------
+const accessAudit = createAccessAudit({ get: readJson, put: putJson, list: listKeys });
+
+const AccessTokenSchema = z.object({
+  scope: z.enum(ACCESS_SCOPES),
+  // Sin ADMIN_TOKEN cada key va con el uploadToken que entregaron presign / multipart
+  keys: z.array(z.object({ key: z.string().min(1), uploadToken: z.string().optional() })).max(1000).default([]),
+  prefixes: z.array(z.string().min(1)).max(20).default([]),
+  ttlSeconds: z.number().int().positive().optional(),
+}).refine(b => b.keys.length || b.prefixes.length, { message: 'keys o prefixes requerido' });
+
+app.post('/api/access-tokens', rateLimit('access'), async (req, res) => {
+  try {
+    if (!accessTokensEnabled()) return res.status(503).json({ error: 'access_tokens_disabled' });
+    const body = AccessTokenSchema.parse(req.body || {});
+    const admin = isAdminRequest(req);
+    if (body.prefixes.length && !admin) return res.status(403).json({ error: 'admin_required' });
+    const bad = body.prefixes.find(p => !isAllowedPrefix(p)) ?? body.keys.map(k => k.key).find(k => !isAllowedKey(k));
+    if (bad !== undefined) return res.status(400).json({ error: 'key_not_allowed', key: bad });
+    if (!admin) {
+      const unproven = body.keys.find(k => !verifyUploadKey(k.key, k.uploadToken));
+      if (unproven) return res.status(403).json({ error: 'invalid_upload_token', key: unproven.key });
+    }
+    const { token, claims } = issueAccessToken({
+      subject: req.identity?.subject || null, scope: body.scope,
+      keys: [...new Set(body.keys.map(k => k.key))], prefixes: body.prefixes, ttlSeconds: body.ttlSeconds,
+    });
+    // Sin registro en la auditoría no se entrega el token
+    await accessAudit.record(claims, { via: admin ? 'admin' : 'upload_token', ip: req.ip });
+    res.json({ token, scope: claims.scope, keys: claims.keys, prefixes: claims.prefixes, expiresAt: new Date(claims.exp * 1000).toISOString() });
+  } catch (err) {
+    log.error('access_token_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+app.get('/api/sign-get', requireAccessToken('get'), async (req, res) => {
   try {
     const key = String(req.query.key || '');
-    if (!key) return res.status(400).json({ error: 'Missing key' });
+    if (!key) return res.status(400).json({ error: 'missing_key' });
+    if (!tokenAllows(req.access, key)) return res.status(403).json({ error: 'access_denied', key });
+    // La URL firmada no sobrevive al token que la pidió
+    const expiresIn = Math.max(1, Math.min(URL_TTL_SECONDS, req.access.exp - Math.floor(Date.now() / 1000)));
     const getCmd = new GetObjectCommand({ Bucket: BUCKET, Key: key });
-    const getUrl = await getSignedUrl(s3, getCmd, { expiresIn: URL_TTL_SECONDS });
-    res.json({ key, getUrl, expiresIn: URL_TTL_SECONDS });
+    const getUrl = await getSignedUrl(s3, getCmd, { expiresIn });
+    res.json({ key, getUrl, expiresIn });
   } catch (err) {
-    console.error('sign-get error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('sign_get_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+// Auditoría: tokens emitidos en un día UTC (default hoy)
+app.get('/api/admin/access-tokens', requireAdmin, async (req, res) => {
+  try {
+    const day = String(req.query.day || new Date().toISOString().slice(0, 10));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: 'invalid_request' });
+    res.json({ day, tokens: await accessAudit.listDay(day) });
+  } catch (err) {
+    log.error('access_token_audit_error', err);
+    sendRouteError(res, err);
   }
 });
 
 // ---------- Bundle ZIP (stream) ----------
-app.get('/api/bundle', async (req, res) => {
+// Pide un token scope 'bundle' (x-access-token o ?token=) que cubra el manifiesto y cada item
+app.get('/api/bundle', requireAccessToken('bundle'), async (req, res) => {
   try {
     const { m } = BundleQuery.parse({ m: req.query.m });
+    if (!tokenAllows(req.access, m)) return res.status(403).json({ error: 'access_denied', key: m });
     // Leer manifiesto directamente de S3
     const mObj = await s3.send(new S3GetObject({ Bucket: BUCKET, Key: m }));
     const manifestStr = await mObj.Body.transformToString();
-    const manifest = JSON.parse(manifestStr);
-    const name = (manifest && manifest.name) ? String(manifest.name) : 'combo.zip';
-    const items = Array.isArray(manifest.items) ? manifest.items : [];
+    let raw;
+    try { raw = JSON.parse(manifestStr); } catch { return res.status(400).json({ error: 'invalid_manifest' }); }
 
-    if (items.length === 0) {
-      return res.status(400).json({ error: 'Manifiesto vacío' });
+    if (!Array.isArray(raw?.items) || raw.items.length === 0) {
+      return res.status(400).json({ error: 'empty_manifest' });
+    }
+    const parsed = BundleManifestSchema.safeParse(raw);
+    if (!parsed.success) return res.status(400).json({ error: 'invalid_manifest', issues: parsed.error.issues });
+    const manifest = parsed.data;
+    const denied = manifest.items.find(it => !tokenAllows(req.access, it.key));
+    if (denied) return res.status(403).json({ error: 'access_denied', key: denied.key });
+    const name = manifest.name || 'combo.zip';
+    const items = manifest.items;
+    // Todos los items se comprueban antes de mandar headers: después ya no hay forma de responder un error
+    for (const it of items) {
+      try {
+        await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: it.key }));
+      } catch (err) {
+        if (err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404) return res.status(404).json({ error: 'key_not_found', key: it.key });
+        throw err;
+      }
     }
 
     res.setHeader('Content-Type', 'application/zip');
     res.setHeader('Content-Disposition', `attachment; filename="${name.replace(/[^a-zA-Z0-9._-]+/g,'-')}"`);
 
     const archive = archiver('zip', { zlib: { level: 6 } });
-    archive.on('warning', err => { console.warn('archiver warning', err); });
-    archive.on('error', err => { throw err; });
-    archive.pipe(res);
+    archive.on('warning', err => { log.warn('archiver_warning', err); });
+    // Con el ZIP a medias no queda respuesta posible: se corta la conexión para que el cliente no se
+    // quede con un archivo truncado que parezca completo
+    const fail = (err) => {
+      if (res.destroyed) return;
+      log.error('bundle_stream_error', err);
+      archive.abort();
+      res.destroy(err);
+    };
+    archive.on('error', fail);
+    metrics.zipStreams.inc();
+    res.on('close', () => metrics.zipStreams.dec());
+    archive.pipe(countBytes(metrics.downloadBytes, { kind: 'bundle' })).pipe(res);
 
-    for (const it of items) {
-      const key = String(it.key);
-      const filename = (it.name ? String(it.name) : key.split('/').pop()) || 'file';
-      // Obtener stream del objeto (evita bajarlo a disco)
-      const obj = await s3.send(new S3GetObject({ Bucket: BUCKET, Key: key }));
-      archive.append(obj.Body, { name: filename });
+    try {
+      for (const it of items) {
+        if (res.destroyed) return;
+        const key = it.key;
+        const filename = it.name || key.split('/').pop() || 'file';
+        // Obtener stream del objeto (evita bajarlo a disco)
+        const obj = await s3.send(new S3GetObject({ Bucket: BUCKET, Key: key }));
+        obj.Body.on('error', fail);
+        archive.append(obj.Body, { name: filename });
+      }
+      await archive.finalize();
+    } catch (err) {
+      fail(err);
     }
-
-    archive.finalize();
   } catch (err) {
-    console.error('bundle error', err);
-    if (!res.headersSent) res.status(400).json({ error: String(err) });
+    log.error('bundle_error', err);
+    if (!res.headersSent) sendRouteError(res, err);
   }
 });
 
 app.get('/', (_req, res) => res.type('text/plain').send('Mixtli Transfer Backend v3.1 (bundle) OK'));
 
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`Mixtli Transfer backend listening on :${PORT}`));
+export { app };
+export default app;
+
+// Solo escucha al ejecutar el archivo; importado (tests) exporta la app
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const PORT = process.env.PORT || 8080;
+  app.listen(PORT, () => log.info('listening', { port: Number(PORT) }));
+}
@@ -1,24 +1,45 @@
 // server_multipart.js
 import 'dotenv/config';
 import express from 'express';
-import morgan from 'morgan';
-import { S3Client, PutObjectCommand, GetObjectCommand, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command, CreateMultipartUploadCommand, UploadPartCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand, ListPartsCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { z } from 'zod';
+import { signUploadKey, verifyUploadKey } from './lib/uploadTokens.js';
+import { authenticate } from './lib/auth.js';
+import { rateLimit, trustProxySetting } from './lib/rateLimit.js';
+import { i18n } from './lib/i18n.js';
+import { sendRouteError } from './lib/routeErrors.js'; // errores con código estable (zod, S3 404 / 5xx)
+import { log, requestContext, accessLog } from './lib/logger.js';
+import { metrics, metricsMiddleware, metricsHandler, instrumentS3Client } from './lib/metrics.js';
+import { createAccessAudit, issueAccessToken, requireAccessToken, tokenAllows, isAllowedKey, isAllowedPrefix, accessTokensEnabled, ACCESS_SCOPES } from './lib/accessTokens.js';
+import { accountFromReq, sendQuotaError, createUsageStore } from './lib/quotas.js';
+import { emitEvent, listDeliveries } from './lib/webhooks.js';
+import { requireAdmin, isAdminRequest } from './lib/admin.js';
 
 /**
  * Mixtli Transfer Backend — v3.0 (Multipart + Single PUT)
  * - CORS manual por ALLOWED_ORIGINS (JSON exacto).
  * - Límites por plan (PLAN_LIMITS_JSON o FREE_/PRO_/PROMAX_).
- * - Header opcional x-mixtli-plan (ENABLE_PLAN_HEADER).
+ * - Auth: API key o bearer token firmado en x-mixtli-token / Authorization (lib/auth.js); el plan sale de ahí.
+ * - Header x-mixtli-plan solo en desarrollo (ENABLE_PLAN_HEADER + NODE_ENV=development).
+ * - Rate limiting por IP / API key en presign y multipart/create (lib/rateLimit.js).
+ * - Cuotas de cuenta (lib/quotas.js): presign y multipart/create reservan el tamaño declarado o rechazan si no cabe en el almacenamiento.
  * - URL_TTL_SECONDS para presign.
  * - NUEVO: /api/multipart/* para archivos >5GB o resumibles.
+ * - Webhook multipart.completed (WEBHOOK_URLS / WEBHOOK_SECRET, ver lib/webhooks.js).
+ * - Errores JSON con código estable en `error` y `message` según ?lang= / Accept-Language (lib/i18n.js).
+ * - /api/sign-get pide un token firmado con alcance (POST /api/access-tokens, lib/accessTokens.js); auditoría en _audit/.
+ * - Sesiones multipart en _sessions/ (por identidad) para reanudar: /api/multipart/sessions y /api/multipart/:uploadId/status.
  */
 
 const app = express();
+app.set('trust proxy', trustProxySetting()); // TRUST_PROXY: req.ip real detrás de un proxy (rate limiting)
 app.use(express.json({ limit: '2mb' }));
-app.use(morgan('tiny'));
+app.use(requestContext, accessLog, metricsMiddleware); // X-Request-Id, logs JSON y latencias para /metrics
+app.use(i18n); // req.lang + `message` localizado en los errores JSON (lib/i18n.js)
 
 // ---------- Helpers ----------
 function parseSize(input, fallback) {
@@ -45,7 +66,7 @@ function applyCors(req, res) {
   if (origin && ALLOWED.includes(origin)) res.setHeader('Access-Control-Allow-Origin', origin);
   res.setHeader('Vary', 'Origin');
   res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-mixtli-token, x-mixtli-plan');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-mixtli-token, x-mixtli-plan, x-access-token');
 }
 app.use((req, res, next) => { applyCors(req, res); if (req.method === 'OPTIONS') return res.status(204).end(); next(); });
 
@@ -56,6 +77,7 @@ const s3 = new S3Client({
   forcePathStyle: String(process.env.S3_FORCE_PATH_STYLE || 'true') === 'true',
   credentials: { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY },
 });
+instrumentS3Client(s3); // errores por categoría en /metrics
 const BUCKET = process.env.S3_BUCKET;
 const URL_TTL_SECONDS = parseInt(process.env.URL_TTL_SECONDS || String(5 * 24 * 60 * 60), 10);
 
@@ -71,9 +93,16 @@ const PLAN_LIMITS = (() => {
     promax: bytesFromEnv('PROMAX_MAX_FILE_BYTES', 300 * 1024**3),
   };
 })();
-const ENABLE_PLAN_HEADER = String(process.env.ENABLE_PLAN_HEADER || 'true') === 'true';
+// x-mixtli-plan / ?plan= solo para pruebas locales: en cualquier otro NODE_ENV se ignora
+const ENABLE_PLAN_HEADER = String(process.env.ENABLE_PLAN_HEADER || 'false') === 'true' && process.env.NODE_ENV === 'development';
+if (String(process.env.ENABLE_PLAN_HEADER) === 'true' && !ENABLE_PLAN_HEADER) log.warn('ENABLE_PLAN_HEADER ignorado fuera de NODE_ENV=development');
 const DEFAULT_PLAN = String(process.env.DEFAULT_PLAN || 'free').toLowerCase();
-function getPlanFromReq(req) { if (!ENABLE_PLAN_HEADER) return DEFAULT_PLAN; const p = String(req.headers['x-mixtli-plan'] || req.query.plan || DEFAULT_PLAN).toLowerCase(); return ['free','pro','promax'].includes(p) ? p : DEFAULT_PLAN; }
+function getPlanFromReq(req) {
+  if (req.identity) return req.identity.plan;
+  if (!ENABLE_PLAN_HEADER) return DEFAULT_PLAN;
+  const p = String(req.headers['x-mixtli-plan'] || req.query.plan || DEFAULT_PLAN).toLowerCase();
+  return ['free','pro','promax'].includes(p) ? p : DEFAULT_PLAN;
+}
 function getPlanLimit(req) { const plan = getPlanFromReq(req); return PLAN_LIMITS[plan] ?? PLAN_LIMITS.free; }
 
 // ---------- Misc ----------
@@ -87,6 +116,102 @@ function safeKeyFrom(filename) {
   return `uploads/${yyyy}/${mm}/${dd}/${uuid}-${clean}`;
 }
 
+// Metadatos de un objeto subido (p. ej. el SHA-256 que manda el cliente) en _meta/<key>.json.
+// El SHA-256 de multipart lo declara el cliente y el servidor no lo recalcula: va con sha256Source 'client'.
+// reservedBy: cuenta que reservó el almacenamiento (server.js libera la reserva al finalizar). Se mezcla con lo que ya hubiera
+const metaKeyFor = (key) => `_meta/${key}.json`;
+async function writeUploadMeta(key, meta) {
+  const Body = JSON.stringify({ key, ...await readJson(metaKeyFor(key)), ...meta, recordedAt: new Date().toISOString() });
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: metaKeyFor(key), Body, ContentType: 'application/json' }));
+}
+
+// ---------- Sesiones multipart ----------
+// Cada sesión abierta se guarda en _sessions/<creador>/<uploadId>.json, así sobrevive reinicios y
+// un cliente puede reanudar (solo ve las suyas). El creador es un hash de la identidad o, anónimo, de la IP.
+function creatorFromReq(req) {
+  const src = req.identity ? `sub:${req.identity.subject}` : `ip:${req.ip}`;
+  return crypto.createHash('sha256').update(src).digest('hex').slice(0, 32);
+}
+const sessionKey = (creator, uploadId) => `_sessions/${creator}/${encodeURIComponent(uploadId)}.json`;
+
+async function readJson(Key) {
+  try {
+    const r = await s3.send(new GetObjectCommand({ Bucket: BUCKET, Key }));
+    return JSON.parse(await r.Body.transformToString());
+  } catch (err) {
+    if (err?.name === 'NoSuchKey' || err?.$metadata?.httpStatusCode === 404) return null;
+    throw err;
+  }
+}
+async function putJson(Key, obj) {
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key, Body: JSON.stringify(obj), ContentType: 'application/json' }));
+}
+async function listKeys(Prefix) {
+  const keys = [];
+  let ContinuationToken;
+  do {
+    const r = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix, ContinuationToken }));
+    for (const o of r.Contents || []) keys.push(o.Key);
+    ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return keys;
+}
+async function saveSession(session) {
+  const Body = JSON.stringify(session);
+  await s3.send(new PutObjectCommand({ Bucket: BUCKET, Key: sessionKey(session.creator, session.uploadId), Body, ContentType: 'application/json' }));
+}
+async function dropSession(creator, uploadId) {
+  await s3.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: sessionKey(creator, uploadId) }));
+}
+// part-url / complete / abort solo operan sobre una sesión abierta por el mismo creador y con la misma
+// key: sin esto cualquiera con un uploadId (o inventando key + uploadId) firmaba partes, completaba o abortaba
+async function ownSession(req, res, { uploadId, key }) {
+  const session = await readJson(sessionKey(creatorFromReq(req), uploadId));
+  if (!session) {
+    res.status(404).json({ error: 'session_not_found' });
+    return null;
+  }
+  if (session.key !== key) {
+    res.status(403).json({ error: 'session_key_mismatch' });
+    return null;
+  }
+  return session;
+}
+async function listSessions(creator) {
+  const sessions = [];
+  let ContinuationToken;
+  do {
+    const r = await s3.send(new ListObjectsV2Command({ Bucket: BUCKET, Prefix: `_sessions/${creator}/`, ContinuationToken }));
+    for (const o of r.Contents || []) {
+      const session = await readJson(o.Key);
+      if (session) sessions.push(session);
+    }
+    ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+  return sessions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+async function listUploadedParts(key, uploadId) {
+  const parts = [];
+  let PartNumberMarker;
+  do {
+    const r = await s3.send(new ListPartsCommand({ Bucket: BUCKET, Key: key, UploadId: uploadId, PartNumberMarker }));
+    for (const p of r.Parts || []) parts.push({ PartNumber: p.PartNumber, ETag: p.ETag, Size: p.Size });
+    PartNumberMarker = r.IsTruncated ? r.NextPartNumberMarker : undefined;
+  } while (PartNumberMarker);
+  return parts;
+}
+
+// ---------- Cuotas ----------
+// presign y multipart/create reservan el tamaño declarado (lib/quotas.js): cuenta como almacenamiento
+// aunque nunca se finalice. server.js la libera al finalizar el transfer, abort aquí y el janitor de server.js
+const usage = createUsageStore({ get: readJson, put: putJson });
+async function reserveStorage(req, key, size) {
+  const account = accountFromReq(req, getPlanFromReq(req));
+  const over = await usage.reserve(account, key, size);
+  if (!over) await writeUploadMeta(key, { reservedBy: account.subject });
+  return { over, subject: account.subject };
+}
+
 // ---------- Schemas ----------
 const PresignSchema = z.object({
   filename: z.string().min(1),
@@ -111,6 +236,7 @@ const MpCompleteSchema = z.object({
   uploadId: z.string().min(1),
   key: z.string().min(1),
   parts: z.array(z.object({ ETag: z.string().min(1), PartNumber: z.number().int().positive().max(10000) })).min(1),
+  sha256: z.string().regex(/^[a-f0-9]{64}$/i).optional(), // calculado por el cliente sobre el archivo completo
 });
 
 const MpAbortSchema = z.object({ uploadId: z.string().min(1), key: z.string().min(1) });
@@ -120,34 +246,94 @@ app.get('/api/health', (_req, res) => {
   res.json({ ok: true, ts: new Date().toISOString(), limits: { free: PLAN_LIMITS.free, pro: PLAN_LIMITS.pro, promax: PLAN_LIMITS.promax, ttlSeconds: URL_TTL_SECONDS }, defaultPlan: DEFAULT_PLAN });
 });
 
+// Prometheus (METRICS_ENABLED / METRICS_TOKEN)
+app.get('/metrics', metricsHandler);
+
+// Todo lo demás bajo /api valida la credencial del cliente (/api/admin/* va con ADMIN_TOKEN)
+app.use(/^\/api(?!\/admin\/)/, authenticate);
+
 // Single PUT (igual que antes)
-app.post('/api/presign', async (req, res) => {
+app.post('/api/presign', rateLimit('upload'), async (req, res) => {
   try {
     const parsed = PresignSchema.parse(req.body || {});
     const limit = getPlanLimit(req);
     if (parsed.size > limit) {
-      return res.status(400).json({ error: `Archivo excede el límite del plan (${limit} bytes).`, limitBytes: limit });
+      return res.status(400).json({ error: 'file_too_large', limitBytes: limit });
     }
     const key = safeKeyFrom(parsed.filename);
+    const { over } = await reserveStorage(req, key, parsed.size);
+    if (over) return sendQuotaError(res, over);
     const putCmd = new PutObjectCommand({ Bucket: BUCKET, Key: key, ContentType: parsed.contentType });
     const putUrl = await getSignedUrl(s3, putCmd, { expiresIn: URL_TTL_SECONDS });
-    res.json({ key, putUrl, expiresIn: URL_TTL_SECONDS });
+    // uploadToken: prueba de que la key la emitimos nosotros (la pide POST /api/transfers/finalize)
+    res.json({ key, putUrl, expiresIn: URL_TTL_SECONDS, uploadToken: signUploadKey(key) });
   } catch (err) {
-    console.error('presign error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('presign_error', err);
+    sendRouteError(res, err);
   }
 });
 
-app.get('/api/sign-get', async (req, res) => {
+// ---------- Tokens de acceso (sign-get / bundle, ver lib/accessTokens.js) ----------
+const accessAudit = createAccessAudit({ get: readJson, put: putJson, list: listKeys });
+
+const AccessTokenSchema = z.object({
+  scope: z.enum(ACCESS_SCOPES),
+  // Sin ADMIN_TOKEN cada key va con el uploadToken que entregaron presign / multipart
+  keys: z.array(z.object({ key: z.string().min(1), uploadToken: z.string().optional() })).max(1000).default([]),
+  prefixes: z.array(z.string().min(1)).max(20).default([]),
+  ttlSeconds: z.number().int().positive().optional(),
+}).refine(b => b.keys.length || b.prefixes.length, { message: 'keys o prefixes requerido' });
+
+app.post('/api/access-tokens', rateLimit('access'), async (req, res) => {
+  try {
+    if (!accessTokensEnabled()) return res.status(503).json({ error: 'access_tokens_disabled' });
+    const body = AccessTokenSchema.parse(req.body || {});
+    const admin = isAdminRequest(req);
+    if (body.prefixes.length && !admin) return res.status(403).json({ error: 'admin_required' });
+    const bad = body.prefixes.find(p => !isAllowedPrefix(p)) ?? body.keys.map(k => k.key).find(k => !isAllowedKey(k));
+    if (bad !== undefined) return res.status(400).json({ error: 'key_not_allowed', key: bad });
+    if (!admin) {
+      const unproven = body.keys.find(k => !verifyUploadKey(k.key, k.uploadToken));
+      if (unproven) return res.status(403).json({ error: 'invalid_upload_token', key: unproven.key });
+    }
+    const { token, claims } = issueAccessToken({
+      subject: req.identity?.subject || null, scope: body.scope,
+      keys: [...new Set(body.keys.map(k => k.key))], prefixes: body.prefixes, ttlSeconds: body.ttlSeconds,
+    });
+    // Sin registro en la auditoría no se entrega el token
+    await accessAudit.record(claims, { via: admin ? 'admin' : 'upload_token', ip: req.ip });
+    res.json({ token, scope: claims.scope, keys: claims.keys, prefixes: claims.prefixes, expiresAt: new Date(claims.exp * 1000).toISOString() });
+  } catch (err) {
+    log.error('access_token_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+app.get('/api/sign-get', requireAccessToken('get'), async (req, res) => {
   try {
     const key = String(req.query.key || '');
-    if (!key) return res.status(400).json({ error: 'Missing key' });
+    if (!key) return res.status(400).json({ error: 'missing_key' });
+    if (!tokenAllows(req.access, key)) return res.status(403).json({ error: 'access_denied', key });
+    // La URL firmada no sobrevive al token que la pidió
+    const expiresIn = Math.max(1, Math.min(URL_TTL_SECONDS, req.access.exp - Math.floor(Date.now() / 1000)));
     const getCmd = new GetObjectCommand({ Bucket: BUCKET, Key: key });
-    const getUrl = await getSignedUrl(s3, getCmd, { expiresIn: URL_TTL_SECONDS });
-    res.json({ key, getUrl, expiresIn: URL_TTL_SECONDS });
+    const getUrl = await getSignedUrl(s3, getCmd, { expiresIn });
+    res.json({ key, getUrl, expiresIn });
+  } catch (err) {
+    log.error('sign_get_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+// Auditoría: tokens emitidos en un día UTC (default hoy)
+app.get('/api/admin/access-tokens', requireAdmin, async (req, res) => {
+  try {
+    const day = String(req.query.day || new Date().toISOString().slice(0, 10));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: 'invalid_request' });
+    res.json({ day, tokens: await accessAudit.listDay(day) });
   } catch (err) {
-    console.error('sign-get error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('access_token_audit_error', err);
+    sendRouteError(res, err);
   }
 });
 
@@ -155,42 +341,58 @@ app.get('/api/sign-get', async (req, res) => {
 const ENABLE_MULTIPART = String(process.env.ENABLE_MULTIPART || 'true') === 'true';
 const DEFAULT_PART_SIZE = parseSize(process.env.MULTIPART_PART_SIZE, 16 * 1024 * 1024); // 16MB
 
-app.post('/api/multipart/create', async (req, res) => {
+app.post('/api/multipart/create', rateLimit('upload'), async (req, res) => {
   try {
-    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'Multipart deshabilitado' });
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
     const parsed = MpCreateSchema.parse(req.body || {});
     const limit = getPlanLimit(req);
     if (parsed.size > limit) {
-      return res.status(400).json({ error: `Archivo excede el límite del plan (${limit} bytes).`, limitBytes: limit });
+      return res.status(400).json({ error: 'file_too_large', limitBytes: limit });
     }
     const key = safeKeyFrom(parsed.filename);
-    const create = new CreateMultipartUploadCommand({ Bucket: BUCKET, Key: key, ContentType: parsed.contentType });
-    const out = await s3.send(create);
-    res.json({ uploadId: out.UploadId, key, partSize: parsed.partSize || DEFAULT_PART_SIZE });
+    const { over, subject } = await reserveStorage(req, key, parsed.size);
+    if (over) return sendQuotaError(res, over);
+    let out;
+    try {
+      out = await s3.send(new CreateMultipartUploadCommand({ Bucket: BUCKET, Key: key, ContentType: parsed.contentType }));
+    } catch (err) {
+      await usage.release(subject, key);
+      throw err;
+    }
+    const partSize = parsed.partSize || DEFAULT_PART_SIZE;
+    await saveSession({
+      uploadId: out.UploadId, key, filename: parsed.filename, size: parsed.size, contentType: parsed.contentType,
+      partSize, plan: getPlanFromReq(req), creator: creatorFromReq(req), reservedBy: subject, createdAt: new Date().toISOString(),
+    });
+    metrics.multipartOpened.inc();
+    res.json({ uploadId: out.UploadId, key, partSize, uploadToken: signUploadKey(key) });
   } catch (err) {
-    console.error('multipart create error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('multipart_create_error', err);
+    sendRouteError(res, err);
   }
 });
 
 app.post('/api/multipart/part-url', async (req, res) => {
   try {
-    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'Multipart deshabilitado' });
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
     const parsed = MpPartUrlSchema.parse(req.body || {});
+    if (!await ownSession(req, res, parsed)) return;
     const cmd = new UploadPartCommand({ Bucket: BUCKET, Key: parsed.key, UploadId: parsed.uploadId, PartNumber: parsed.partNumber, Body: new Uint8Array(0) });
     // Body no viaja, solo se firma la URL; el cliente hará PUT con el chunk real.
     const url = await getSignedUrl(s3, cmd, { expiresIn: URL_TTL_SECONDS });
     res.json({ url });
   } catch (err) {
-    console.error('multipart part-url error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('multipart_part_url_error', err);
+    sendRouteError(res, err);
   }
 });
 
 app.post('/api/multipart/complete', async (req, res) => {
   try {
-    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'Multipart deshabilitado' });
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
     const parsed = MpCompleteSchema.parse(req.body || {});
+    const session = await ownSession(req, res, parsed);
+    if (!session) return;
     const cmd = new CompleteMultipartUploadCommand({
       Bucket: BUCKET,
       Key: parsed.key,
@@ -198,27 +400,92 @@ app.post('/api/multipart/complete', async (req, res) => {
       MultipartUpload: { Parts: parsed.parts.map(p => ({ ETag: p.ETag, PartNumber: p.PartNumber })) },
     });
     const out = await s3.send(cmd);
-    res.json({ ok: true, key: parsed.key, location: out.Location || null });
+    const sha256 = parsed.sha256 ? parsed.sha256.toLowerCase() : null;
+    if (sha256) await writeUploadMeta(parsed.key, { sha256, sha256Source: 'client' });
+    // El tamaño declarado en la sesión alimenta mixtli_upload_bytes_total (las partes no pasan por aquí)
+    await dropSession(creatorFromReq(req), parsed.uploadId);
+    metrics.multipartCompleted.inc();
+    if (session.size) metrics.uploadBytes.inc({ source: 'multipart' }, session.size);
+    emitEvent('multipart.completed', { key: parsed.key, uploadId: parsed.uploadId, parts: parsed.parts.length, location: out.Location || null, sha256 });
+    res.json({ ok: true, key: parsed.key, location: out.Location || null, sha256 });
   } catch (err) {
-    console.error('multipart complete error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('multipart_complete_error', err);
+    sendRouteError(res, err);
   }
 });
 
 app.post('/api/multipart/abort', async (req, res) => {
   try {
-    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'Multipart deshabilitado' });
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
     const parsed = MpAbortSchema.parse(req.body || {});
+    const session = await ownSession(req, res, parsed);
+    if (!session) return;
     const cmd = new AbortMultipartUploadCommand({ Bucket: BUCKET, Key: parsed.key, UploadId: parsed.uploadId });
     await s3.send(cmd);
+    await dropSession(creatorFromReq(req), parsed.uploadId);
+    if (session.reservedBy) await usage.release(session.reservedBy, parsed.key);
     res.json({ ok: true });
   } catch (err) {
-    console.error('multipart abort error', err);
-    res.status(400).json({ error: String(err) });
+    log.error('multipart_abort_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+// Sesiones abiertas del cliente (mismo x-mixtli-token o, sin token, misma IP)
+app.get('/api/multipart/sessions', async (req, res) => {
+  try {
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
+    res.json({ sessions: await listSessions(creatorFromReq(req)) });
+  } catch (err) {
+    log.error('multipart_sessions_error', err);
+    sendRouteError(res, err);
+  }
+});
+
+// Estado para reanudar: partes ya subidas (ListParts) y las que faltan según size/partSize
+app.get('/api/multipart/:uploadId/status', async (req, res) => {
+  try {
+    if (!ENABLE_MULTIPART) return res.status(403).json({ error: 'multipart_disabled' });
+    const creator = creatorFromReq(req);
+    const session = await readJson(sessionKey(creator, req.params.uploadId));
+    if (!session) return res.status(404).json({ error: 'session_not_found' });
+
+    let parts;
+    try {
+      parts = await listUploadedParts(session.key, session.uploadId);
+    } catch (err) {
+      if (err?.name !== 'NoSuchUpload') throw err;
+      // Ya se completó o abortó por fuera: la sesión no sirve para reanudar
+      await dropSession(creator, session.uploadId);
+      return res.status(410).json({ error: 'session_gone', uploadId: session.uploadId });
+    }
+    const totalParts = Math.max(1, Math.ceil(session.size / session.partSize));
+    const done = new Set(parts.map(p => p.PartNumber));
+    const missingParts = [];
+    for (let n = 1; n <= totalParts; n++) if (!done.has(n)) missingParts.push(n);
+    res.json({
+      session, parts, totalParts, missingParts,
+      uploadedBytes: parts.reduce((n, p) => n + (p.Size || 0), 0),
+      uploadToken: signUploadKey(session.key),
+    });
+  } catch (err) {
+    log.error('multipart_status_error', err);
+    sendRouteError(res, err);
   }
 });
 
+app.get('/api/admin/webhooks/deliveries', requireAdmin, (req, res) => {
+  const { status, type, eventId, limit } = req.query;
+  res.json({ deliveries: listDeliveries({ status, type, eventId, limit }) });
+});
+
 app.get('/', (_req, res) => res.type('text/plain').send('Mixtli Transfer Backend v3.0 (multipart) OK'));
 
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`Mixtli Transfer backend listening on :${PORT}`));
+export { app };
+export default app;
+
+// Solo escucha al ejecutar el archivo; importado (tests) exporta la app
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const PORT = process.env.PORT || 8080;
+  app.listen(PORT, () => log.info('listening', { port: Number(PORT) }));
+}
@@ -0,0 +1,101 @@
+// Actividad por transfer de server.js: registro de vistas/descargas, GET /api/transfers/:id/activity y panel
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+import { truncateIp } from '../lib/activity.js';
+
+let t;
+let apiKey;
+before(async () => {
+  t = await bootApp(new URL('../server.js', import.meta.url));
+  // Mismo módulo (y mismo AUTH_KEYS_FILE) que usa el server
+  const { createApiKey } = await import('../lib/auth.js');
+  apiKey = createApiKey({ subject: 'acme', plan: 'pro' }).key;
+});
+after(() => t.close());
+
+async function upload(headers = {}) {
+  const form = new FormData();
+  form.append('files', new Blob(['hola mundo\n'], { type: 'text/plain' }), 'hola.txt');
+  form.append('files', new Blob(['a,b\n1,2\n'], { type: 'text/csv' }), 'datos.csv');
+  return (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form, headers })).json();
+}
+
+const getActivity = (id, headers) => fetch(`${t.base}/api/transfers/${id}/activity`, { headers });
+
+// Los eventos se escriben al cerrarse la respuesta: se espera a que aparezcan
+async function waitForEvents(id, ownerToken, count) {
+  for (let i = 0; i < 50; i++) {
+    const body = await (await getActivity(id, { 'x-owner-token': ownerToken })).json();
+    if (body.total >= count) return body;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error(`no llegaron ${count} eventos`);
+}
+
+test('registra vistas, descargas (completas y por rango) y ZIPs con IP truncada y user agent', async () => {
+  const created = await upload();
+  assert.match(created.activityLink, new RegExp(`/t/${created.id}/activity#owner=${created.ownerToken}$`));
+
+  await (await fetch(`${t.base}/t/${created.id}`, { headers: { 'user-agent': 'Navegador/1.0' } })).text();
+  await (await fetch(`${t.base}/api/file/${created.id}/hola.txt`)).text();
+  await (await fetch(`${t.base}/api/file/${created.id}/datos.csv`, { headers: { range: 'bytes=0-1' } })).text();
+  await (await fetch(`${t.base}/api/transfers/${created.id}/download.zip`)).arrayBuffer();
+
+  const body = await waitForEvents(created.id, created.ownerToken, 4);
+  assert.equal(body.id, created.id);
+  assert.equal(body.truncated, false);
+  const byType = (type, file) => body.events.find(e => e.type === type && (!file || e.file === file));
+
+  const view = byType('view');
+  assert.equal(view.ua, 'Navegador/1.0');
+  assert.equal(view.ip, '127.0.0.0');
+  assert.equal(view.bytes, undefined);
+
+  assert.deepEqual([byType('file', 'hola.txt').bytes, byType('file', 'hola.txt').completed], [11, true]);
+  const ranged = byType('file', 'datos.csv');
+  assert.deepEqual([ranged.bytes, ranged.completed, ranged.partial], [2, false, true]);
+  assert.equal(byType('zip').completed, true);
+  assert.ok(byType('zip').bytes > 0);
+
+  assert.deepEqual({ ...body.summary, lastAt: undefined },
+    { views: 1, downloads: 3, completed: 2, bytes: 13 + byType('zip').bytes, lastAt: undefined });
+  // Del más nuevo al más viejo
+  assert.deepEqual(body.events.map(e => e.at), body.events.map(e => e.at).sort().reverse());
+});
+
+test('/activity pide el owner token o la API key de la cuenta dueña', async () => {
+  const anon = await upload();
+  assert.equal((await getActivity(anon.id)).status, 401);
+  assert.equal((await getActivity(anon.id, { 'x-owner-token': 'otro' })).status, 401);
+  // Una API key válida pero de otra cuenta no sirve
+  assert.equal((await getActivity(anon.id, { 'x-mixtli-token': apiKey })).status, 401);
+  assert.equal((await getActivity('noexiste00', { 'x-owner-token': anon.ownerToken })).status, 404);
+
+  const owned = await upload({ 'x-mixtli-token': apiKey });
+  const res = await getActivity(owned.id, { authorization: `Bearer ${apiKey}` });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).total, 0);
+});
+
+test('GET /t/:id/activity sirve el panel sin datos del transfer', async () => {
+  const created = await upload();
+  const res = await fetch(`${t.base}/t/${created.id}/activity?lang=en`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('cache-control'), 'no-store');
+  const html = await res.text();
+  assert.match(html, /<script src="\/assets\/share-activity\.js" defer><\/script>/);
+  assert.match(html, /data-type-zip="Full ZIP"/);
+  assert.doesNotMatch(html, /hola\.txt/);
+  // Ver el panel no cuenta como vista del share page
+  const body = await (await getActivity(created.id, { 'x-owner-token': created.ownerToken })).json();
+  assert.equal(body.total, 0);
+});
+
+test('truncateIp deja IPv4 en /24 e IPv6 en /48', () => {
+  assert.equal(truncateIp('203.0.113.57'), '203.0.113.0');
+  assert.equal(truncateIp('::ffff:198.51.100.7'), '198.51.100.0');
+  assert.equal(truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348'), '2001:db8:85a3::');
+  assert.equal(truncateIp('2001:db8::1'), '2001:db8:0::');
+  assert.equal(truncateIp('no-es-ip'), null);
+});
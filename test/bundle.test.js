@@ -0,0 +1,146 @@
+// server_bundle.js: /api/bundle arma un ZIP en streaming a partir de un manifiesto del bucket
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+import { readZip } from './helpers/zip.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server_bundle.js', import.meta.url), { ADMIN_TOKEN: 'test-admin' }); });
+after(() => t.close());
+
+// Token scope 'bundle' emitido por el admin con prefijos
+async function adminToken(prefixes, scope = 'bundle') {
+  const res = await fetch(`${t.base}/api/access-tokens`, {
+    method: 'POST', headers: { 'content-type': 'application/json', 'x-admin-token': 'test-admin' },
+    body: JSON.stringify({ scope, prefixes })
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).token;
+}
+
+const bundle = (m, token) => fetch(`${t.base}/api/bundle?m=${encodeURIComponent(m)}`, { headers: token ? { 'x-access-token': token } : {} });
+
+test('GET /api/bundle comprime los items del manifiesto con su nombre', async () => {
+  t.s3.putObject('uploads/2024/01/01/aaa-foto.png', 'PNG');
+  t.s3.putObject('uploads/2024/01/01/bbb-notas.txt', 'notas');
+  t.s3.putObject('bundles/combo-1.json', {
+    name: 'mis archivos.zip',
+    items: [{ key: 'uploads/2024/01/01/aaa-foto.png', name: 'foto.png' }, { key: 'uploads/2024/01/01/bbb-notas.txt' }]
+  }, 'application/json');
+
+  const res = await bundle('bundles/combo-1.json', await adminToken(['bundles/', 'uploads/2024/']));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+  assert.equal(res.headers.get('content-disposition'), 'attachment; filename="mis-archivos.zip"');
+
+  const entries = readZip(Buffer.from(await res.arrayBuffer()));
+  assert.deepEqual(entries.map(e => [e.name, e.data.toString()]), [['foto.png', 'PNG'], ['bbb-notas.txt', 'notas']]);
+});
+
+test('GET /api/bundle con manifiesto vacío responde 400', async () => {
+  t.s3.putObject('bundles/vacio.json', { items: [] }, 'application/json');
+  const res = await bundle('bundles/vacio.json', await adminToken(['bundles/']));
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error, 'empty_manifest');
+});
+
+test('GET /api/bundle sin m responde 400 y con manifiesto inexistente 404', async () => {
+  const token = await adminToken(['bundles/']);
+  assert.equal((await fetch(`${t.base}/api/bundle?token=${token}`)).status, 400);
+  const missing = await bundle('bundles/no-existe.json', token);
+  assert.equal(missing.status, 404);
+  assert.deepEqual(await missing.json(), { error: 'not_found', message: 'No encontrado.' });
+});
+
+test('GET /api/bundle con el almacenamiento caído responde 502 sin el mensaje interno', async () => {
+  const token = await adminToken(['bundles/']);
+  t.s3.outage(true);
+  try {
+    const res = await bundle('bundles/combo-1.json', token);
+    assert.equal(res.status, 502);
+    assert.deepEqual(await res.json(), { error: 'storage_error', message: 'Error del almacenamiento.' });
+  } finally {
+    t.s3.outage(false);
+  }
+});
+
+test('GET /api/bundle responde 404 antes del ZIP si falta un item', async () => {
+  t.s3.putObject('uploads/2024/01/02/esta.txt', 'sí');
+  t.s3.putObject('bundles/incompleto.json', { items: [{ key: 'uploads/2024/01/02/esta.txt' }, { key: 'uploads/2024/01/02/falta.txt' }] }, 'application/json');
+  const res = await bundle('bundles/incompleto.json', await adminToken(['bundles/', 'uploads/2024/']));
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: 'key_not_found', key: 'uploads/2024/01/02/falta.txt', message: 'No existe el objeto uploads/2024/01/02/falta.txt.' });
+});
+
+test('GET /api/bundle corta la conexión si un item falla a mitad del stream', async () => {
+  t.s3.putObject('uploads/2024/01/03/roto.bin', Buffer.alloc(64 * 1024, 1));
+  t.s3.objects.get('uploads/2024/01/03/roto.bin').broken = true;
+  t.s3.putObject('bundles/roto.json', { items: [{ key: 'uploads/2024/01/03/roto.bin' }] }, 'application/json');
+  const token = await adminToken(['bundles/', 'uploads/2024/']);
+  const res = await bundle('bundles/roto.json', token);
+  assert.equal(res.status, 200);
+  await assert.rejects(res.arrayBuffer());
+  // El server sigue en pie
+  assert.equal((await fetch(`${t.base}/api/health`)).status, 200);
+});
+
+test('GET /api/bundle exige un token de scope bundle que cubra el manifiesto y los items', async () => {
+  t.s3.putObject('uploads/2024/02/01/ccc-a.txt', 'a');
+  t.s3.putObject('bundles/combo-2.json', { items: [{ key: 'uploads/2024/02/01/ccc-a.txt' }] }, 'application/json');
+
+  const none = await bundle('bundles/combo-2.json');
+  assert.equal(none.status, 401);
+  assert.equal((await none.json()).error, 'access_token_required');
+  assert.equal((await bundle('bundles/combo-2.json', 'mxa.e30.firma-falsa')).status, 401);
+  assert.equal((await bundle('bundles/combo-2.json', await adminToken(['bundles/'], 'get'))).status, 401);
+
+  const onlyManifest = await bundle('bundles/combo-2.json', await adminToken(['bundles/']));
+  assert.equal(onlyManifest.status, 403);
+  assert.deepEqual(await onlyManifest.json(), {
+    error: 'access_denied', key: 'uploads/2024/02/01/ccc-a.txt', message: 'El token de acceso no cubre uploads/2024/02/01/ccc-a.txt.'
+  });
+  assert.equal((await bundle('bundles/combo-2.json', await adminToken(['uploads/']))).status, 403);
+});
+
+test('el manifiesto solo acepta items bajo los prefijos permitidos y nombres sin rutas', async () => {
+  const token = await adminToken(['bundles/', 'uploads/']);
+  t.s3.putObject('transfers/abc/secreto.txt', 'privado');
+  for (const [m, item] of [
+    ['bundles/interno.json', { key: '_usage/alguien.json' }],
+    ['bundles/transfer.json', { key: 'transfers/abc/secreto.txt' }],
+    ['bundles/subida.json', { key: 'uploads/../transfers/abc/secreto.txt' }],
+    ['bundles/zipslip.json', { key: 'uploads/2024/01/01/aaa-foto.png', name: '../../evil.sh' }]
+  ]) {
+    t.s3.putObject(m, { items: [item] }, 'application/json');
+    const res = await bundle(m, token);
+    assert.equal(res.status, 400, m);
+    assert.equal((await res.json()).error, 'invalid_manifest');
+  }
+});
+
+test('POST /api/access-tokens: prefijos solo con ADMIN_TOKEN, keys con su uploadToken, y todo queda auditado', async () => {
+  const post = (body, headers = {}) => fetch(`${t.base}/api/access-tokens`, {
+    method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body)
+  });
+  assert.equal((await post({ scope: 'bundle', prefixes: ['uploads/'] })).status, 403);
+  assert.equal((await post({ scope: 'bundle', prefixes: ['_meta/'] }, { 'x-admin-token': 'test-admin' })).status, 400);
+  assert.equal((await post({ scope: 'get', keys: [{ key: 'uploads/x.txt', uploadToken: 'nope' }] })).status, 403);
+
+  const { key, uploadToken } = await (await fetch(`${t.base}/api/presign`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ filename: 'a.txt', size: 1, contentType: 'text/plain' })
+  })).json();
+  const ok = await post({ scope: 'get', keys: [{ key, uploadToken }], ttlSeconds: 60 });
+  assert.equal(ok.status, 200);
+  const issued = await ok.json();
+  assert.deepEqual(issued.keys, [key]);
+  assert.ok(!('uploadToken' in issued));
+
+  const day = new Date().toISOString().slice(0, 10);
+  const audit = await (await fetch(`${t.base}/api/admin/access-tokens?day=${day}`, { headers: { 'x-admin-token': 'test-admin' } })).json();
+  const entry = audit.tokens.find(e => e.keys.includes(key));
+  assert.equal(entry.via, 'upload_token');
+  assert.equal(entry.scope, 'get');
+  assert.equal(entry.expiresAt, issued.expiresAt);
+  assert.ok(audit.tokens.some(e => e.via === 'admin' && e.prefixes.includes('bundles/')));
+  assert.ok(!JSON.stringify(audit).includes(issued.token.split('.')[2]));
+});
@@ -0,0 +1,3 @@
+// Misma suite que downloads.test.js contra el driver de disco (lib/storage/local.js)
+process.env.TEST_STORAGE_DRIVER = 'local';
+await import('./downloads.test.js');
@@ -0,0 +1,146 @@
+// Contador de descargas de server.js: marcadores en .downloads/, límite de descargas y burn-after-download
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url)); });
+after(() => t.close());
+
+// files: [[nombre, contenido]]; devuelve el transfer creado con el manifest guardado
+async function upload(files, fields = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const [name, content] of files) form.append('files', new Blob([content], { type: 'text/plain' }), name);
+  const body = await (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form })).json();
+  return { ...body, files: t.store.getJson(`transfers/${body.id}/manifest.json`).files };
+}
+
+const markers = (id) => [...t.store.objects.keys()].filter(k => k.startsWith(`transfers/${id}/.downloads/`));
+const download = async (id, ref, headers) => {
+  const res = await fetch(`${t.base}/api/file/${id}/${encodeURIComponent(ref)}`, { headers });
+  return { status: res.status, text: await res.text() };
+};
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) return;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error('no se cumplió la condición');
+}
+
+// Los eventos de fin de descarga corren al cerrarse la respuesta: se espera a que se vean
+async function waitForMarkers(id, count) {
+  await waitFor(() => markers(id).length >= count);
+  return markers(id);
+}
+const status = async (id) => (await fetch(`${t.base}/api/transfers/${id}`)).status;
+
+test('los marcadores de descarga van por id de archivo', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b']]);
+  await download(created.id, 'b.txt');
+  const [marker] = await waitForMarkers(created.id, 1);
+  assert.ok(marker.endsWith(`.f${created.files[1].id}`), marker);
+});
+
+test('borrar un archivo borra sus marcadores y no quema el transfer por los que quedan', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b'], ['c.txt', 'c']], { burnAfterDownload: 'true' });
+  const [a, b, c] = created.files;
+  await download(created.id, a.id);
+  await download(created.id, b.id);
+  await waitForMarkers(created.id, 2);
+
+  const removed = await fetch(`${t.base}/api/transfers/${created.id}/files/${a.id}`, { method: 'DELETE', headers: { 'x-owner-token': created.ownerToken } });
+  assert.equal(removed.status, 200);
+  assert.deepEqual(markers(created.id).map(k => k.slice(k.lastIndexOf('.') + 1)), [`f${b.id}`]);
+
+  assert.equal(await status(created.id), 200);
+  assert.equal((await download(created.id, c.id)).text, 'c');
+  await waitFor(async () => (await status(created.id)) === 410);
+});
+
+test('maxDownloads cuenta por archivo y un ZIP vale una descarga de cada uno', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b']], { maxDownloads: '2' });
+  const [a, b] = created.files;
+  const zip = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(zip.status, 200);
+  await zip.arrayBuffer();
+  assert.equal((await download(created.id, a.id)).status, 200);
+  await waitForMarkers(created.id, 3);
+
+  // a ya se bajó dos veces (ZIP + suelto); b sigue disponible y el ZIP ya no
+  const again = await fetch(`${t.base}/api/file/${created.id}/${a.id}`);
+  assert.equal(again.status, 410);
+  assert.equal(again.headers.get('x-error-code'), 'download_limit_reached');
+  assert.equal((await fetch(`${t.base}/api/transfers/${created.id}/download.zip`)).status, 410);
+  assert.equal(await status(created.id), 200);
+
+  assert.equal((await download(created.id, b.id)).text, 'b');
+  await waitFor(async () => (await status(created.id)) === 410);
+});
+
+test('descargas simultáneas no pasan el límite', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b']], { maxDownloads: '1' });
+  const results = await Promise.all(Array.from({ length: 4 }, () => download(created.id, created.files[0].id)));
+  assert.equal(results.filter(r => r.status === 200).length, 1);
+  assert.ok(results.every(r => [200, 410, 503].includes(r.status)), results.map(r => r.status).join());
+});
+
+test('una descarga cortada no cuenta', async () => {
+  const created = await upload([['grande.bin', Buffer.alloc(32 * 1024 * 1024)]], { maxDownloads: '1' });
+  const controller = new AbortController();
+  const res = await fetch(`${t.base}/api/file/${created.id}/${created.files[0].id}`, { signal: controller.signal });
+  assert.equal(res.status, 200);
+  controller.abort();
+  await waitFor(() => markers(created.id).length === 0);
+  assert.equal((await download(created.id, created.files[0].id)).status, 200);
+});
+
+test('burn-after-download: el ZIP completo quema el transfer', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b']], { burnAfterDownload: 'true' });
+  const zip = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(zip.status, 200);
+  await zip.arrayBuffer();
+  await waitFor(async () => (await status(created.id)) === 410);
+  assert.equal((await (await fetch(`${t.base}/api/transfers/${created.id}`)).json()).error, 'burned');
+  assert.equal((await download(created.id, created.files[0].id)).status, 410);
+});
+
+test('un rango que llega al último byte no cuenta como descarga', async () => {
+  const free = await upload([['a.txt', 'hola']]);
+  const tail = await download(free.id, free.files[0].id, { range: 'bytes=-1' });
+  assert.deepEqual([tail.status, tail.text], [206, 'a']);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(markers(free.id).length, 0);
+
+  // Con límite o burn el Range se ignora: o se entrega el archivo entero o nada
+  const burn = await upload([['a.txt', 'hola'], ['b.txt', 'chau']], { burnAfterDownload: 'true' });
+  const res = await fetch(`${t.base}/api/file/${burn.id}/${burn.files[0].id}`, { headers: { range: 'bytes=-1' } });
+  assert.equal(res.headers.get('accept-ranges'), 'none');
+  assert.deepEqual([res.status, await res.text()], [200, 'hola']);
+  await waitForMarkers(burn.id, 1);
+  assert.equal(await status(burn.id), 200);
+  assert.equal((await download(burn.id, burn.files[1].id, { range: 'bytes=0-0' })).text, 'chau');
+  await waitFor(async () => (await status(burn.id)) === 410);
+});
+
+test('el ZIP responde 404 antes de empezar si falta un archivo y no cuenta la descarga', async () => {
+  const created = await upload([['a.txt', 'a'], ['b.txt', 'b']], { burnAfterDownload: 'true' });
+  t.store.objects.delete(`transfers/${created.id}/${created.files[1].id}`);
+  const zip = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(zip.status, 404);
+  assert.equal(zip.headers.get('x-error-code'), 'not_found');
+  assert.equal(markers(created.id).length, 0);
+  assert.equal(await status(created.id), 200);
+});
+
+test('un archivo que falla a mitad del ZIP corta la conexión y libera la descarga', { skip: process.env.TEST_STORAGE_DRIVER === 'local' && 'solo con el S3 en memoria' }, async () => {
+  const created = await upload([['a.bin', Buffer.alloc(64 * 1024, 1)], ['b.txt', 'b']], { burnAfterDownload: 'true' });
+  t.s3.objects.get(`transfers/${created.id}/${created.files[0].id}`).broken = true;
+  const zip = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(zip.status, 200);
+  await assert.rejects(zip.arrayBuffer());
+  await waitFor(() => markers(created.id).length === 0);
+  assert.equal(await status(created.id), 200);
+});
@@ -0,0 +1,3 @@
+// Misma suite que folders.test.js contra el driver de disco (lib/storage/local.js)
+process.env.TEST_STORAGE_DRIVER = 'local';
+await import('./folders.test.js');
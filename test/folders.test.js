@@ -0,0 +1,116 @@
+// Subidas de carpetas en server.js: rutas relativas, árbol del share page y ZIP por carpeta
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+import { readZip } from './helpers/zip.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url)); });
+after(() => t.close());
+
+// files: [[ruta, contenido]]; la ruta viaja como filename, igual que webkitRelativePath
+async function upload(files, fields = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const [name, content] of files) form.append('files', new Blob([content], { type: 'text/plain' }), name);
+  const res = await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form });
+  return { res, body: await res.json() };
+}
+
+const PROJECT = [
+  ['sitio/index.html', '<h1>raíz</h1>'],
+  ['sitio/blog/index.html', '<h1>blog</h1>'],
+  ['sitio\\blog\\./post.md', '# post'],
+  ['LEEME.txt', 'hola']
+];
+
+test('conserva las rutas relativas: dos index.html en carpetas distintas no se pisan', async () => {
+  const { res, body } = await upload(PROJECT);
+  assert.equal(res.status, 200);
+  const stored = t.store.getJson(`transfers/${body.id}/manifest.json`);
+  assert.deepEqual(stored.files.map(f => f.name), ['sitio/index.html', 'sitio/blog/index.html', 'sitio/blog/post.md', 'LEEME.txt']);
+  const object = (i) => t.store.objects.get(`transfers/${body.id}/${stored.files[i].id}`).body.toString();
+  assert.deepEqual([object(0), object(1)], ['<h1>raíz</h1>', '<h1>blog</h1>']);
+
+  const file = await fetch(`${t.base}/api/file/${body.id}/${encodeURIComponent('sitio/blog/index.html')}`);
+  assert.equal(await file.text(), '<h1>blog</h1>');
+  assert.equal(file.headers.get('content-disposition'), "attachment; filename*=UTF-8''index.html");
+});
+
+// Archivos de transfers (sin la actividad ni los marcadores de descarga, que se escriben en segundo plano)
+const transferObjects = () => [...t.store.objects.keys()].filter(k => k.startsWith('transfers/') && !/\/\.(activity|downloads)\//.test(k)).length;
+
+test('rechaza rutas con .. o absolutas sin dejar objetos', async () => {
+  for (const bad of ['../fuera.txt', 'a/../../fuera.txt', '/etc/passwd', 'C:\\Windows\\win.ini']) {
+    const before = transferObjects();
+    const { res, body } = await upload([['ok.txt', 'ok'], [bad, 'x']]);
+    assert.equal(res.status, 400, bad);
+    assert.equal(body.error, 'invalid_path');
+    assert.equal(transferObjects(), before, bad);
+  }
+});
+
+test('las rutas repetidas se aceptan y el ZIP las numera', async () => {
+  // 'manifest.json' o '.downloads/' ya no chocan con los objetos del server: las keys van por id
+  const { res, body } = await upload([['a/b.txt', '1'], ['a\\b.txt', '2'], ['A/B.TXT', '3'], ['docs', '4'], ['docs/a.txt', '5'], ['manifest.json', '6']]);
+  assert.equal(res.status, 200);
+  const entries = readZip(Buffer.from(await (await fetch(`${t.base}/api/transfers/${body.id}/download.zip`)).arrayBuffer()));
+  assert.deepEqual(entries.map(e => [e.name, e.data.toString()]).slice(0, 6), [
+    ['a/b.txt', '1'], ['a/b (1).txt', '2'], ['A/B (2).TXT', '3'], ['docs (1)', '4'], ['docs/a.txt', '5'], ['manifest.json', '6']
+  ]);
+  assert.match(entries[6].data.toString(), / {2}a\/b \(1\)\.txt\n/);
+  const stored = t.store.getJson(`transfers/${body.id}/manifest.json`);
+  assert.equal(stored.files.length, 6);
+  assert.equal(t.store.objects.get(`transfers/${body.id}/${stored.files[5].id}`).body.toString(), '6');
+});
+
+test('download.zip reproduce la jerarquía y folder.zip baja una sola carpeta', async () => {
+  const { body } = await upload(PROJECT);
+  const all = readZip(Buffer.from(await (await fetch(`${t.base}/api/transfers/${body.id}/download.zip`)).arrayBuffer()));
+  assert.deepEqual(all.map(e => e.name),
+    ['sitio/index.html', 'sitio/blog/index.html', 'sitio/blog/post.md', 'LEEME.txt', 'checksums.sha256']);
+
+  const res = await fetch(`${t.base}/api/transfers/${body.id}/folder.zip?path=sitio/blog`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /filename="blog\.zip"/);
+  const entries = readZip(Buffer.from(await res.arrayBuffer()));
+  assert.deepEqual(entries.map(e => e.name), ['blog/index.html', 'blog/post.md', 'checksums.sha256']);
+  assert.match(entries[2].data.toString(), / {2}blog\/post\.md\n$/);
+
+  assert.equal((await fetch(`${t.base}/api/transfers/${body.id}/folder.zip?path=nada`)).status, 404);
+  assert.equal((await fetch(`${t.base}/api/transfers/${body.id}/folder.zip?path=../sitio`)).status, 404);
+});
+
+test('folder.zip no se ofrece con burn-after-download', async () => {
+  const { body } = await upload(PROJECT, { burnAfterDownload: 'true' });
+  const res = await fetch(`${t.base}/api/transfers/${body.id}/folder.zip?path=sitio`);
+  assert.equal(res.status, 403);
+  assert.equal(res.headers.get('x-error-code'), 'folder_zip_disabled');
+  assert.doesNotMatch(await (await fetch(`${t.base}/t/${body.id}`)).text(), /folder\.zip/);
+});
+
+test('el share page muestra las carpetas como árbol plegable', async () => {
+  const { body } = await upload(PROJECT);
+  const html = await (await fetch(`${t.base}/t/${body.id}?lang=es`)).text();
+  assert.match(html, /<details class="folder" open>\s*<summary>\s*<span class="folder-name">sitio\/<\/span>\s*<span class="muted">3 archivos/);
+  assert.match(html, /<span class="folder-name">blog\/<\/span>/);
+  assert.ok(html.includes(`/api/transfers/${body.id}/folder.zip?path=sitio%2Fblog`));
+  const post = t.store.getJson(`transfers/${body.id}/manifest.json`).files[2];
+  assert.ok(html.includes(`href="/api/file/${body.id}/${post.id}"`));
+  assert.match(html, /<div class="name" title="sitio\/blog\/post\.md">post\.md<\/div>/);
+});
+
+test('renombrar un archivo lo deja en su carpeta', async () => {
+  const { body } = await upload(PROJECT);
+  const rename = (from, name) => fetch(`${t.base}/api/transfers/${body.id}/files/${encodeURIComponent(from)}`, {
+    method: 'PATCH', headers: { 'content-type': 'application/json', 'x-owner-token': body.ownerToken }, body: JSON.stringify({ name })
+  });
+  const res = await rename('sitio/blog/post.md', 'entrada.md');
+  assert.equal(res.status, 200);
+  const renamed = (await res.json()).files.find(f => f.name === 'sitio/blog/entrada.md');
+  // El objeto no se mueve: su key va por id
+  assert.equal(t.store.objects.get(`transfers/${body.id}/${renamed.id}`).body.toString(), '# post');
+  assert.equal((await rename('sitio/blog/entrada.md', 'index.html')).status, 409);
+  assert.equal((await rename('LEEME.txt', 'sitio')).status, 409);
+  assert.equal((await rename('LEEME.txt', '../x.txt')).status, 400);
+});
@@ -0,0 +1,85 @@
+// test/helpers/app.js — Levanta un server de la raíz contra el S3 en memoria (o el driver local), en un puerto libre
+import { createFakeS3 } from './fakeS3.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Misma interfaz que los atajos del S3 en memoria (objects.has/get/keys/delete, getJson, putObject) sobre
+// el directorio de lib/storage/local.js: objects/<key> y meta/<key>.json
+function localStore(root) {
+  const file = (key) => path.join(root, 'objects', key);
+  const has = (key) => fs.existsSync(file(key)) && fs.statSync(file(key)).isFile();
+  const walk = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+    .flatMap(e => e.isDirectory() ? walk(path.join(dir, e.name)) : [path.join(dir, e.name)]);
+  const objects = {
+    has,
+    get: (key) => has(key) ? { body: fs.readFileSync(file(key)) } : undefined,
+    delete: (key) => has(key) && (fs.rmSync(file(key)), true),
+    keys: () => (fs.existsSync(path.join(root, 'objects')) ? walk(path.join(root, 'objects')) : [])
+      .map(f => path.relative(path.join(root, 'objects'), f).split(path.sep).join('/'))
+  };
+  const putObject = (key, body, contentType = 'application/octet-stream') => {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    const meta = path.join(root, 'meta', `${key}.json`);
+    for (const f of [file(key), meta]) fs.mkdirSync(path.dirname(f), { recursive: true });
+    fs.writeFileSync(file(key), buf);
+    fs.writeFileSync(meta, JSON.stringify({ contentType, etag: `"${crypto.createHash('md5').update(buf).digest('hex')}"` }));
+  };
+  const getJson = (key) => has(key) ? JSON.parse(fs.readFileSync(file(key), 'utf8')) : null;
+  return { objects, putObject, getJson };
+}
+
+/**
+ * Los servers leen la config al importarse, así que el entorno se arma antes del import.
+ * Cada archivo de test corre en su propio proceso (node --test), por eso basta con un boot por archivo.
+ *   const t = await bootApp(new URL('../server.js', import.meta.url), { MAX_TTL_DAYS: '30' });
+ *   await fetch(`${t.base}/api/health`); ... await t.close();
+ * Con TEST_STORAGE_DRIVER=local el server usa el driver de disco en un directorio temporal (ver los
+ * *.local.test.js); t.store inspecciona el almacenamiento igual con los dos drivers.
+ */
+export async function bootApp(moduleUrl, env = {}) {
+  const local = process.env.TEST_STORAGE_DRIVER === 'local';
+  const s3 = createFakeS3();
+  await listen(s3.server);
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mixtli-test-'));
+
+  Object.assign(process.env, {
+    STORAGE_DRIVER: local ? 'local' : 's3',
+    STORAGE_LOCAL_DIR: path.join(tmp, 'storage'),
+    S3_ENDPOINT: `http://127.0.0.1:${s3.server.address().port}`,
+    S3_BUCKET: 'mixtli-test',
+    S3_REGION: 'auto',
+    S3_ACCESS_KEY_ID: 'test',
+    S3_SECRET_ACCESS_KEY: 'test',
+    S3_FORCE_PATH_STYLE: 'true',
+    AUTH_KEYS_FILE: path.join(tmp, 'api-keys.json'),
+    RATE_LIMIT_ENABLED: 'false',
+    LOG_LEVEL: 'warn',
+    UNLOCK_SECRET: 'test-unlock-secret',
+    UPLOAD_TOKEN_SECRET: 'test-upload-secret',
+    ACCESS_TOKEN_SECRET: 'test-access-secret',
+    ...env
+  });
+
+  const mod = await import(moduleUrl.href);
+  const server = mod.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  return {
+    s3,
+    store: local ? localStore(path.join(tmp, 'storage')) : s3,
+    module: mod,
+    base: `http://127.0.0.1:${server.address().port}`,
+    async close() {
+      // fetch y el SDK dejan conexiones keep-alive abiertas: se cierran a mano para que el proceso termine
+      await Promise.all([server, s3.server].map(srv => new Promise(resolve => {
+        srv.close(resolve);
+        srv.closeAllConnections();
+      })));
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,157 @@
+// test/helpers/fakeS3.js — S3 en memoria (path-style) para las pruebas de integración
+//
+// Implementa lo que usan los servers: Put (con If-None-Match: *)/Get (con Range)/Head/Copy/Delete/DeleteObjects,
+// ListObjectsV2 (prefix, delimiter, paginación) y multipart (create/part/list/complete/abort/listUploads).
+// No valida firmas: cualquier credencial y cualquier URL prefirmada pasan.
+// outage(true) responde 500 InternalError a todo, como una caída del servicio.
+import http from 'http';
+import crypto from 'crypto';
+
+export function createFakeS3() {
+  const objects = new Map(); // key -> { body, contentType, lastModified, etag, meta, broken? }
+  const uploads = new Map(); // uploadId -> { key, parts: Map, initiated, contentType }
+  let down = false;
+
+  const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>${body}`);
+  };
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const notFound = (res, head) => head ? (res.writeHead(404), res.end()) :
+    xml(res, 404, '<Error><Code>NoSuchKey</Code><Message>not found</Message></Error>');
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const c of req) chunks.push(c);
+    let body = Buffer.concat(chunks);
+    if (String(req.headers['content-encoding'] || '').includes('aws-chunked') || req.headers['x-amz-content-sha256'] === 'STREAMING-UNSIGNED-PAYLOAD-TRAILER' || req.headers['x-amz-content-sha256'] === 'STREAMING-AWS4-HMAC-SHA256-PAYLOAD') {
+      // Cuerpo aws-chunked (checksums en trailer del SDK v3)
+      const out = [];
+      let i = 0;
+      while (i < body.length) {
+        const nl = body.indexOf('\r\n', i);
+        if (nl < 0) break;
+        const size = parseInt(body.slice(i, nl).toString().split(';')[0], 16);
+        if (!size) break;
+        out.push(body.slice(nl + 2, nl + 2 + size));
+        i = nl + 2 + size + 2;
+      }
+      body = Buffer.concat(out);
+    }
+    const url = new URL(req.url, 'http://x');
+    const parts = url.pathname.split('/').slice(1);
+    parts.shift(); // bucket
+    const key = parts.map(decodeURIComponent).join('/');
+    const q = url.searchParams;
+    const m = req.method;
+    if (down) return xml(res, 500, '<Error><Code>InternalError</Code><Message>We encountered an internal error.</Message></Error>');
+
+    if (!key && m === 'GET' && q.has('uploads')) {
+      const list = [...uploads.entries()].map(([id, u]) =>
+        `<Upload><Key>${esc(u.key)}</Key><UploadId>${id}</UploadId><Initiated>${u.initiated.toISOString()}</Initiated></Upload>`).join('');
+      return xml(res, 200, `<ListMultipartUploadsResult>${list}<IsTruncated>false</IsTruncated></ListMultipartUploadsResult>`);
+    }
+    if (!key && m === 'GET') {
+      const prefix = q.get('prefix') || '';
+      const delim = q.get('delimiter');
+      const max = parseInt(q.get('max-keys') || '1000', 10);
+      const after = q.get('continuation-token') || q.get('start-after') || '';
+      const keys = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+      const contents = []; const prefixes = new Set();
+      let truncated = false; let last = '';
+      for (const k of keys) {
+        if (after && k <= after) continue;
+        if (delim) {
+          const rest = k.slice(prefix.length);
+          const di = rest.indexOf(delim);
+          if (di >= 0) { const p = prefix + rest.slice(0, di + 1); if (!prefixes.has(p)) { if (contents.length + prefixes.size >= max) { truncated = true; break; } prefixes.add(p); } last = k; continue; }
+        }
+        if (contents.length + prefixes.size >= max) { truncated = true; break; }
+        contents.push(k); last = k;
+      }
+      const c = contents.map(k => { const o = objects.get(k); return `<Contents><Key>${esc(k)}</Key><Size>${o.body.length}</Size><LastModified>${o.lastModified.toISOString()}</LastModified><ETag>${o.etag}</ETag></Contents>`; }).join('');
+      const cp = [...prefixes].map(p => `<CommonPrefixes><Prefix>${esc(p)}</Prefix></CommonPrefixes>`).join('');
+      return xml(res, 200, `<ListBucketResult><KeyCount>${contents.length + prefixes.size}</KeyCount><IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${esc(last)}</NextContinuationToken>` : ''}${c}${cp}</ListBucketResult>`);
+    }
+    if (!key && m === 'POST' && q.has('delete')) {
+      const ks = [...body.toString().matchAll(/<Key>([^<]*)<\/Key>/g)].map(x => x[1].replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+      ks.forEach(k => objects.delete(k));
+      return xml(res, 200, `<DeleteResult>${ks.map(k => `<Deleted><Key>${esc(k)}</Key></Deleted>`).join('')}</DeleteResult>`);
+    }
+    if (m === 'POST' && q.has('uploads')) {
+      const id = crypto.randomUUID();
+      uploads.set(id, { key, parts: new Map(), initiated: new Date(), contentType: req.headers['content-type'] });
+      return xml(res, 200, `<InitiateMultipartUploadResult><Key>${esc(key)}</Key><UploadId>${id}</UploadId></InitiateMultipartUploadResult>`);
+    }
+    if (m === 'PUT' && q.has('uploadId')) {
+      const u = uploads.get(q.get('uploadId'));
+      if (!u) return xml(res, 404, '<Error><Code>NoSuchUpload</Code></Error>');
+      const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+      u.parts.set(parseInt(q.get('partNumber'), 10), { body, etag, lastModified: new Date() });
+      res.writeHead(200, { ETag: etag }); return res.end();
+    }
+    if (m === 'GET' && q.has('uploadId')) {
+      const u = uploads.get(q.get('uploadId'));
+      if (!u) return xml(res, 404, '<Error><Code>NoSuchUpload</Code></Error>');
+      const ps = [...u.parts.entries()].sort((a, b) => a[0] - b[0]).map(([n, p]) => `<Part><PartNumber>${n}</PartNumber><ETag>${p.etag}</ETag><Size>${p.body.length}</Size><LastModified>${p.lastModified.toISOString()}</LastModified></Part>`).join('');
+      return xml(res, 200, `<ListPartsResult><UploadId>${q.get('uploadId')}</UploadId><IsTruncated>false</IsTruncated>${ps}</ListPartsResult>`);
+    }
+    if (m === 'POST' && q.has('uploadId')) {
+      const u = uploads.get(q.get('uploadId'));
+      if (!u) return xml(res, 404, '<Error><Code>NoSuchUpload</Code></Error>');
+      const nums = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(x => parseInt(x[1], 10));
+      const data = Buffer.concat(nums.map(n => u.parts.get(n).body));
+      objects.set(key, { body: data, contentType: u.contentType || 'application/octet-stream', lastModified: new Date(), etag: `"${crypto.createHash('md5').update(data).digest('hex')}-${nums.length}"`, meta: {} });
+      uploads.delete(q.get('uploadId'));
+      return xml(res, 200, `<CompleteMultipartUploadResult><Key>${esc(key)}</Key><ETag>x</ETag></CompleteMultipartUploadResult>`);
+    }
+    if (m === 'DELETE' && q.has('uploadId')) {
+      uploads.delete(q.get('uploadId')); res.writeHead(204); return res.end();
+    }
+    if (m === 'PUT' && req.headers['x-amz-copy-source']) {
+      const src = decodeURIComponent(req.headers['x-amz-copy-source']).replace(/^\/?[^/]+\//, '');
+      const o = objects.get(src);
+      if (!o) return notFound(res);
+      objects.set(key, { ...o, lastModified: new Date() });
+      return xml(res, 200, `<CopyObjectResult><ETag>${o.etag}</ETag></CopyObjectResult>`);
+    }
+    if (m === 'PUT' && req.headers['if-none-match'] === '*' && objects.has(key)) {
+      return xml(res, 412, '<Error><Code>PreconditionFailed</Code><Message>exists</Message></Error>');
+    }
+    if (m === 'PUT') {
+      const meta = {};
+      for (const [h, v] of Object.entries(req.headers)) if (h.startsWith('x-amz-meta-')) meta[h.slice(11)] = v;
+      objects.set(key, { body, contentType: req.headers['content-type'] || 'application/octet-stream', lastModified: new Date(), etag: `"${crypto.createHash('md5').update(body).digest('hex')}"`, meta });
+      res.writeHead(200, { ETag: objects.get(key).etag }); return res.end();
+    }
+    if (m === 'DELETE') { objects.delete(key); res.writeHead(204); return res.end(); }
+    if (m === 'GET' || m === 'HEAD') {
+      const o = objects.get(key);
+      if (!o) return notFound(res, m === 'HEAD');
+      const headers = { 'Content-Type': o.contentType, ETag: o.etag, 'Last-Modified': o.lastModified.toUTCString(), 'Accept-Ranges': 'bytes' };
+      for (const [k, v] of Object.entries(o.meta || {})) headers['x-amz-meta-' + k] = v;
+      let data = o.body; let status = 200;
+      const r = req.headers.range && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range);
+      if (r) {
+        let s = r[1] === '' ? o.body.length - parseInt(r[2], 10) : parseInt(r[1], 10);
+        let e = r[1] === '' || r[2] === '' ? o.body.length - 1 : Math.min(parseInt(r[2], 10), o.body.length - 1);
+        data = o.body.slice(s, e + 1); status = 206;
+        headers['Content-Range'] = `bytes ${s}-${e}/${o.body.length}`;
+      }
+      headers['Content-Length'] = data.length;
+      res.writeHead(status, headers);
+      // broken: el GET se corta después del primer byte (falla de red a mitad de un stream)
+      if (o.broken && m === 'GET') return res.write(data.subarray(0, 1), () => res.destroy());
+      return res.end(m === 'HEAD' ? undefined : data);
+    }
+    res.writeHead(400); res.end();
+  });
+  // Atajos para que las pruebas preparen o inspeccionen el bucket sin pasar por HTTP
+  const putObject = (key, body, contentType = 'application/octet-stream') => {
+    const buf = Buffer.isBuffer(body) ? body : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    objects.set(key, { body: buf, contentType, lastModified: new Date(), etag: `"${crypto.createHash('md5').update(buf).digest('hex')}"`, meta: {} });
+  };
+  const getJson = (key) => objects.has(key) ? JSON.parse(objects.get(key).body.toString('utf8')) : null;
+
+  return { server, objects, uploads, putObject, getJson, outage: (on) => { down = on; } };
+}
@@ -0,0 +1,84 @@
+// test/helpers/smtp.js — Catcher SMTP en memoria (como Mailpit/MailHog) para las pruebas del mailer
+//
+// Habla lo justo de SMTP para nodemailer sin TLS ni AUTH: EHLO/HELO, MAIL, RCPT, DATA, RSET, NOOP, QUIT.
+// failNext(n) responde 451 (error temporal) a los próximos n MAIL FROM, para probar los reintentos.
+// slowNext(ms) demora la confirmación del próximo mensaje, para tener un envío en curso.
+import net from 'net';
+
+export function createSmtpCatcher() {
+  const messages = []; // { from, to: [], data }
+  let failures = 0;
+  let slowMs = 0;
+
+  const server = net.createServer(socket => {
+    let buf = '';
+    let inData = false;
+    let mail = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 catcher ESMTP');
+
+    socket.on('data', chunk => {
+      buf += chunk.toString('utf8');
+      for (;;) {
+        if (inData) {
+          const end = buf.indexOf('\r\n.\r\n');
+          if (end < 0) return;
+          mail.data = buf.slice(0, end).replace(/^\.\./gm, '.');
+          buf = buf.slice(end + 5);
+          inData = false;
+          messages.push(mail);
+          mail = null;
+          const wait = slowMs;
+          slowMs = 0;
+          if (wait) setTimeout(() => reply('250 OK queued'), wait);
+          else reply('250 OK queued');
+          continue;
+        }
+        const nl = buf.indexOf('\r\n');
+        if (nl < 0) return;
+        const line = buf.slice(0, nl);
+        buf = buf.slice(nl + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') reply('250 catcher');
+        else if (cmd === 'MAIL') {
+          if (failures > 0) {
+            failures--;
+            reply('451 try again later');
+          } else {
+            mail = { from: /<([^>]*)>/.exec(line)?.[1] || '', to: [] };
+            reply('250 OK');
+          }
+        } else if (cmd === 'RCPT') {
+          mail?.to.push(/<([^>]*)>/.exec(line)?.[1] || '');
+          reply('250 OK');
+        } else if (cmd === 'DATA') {
+          inData = true;
+          reply('354 end with <CRLF>.<CRLF>');
+        } else if (cmd === 'RSET') {
+          mail = null;
+          reply('250 OK');
+        } else if (cmd === 'NOOP') reply('250 OK');
+        else if (cmd === 'QUIT') {
+          reply('221 bye');
+          socket.end();
+        } else reply('502 not implemented');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return {
+    server,
+    messages,
+    failNext(n) { failures = n; },
+    slowNext(ms) { slowMs = ms; },
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)),
+    port: () => server.address().port,
+    close() {
+      return new Promise(resolve => {
+        server.close(resolve);
+        server.unref();
+      });
+    }
+  };
+}
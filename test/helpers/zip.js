@@ -0,0 +1,32 @@
+// test/helpers/zip.js — Lector mínimo de ZIP (directorio central) para revisar lo que arma archiver
+import zlib from 'zlib';
+
+// Devuelve [{ name, data }] en el orden del directorio central; soporta stored (0) y deflate (8)
+export function readZip(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= 0; i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('ZIP sin End Of Central Directory');
+  const total = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  for (let n = 0; n < total; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('Directorio central corrupto');
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.subarray(p + 46, p + 46 + nameLen).toString('utf8');
+
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const raw = buf.subarray(start, start + compSize);
+    const data = method === 8 ? zlib.inflateRawSync(raw) : Buffer.from(raw);
+    entries.push({ name, data });
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
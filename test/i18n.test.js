@@ -0,0 +1,66 @@
+// lib/i18n.js y su uso en server.js: idioma por ?lang= / Accept-Language, errores localizados y share page
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+
+let t, i18n;
+before(async () => {
+  t = await bootApp(new URL('../server.js', import.meta.url));
+  i18n = await import('../lib/i18n.js');
+});
+after(() => t.close());
+
+const fakeReq = (query, acceptLanguage) => ({ query, get: (h) => (h === 'accept-language' ? acceptLanguage : undefined) });
+
+test('langFromReq: ?lang= gana, luego Accept-Language por q, luego el default', () => {
+  assert.equal(i18n.langFromReq(fakeReq({ lang: 'en' }, 'pt-BR')), 'en');
+  assert.equal(i18n.langFromReq(fakeReq({}, 'fr-FR, pt-BR;q=0.8, en;q=0.9')), 'en');
+  assert.equal(i18n.langFromReq(fakeReq({}, 'pt-BR,pt;q=0.9')), 'pt');
+  assert.equal(i18n.langFromReq(fakeReq({ lang: 'xx' }, 'de')), 'es');
+  assert.equal(i18n.langFromReq(fakeReq({}, 'en;q=0')), 'es');
+});
+
+test('errorMessage interpola variables y cae a un mensaje genérico', () => {
+  assert.equal(i18n.errorMessage('en', 'too_many_files', { maxFiles: 3 }), 'Too many files (maximum 3).');
+  assert.match(i18n.errorMessage('es', 'file_too_large', { limitBytes: 4 * 1024 ** 3 }), /4 GB/);
+  assert.equal(i18n.errorMessage('pt', 'quota_exceeded', { quota: 'storage', plan: 'free' }),
+    'O limite de armazenamento do plano free foi atingido.');
+  assert.equal(i18n.errorMessage('en', 'LIMIT_UNEXPECTED_FILE'), 'Something went wrong (LIMIT_UNEXPECTED_FILE).');
+});
+
+test('los errores JSON conservan el código y agregan message en el idioma pedido', async () => {
+  const en = await fetch(`${t.base}/api/transfers/noexiste00`, { headers: { 'accept-language': 'en-US,en;q=0.9' } });
+  assert.equal(en.status, 404);
+  assert.equal(en.headers.get('content-language'), 'en');
+  assert.match(en.headers.get('vary'), /Accept-Language/);
+  assert.deepEqual(await en.json(), { error: 'not_found', message: 'Not found.' });
+
+  const pt = await (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: new FormData(), headers: { 'accept-language': 'pt' } })).json();
+  assert.deepEqual(pt, { error: 'no_files', message: 'Nenhum arquivo foi recebido.' });
+});
+
+test('las descargas responden texto localizado con el código en X-Error-Code', async () => {
+  const res = await fetch(`${t.base}/api/file/noexiste00/a.txt?lang=en`);
+  assert.equal(res.status, 404);
+  assert.equal(res.headers.get('x-error-code'), 'not_found');
+  assert.equal(await res.text(), 'Not found.');
+});
+
+test('share page traducido, con tamaños y fechas locales y selector de idioma', async () => {
+  const form = new FormData();
+  form.append('files', new Blob(['x'.repeat(1536)], { type: 'text/plain' }), 'notas.txt');
+  const { id } = await (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form })).json();
+  const { expiresAt } = t.s3.getJson(`transfers/${id}/manifest.json`);
+
+  const en = await (await fetch(`${t.base}/t/${id}?lang=en`)).text();
+  assert.match(en, /<html lang="en">/);
+  assert.match(en, />Download all \(ZIP\)</);
+  assert.match(en, /1\.5 kB/);
+  assert.ok(en.includes(i18n.formatDate('en', expiresAt)));
+  assert.match(en, /<strong>EN<\/strong>/);
+  assert.ok(en.includes(`href="/t/${id}?lang=pt"`));
+
+  const es = await (await fetch(`${t.base}/t/${id}`, { headers: { 'accept-language': 'es-MX' } })).text();
+  assert.match(es, /<html lang="es">/);
+  assert.match(es, />Descargar todo \(ZIP\)</);
+});
@@ -0,0 +1,133 @@
+// Correo de lib/mailer.js contra un catcher SMTP local: plantillas, cola con reintentos y avisos de server.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+import { createSmtpCatcher } from './helpers/smtp.js';
+
+let t;
+let smtp;
+let mailer;
+let apiKey;
+before(async () => {
+  smtp = createSmtpCatcher();
+  await smtp.listen();
+  t = await bootApp(new URL('../server.js', import.meta.url), {
+    SMTP_HOST: '127.0.0.1',
+    SMTP_PORT: String(smtp.port()),
+    MAIL_MAX_ATTEMPTS: '3',
+    MAIL_RETRY_BASE_SECONDS: '0.02',
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMITS_JSON: JSON.stringify({ mail: { capacity: 3, keyCapacity: 3, windowSeconds: 3600 } })
+  });
+  // Mismos módulos (y mismo AUTH_KEYS_FILE) que usa el server
+  mailer = await import('../lib/mailer.js');
+  const { createApiKey } = await import('../lib/auth.js');
+  apiKey = createApiKey({ subject: 'correo', plan: 'pro' }).key;
+});
+after(async () => {
+  await t.close();
+  await smtp.close();
+});
+
+async function waitFor(check, ms = 5000) {
+  for (const until = Date.now() + ms; Date.now() < until;) {
+    if (check()) return;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error('no se cumplió la condición');
+}
+
+async function upload(fields, headers = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  form.append('files', new Blob(['hola'], { type: 'text/plain' }), 'hola.txt');
+  const res = await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form, headers });
+  return { res, body: await res.json() };
+}
+
+test('renderMail arma asunto, texto y HTML escapado en cada idioma', () => {
+  const data = { id: 'abc', title: 'Fotos', sender: 'ana@x.com', message: '<b>hola</b>', link: 'https://m/t/abc', count: 2, totalBytes: 3 * 1024 * 1024, expiresAt: '2026-11-01' };
+  const es = mailer.renderMail('newTransfer', 'es', data);
+  assert.equal(es.subject, 'ana@x.com te envió archivos: Fotos');
+  assert.match(es.text, /Mensaje: <b>hola<\/b>/);
+  assert.match(es.html, /&lt;b&gt;hola&lt;\/b&gt;/);
+  assert.doesNotMatch(es.html, /<b>hola/);
+  assert.match(es.text, /3 MB/);
+
+  assert.equal(mailer.renderMail('firstDownload', 'en', { id: 'abc', what: 'ZIP', link: 'x' }).subject, 'Your transfer was downloaded: abc');
+  assert.equal(mailer.renderMail('firstDownload', 'xx', { id: 'abc', what: 'ZIP', link: 'x' }).subject, 'Descargaron tu envío: abc');
+  assert.throws(() => mailer.renderMail('otra', 'es', {}), /Plantilla desconocida/);
+});
+
+test('enqueueMail entrega un correo por destinatario por SMTP', async () => {
+  const before = smtp.messages.length;
+  assert.equal(mailer.enqueueMail(['a@x.com', 'b@x.com'], 'firstDownload', 'en', { id: 'abc', what: 'ZIP', link: 'x' }), true);
+  await waitFor(() => smtp.messages.length === before + 2);
+  const sent = smtp.messages.slice(before);
+  assert.deepEqual(sent.map(m => m.to[0]).sort(), ['a@x.com', 'b@x.com']);
+  assert.match(sent[0].data, /Subject: Your transfer was downloaded: abc/);
+});
+
+test('la cola reintenta los errores temporales y se rinde tras MAIL_MAX_ATTEMPTS', async () => {
+  const before = smtp.messages.length;
+  const stats = mailer.mailQueueStats();
+  smtp.failNext(2);
+  mailer.enqueueMail('reintento@x.com', 'firstDownload', 'en', { id: 'r', what: 'ZIP', link: 'x' });
+  await waitFor(() => smtp.messages.length === before + 1);
+  assert.equal(smtp.messages.at(-1).to[0], 'reintento@x.com');
+
+  smtp.failNext(3);
+  mailer.enqueueMail('perdido@x.com', 'firstDownload', 'en', { id: 'p', what: 'ZIP', link: 'x' });
+  await waitFor(() => mailer.mailQueueStats().failed === stats.failed + 1);
+  assert.equal(mailer.mailQueueStats().pending, 0);
+  assert.ok(!smtp.messages.some(m => m.to[0] === 'perdido@x.com'));
+});
+
+test('un correo encolado mientras otro se envía sale una sola vez y no se pierde ninguno', async () => {
+  const before = smtp.messages.length;
+  const data = { id: 'c', what: 'ZIP', link: 'x' };
+  smtp.slowNext(300);
+  mailer.enqueueMail('lento@x.com', 'firstDownload', 'en', data);
+  await waitFor(() => smtp.messages.length === before + 1); // recibido, la confirmación tarda
+  mailer.enqueueMail(['b@x.com', 'c@x.com'], 'firstDownload', 'en', data);
+  await new Promise(r => setTimeout(r, 20));
+  mailer.enqueueMail('d@x.com', 'firstDownload', 'en', data);
+  await waitFor(() => smtp.messages.length >= before + 4 && mailer.mailQueueStats().pending === 0);
+  await new Promise(r => setTimeout(r, 200));
+  assert.deepEqual(smtp.messages.slice(before).map(m => m.to[0]).sort(), ['b@x.com', 'c@x.com', 'd@x.com', 'lento@x.com']);
+});
+
+test('los correos de un transfer requieren identidad y tienen un tope por cuenta', async () => {
+  const anon = await upload({ recipients: 'a@x.com' });
+  assert.equal(anon.res.status, 401);
+  assert.equal(anon.body.error, 'mail_auth_required');
+  assert.equal((await upload({ senderEmail: 'yo@x.com' })).res.status, 401);
+
+  const before = smtp.messages.length;
+  const auth = { 'x-mixtli-token': apiKey };
+  const ok = await upload({ recipients: 'a@x.com, b@x.com', senderEmail: 'yo@x.com', lang: 'en', title: 'Entrega' }, auth);
+  assert.equal(ok.res.status, 200);
+  assert.equal(ok.body.notified, 2);
+  await waitFor(() => smtp.messages.length === before + 2);
+  assert.match(smtp.messages.at(-1).data, /Subject: yo@x.com sent you files: Entrega/);
+
+  // Tope de la regla 'mail' (3 destinatarios por hora en esta prueba)
+  const over = await upload({ recipients: 'c@x.com, d@x.com' }, auth);
+  assert.equal(over.res.status, 429);
+  assert.equal(over.body.error, 'mail_rate_limited');
+  assert.ok(over.body.retryAfter > 0);
+});
+
+test('el aviso de primera descarga sale una sola vez aunque haya descargas simultáneas', async () => {
+  const { body } = await upload({ senderEmail: 'remitente@x.com', lang: 'en' }, { 'x-mixtli-token': apiKey });
+  const before = smtp.messages.length;
+  const zip = `${t.base}/api/transfers/${body.id}/download.zip`;
+  await Promise.all([zip, zip, `${t.base}/api/file/${body.id}/hola.txt`].map(async u => (await fetch(u)).arrayBuffer()));
+  await waitFor(() => smtp.messages.length === before + 1);
+  await (await fetch(zip)).arrayBuffer();
+  await new Promise(r => setTimeout(r, 200));
+  const notices = smtp.messages.slice(before);
+  assert.equal(notices.length, 1);
+  assert.equal(notices[0].to[0], 'remitente@x.com');
+  assert.match(notices[0].data, /Subject: Your transfer was downloaded/);
+});
@@ -0,0 +1,56 @@
+// mapS3Error (server.js): errores del SDK v3 -> status + cuerpo JSON
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { S3ServiceException, NoSuchBucket, NoSuchKey } from '@aws-sdk/client-s3';
+import { bootApp } from './helpers/app.js';
+
+let t, mapS3Error;
+before(async () => {
+  t = await bootApp(new URL('../server.js', import.meta.url));
+  ({ mapS3Error } = t.module);
+});
+after(() => t.close());
+
+// Así llegan los errores de servicio que no tienen clase propia en el SDK (AccessDenied, SignatureDoesNotMatch...)
+const sdkError = (name, httpStatusCode, message = name) =>
+  new S3ServiceException({ name, $fault: 'client', $metadata: { httpStatusCode }, message });
+
+test('credenciales inválidas o vencidas -> 401 con pista del token', () => {
+  for (const name of ['InvalidAccessKeyId', 'ExpiredToken']) {
+    const m = mapS3Error(sdkError(name, 403));
+    assert.equal(m.status, 401, name);
+    assert.deepEqual(m.body, { error: 'Unauthorized', hint: 'R2 API Token incorrecto' });
+  }
+  // Errores con .code (SDK v2 / drivers que lo rellenan)
+  assert.equal(mapS3Error(Object.assign(new Error('x'), { code: 'CredentialsError' })).status, 401);
+});
+
+test('firma o acceso denegado -> 401 con pista de configuración del endpoint', () => {
+  for (const name of ['SignatureDoesNotMatch', 'AccessDenied']) {
+    const m = mapS3Error(sdkError(name, 403));
+    assert.equal(m.status, 401, name);
+    assert.match(m.body.hint, /path-style=true/);
+  }
+});
+
+test('Forbidden -> 403', () => {
+  const m = mapS3Error(sdkError('Forbidden', 403));
+  assert.equal(m.status, 403);
+  assert.equal(m.body.error, 'Forbidden');
+});
+
+test('NoSuchBucket -> 404 con el nombre del bucket', () => {
+  const m = mapS3Error(new NoSuchBucket({ $metadata: { httpStatusCode: 404 }, message: 'The specified bucket does not exist' }));
+  assert.equal(m.status, 404);
+  assert.equal(m.body.error, 'no_such_bucket');
+  assert.match(m.body.hint, /"mixtli-test"/);
+});
+
+test('cualquier otro error -> 500 s3_error con code y mensaje', () => {
+  const m = mapS3Error(new NoSuchKey({ $metadata: { httpStatusCode: 404 }, message: 'missing' }));
+  assert.deepEqual(m, { status: 500, body: { error: 's3_error', code: 'NoSuchKey', detail: 'missing' } });
+
+  const net = mapS3Error(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+  assert.deepEqual(net, { status: 500, body: { error: 's3_error', code: 'ECONNREFUSED', detail: 'connect ECONNREFUSED' } });
+  assert.deepEqual(mapS3Error(undefined), { status: 500, body: { error: 's3_error', code: '', detail: '' } });
+});
@@ -0,0 +1,56 @@
+// X-Request-Id y GET /metrics (formato Prometheus) de server.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url), { METRICS_TOKEN: 'test-metrics' }); });
+after(() => t.close());
+
+const scrape = async () => {
+  const res = await fetch(`${t.base}/metrics`, { headers: { authorization: 'Bearer test-metrics' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  return res.text();
+};
+const sample = (text, series) => {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+};
+
+test('cada respuesta lleva X-Request-Id; se respeta el del proxy si es válido', async () => {
+  const generated = await fetch(`${t.base}/api/health`);
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const echoed = await fetch(`${t.base}/api/health`, { headers: { 'x-request-id': 'edge-1234.abcd' } });
+  assert.equal(echoed.headers.get('x-request-id'), 'edge-1234.abcd');
+
+  const bogus = await fetch(`${t.base}/api/health`, { headers: { 'x-request-id': 'x y' } });
+  assert.notEqual(bogus.headers.get('x-request-id'), 'x y');
+});
+
+test('/metrics pide el METRICS_TOKEN', async () => {
+  assert.equal((await fetch(`${t.base}/metrics`)).status, 401);
+  assert.equal((await fetch(`${t.base}/metrics`, { headers: { authorization: 'Bearer otro' } })).status, 401);
+});
+
+test('/metrics cuenta bytes subidos/descargados, latencia por ruta y ZIPs en curso', async () => {
+  const form = new FormData();
+  form.append('files', new Blob(['hola mundo\n'], { type: 'text/plain' }), 'hola.txt');
+  const created = await (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form })).json();
+
+  assert.equal(await (await fetch(`${t.base}/api/file/${created.id}/hola.txt`)).text(), 'hola mundo\n');
+  const zip = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(zip.status, 200);
+  await zip.arrayBuffer();
+
+  const text = await scrape();
+  assert.equal(sample(text, 'mixtli_upload_bytes_total{source="form"}'), 11);
+  assert.equal(sample(text, 'mixtli_download_bytes_total{kind="file"}'), 11);
+  assert.ok(sample(text, 'mixtli_download_bytes_total{kind="zip"}') > 11);
+  assert.equal(sample(text, 'mixtli_zip_streams_in_progress'), 0);
+  assert.equal(sample(text, 'mixtli_http_request_duration_seconds_count{method="GET",route="/api/file/:id/:name",status="200"}'), 1);
+  assert.ok(sample(text, 'mixtli_http_request_duration_seconds_bucket{method="POST",route="/api/transfers",status="200",le="+Inf"}') >= 1);
+  assert.match(text, /# TYPE mixtli_s3_errors_total counter/);
+  assert.match(text, /# TYPE mixtli_multipart_sessions_opened_total counter/);
+});
@@ -0,0 +1,199 @@
+// server_multipart.js: presign y ciclo multipart (create / part-url / status / complete / abort)
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server_multipart.js', import.meta.url)); });
+after(() => t.close());
+
+const post = (path, body, headers = {}) => fetch(`${t.base}${path}`, {
+  method: 'POST', headers: { 'content-type': 'application/json', ...headers }, body: JSON.stringify(body)
+});
+
+// Cuenta propia para las pruebas de cuota: sus reservas no cambian el uso de las demás pruebas
+async function accountHeaders(subject) {
+  const { createApiKey } = await import('../lib/auth.js');
+  return { 'x-mixtli-token': createApiKey({ subject, plan: 'free' }).key };
+}
+const GB = 1024 ** 3;
+
+test('POST /api/presign firma un PUT directo al bucket', async () => {
+  const res = await post('/api/presign', { filename: 'foto de perfil.png', size: 4, contentType: 'image/png' });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.match(body.key, /^uploads\/\d{4}\/\d{2}\/\d{2}\/[0-9a-f-]{36}-foto-de-perfil\.png$/);
+  assert.ok(body.uploadToken);
+  const url = new URL(body.putUrl);
+  assert.ok(url.searchParams.get('X-Amz-Signature'));
+  assert.equal(url.pathname, `/mixtli-test/${body.key}`);
+
+  const put = await fetch(body.putUrl, { method: 'PUT', headers: { 'content-type': 'image/png' }, body: 'PNG!' });
+  assert.equal(put.status, 200);
+  assert.equal(t.s3.objects.get(body.key).body.toString(), 'PNG!');
+});
+
+test('POST /api/presign rechaza archivos por encima del límite del plan', async () => {
+  const res = await post('/api/presign', { filename: 'grande.iso', size: 5 * 1024 ** 3, contentType: 'application/octet-stream' });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).limitBytes, 4 * 1024 ** 3);
+});
+
+test('POST /api/presign valida el cuerpo', async () => {
+  const res = await post('/api/presign', { filename: '', size: -1 });
+  assert.equal(res.status, 400);
+});
+
+test('multipart: create, subir partes, status, complete', async () => {
+  const chunks = ['a'.repeat(8), 'b'.repeat(8), 'c'.repeat(3)];
+  const create = await post('/api/multipart/create', { filename: 'video.mp4', size: 19, contentType: 'video/mp4', partSize: 8 });
+  assert.equal(create.status, 200);
+  const { uploadId, key, partSize, uploadToken } = await create.json();
+  assert.equal(partSize, 8);
+  assert.ok(uploadToken);
+  assert.deepEqual((await (await fetch(`${t.base}/api/multipart/sessions`)).json()).sessions.map(s => s.uploadId), [uploadId]);
+
+  const parts = [];
+  for (const [i, chunk] of chunks.slice(0, 2).entries()) {
+    const { url } = await (await post('/api/multipart/part-url', { uploadId, key, partNumber: i + 1 })).json();
+    const put = await fetch(url, { method: 'PUT', body: chunk });
+    assert.equal(put.status, 200);
+    parts.push({ PartNumber: i + 1, ETag: put.headers.get('etag') });
+  }
+
+  // A medio camino: status dice qué falta para reanudar
+  const status = await (await fetch(`${t.base}/api/multipart/${encodeURIComponent(uploadId)}/status`)).json();
+  assert.equal(status.totalParts, 3);
+  assert.deepEqual(status.missingParts, [3]);
+  assert.equal(status.uploadedBytes, 16);
+  assert.deepEqual(status.parts.map(p => p.PartNumber), [1, 2]);
+
+  const { url } = await (await post('/api/multipart/part-url', { uploadId, key, partNumber: 3 })).json();
+  parts.push({ PartNumber: 3, ETag: (await fetch(url, { method: 'PUT', body: chunks[2] })).headers.get('etag') });
+
+  const done = await post('/api/multipart/complete', { uploadId, key, parts });
+  assert.equal(done.status, 200);
+  assert.equal((await done.json()).key, key);
+  assert.equal(t.s3.objects.get(key).body.toString(), chunks.join(''));
+  assert.equal(t.s3.uploads.size, 0);
+  assert.deepEqual((await (await fetch(`${t.base}/api/multipart/sessions`)).json()).sessions, []);
+});
+
+test('multipart: part-url, complete y abort solo aceptan una sesión propia con su key', async () => {
+  const { uploadId, key } = await (await post('/api/multipart/create', { filename: 'propio.bin', size: 4, contentType: 'application/octet-stream' })).json();
+  const parts = [{ PartNumber: 1, ETag: '"x"' }];
+
+  const otherKey = await post('/api/multipart/part-url', { uploadId, key: 'uploads/2024/01/01/ajeno.bin', partNumber: 1 });
+  assert.equal(otherKey.status, 403);
+  assert.equal((await otherKey.json()).error, 'session_key_mismatch');
+  assert.equal((await post('/api/multipart/complete', { uploadId: 'inventado', key, parts })).status, 404);
+
+  // Otra identidad no ve la sesión aunque tenga uploadId y key
+  const { createApiKey } = await import('../lib/auth.js');
+  const token = createApiKey({ subject: 'otro', plan: 'free' }).key;
+  const abort = await fetch(`${t.base}/api/multipart/abort`, {
+    method: 'POST', headers: { 'content-type': 'application/json', 'x-mixtli-token': token }, body: JSON.stringify({ uploadId, key })
+  });
+  assert.equal(abort.status, 404);
+  assert.equal((await abort.json()).error, 'session_not_found');
+  assert.ok(t.s3.uploads.has(uploadId));
+  assert.equal((await post('/api/multipart/abort', { uploadId, key })).status, 200);
+});
+
+test('multipart: el sha256 de complete queda marcado como declarado por el cliente', async () => {
+  const { uploadId, key } = await (await post('/api/multipart/create', { filename: 'sum.txt', size: 4, contentType: 'text/plain' })).json();
+  const { url } = await (await post('/api/multipart/part-url', { uploadId, key, partNumber: 1 })).json();
+  const etag = (await fetch(url, { method: 'PUT', body: 'hola' })).headers.get('etag');
+  const sha256 = 'ab'.repeat(32);
+  const done = await post('/api/multipart/complete', { uploadId, key, parts: [{ PartNumber: 1, ETag: etag }], sha256 });
+  assert.equal(done.status, 200);
+  const meta = t.s3.getJson(`_meta/${key}.json`);
+  assert.deepEqual([meta.sha256, meta.sha256Source], [sha256, 'client']);
+});
+
+test('multipart: abort descarta la subida y la sesión', async () => {
+  const { uploadId, key } = await (await post('/api/multipart/create', { filename: 'x.bin', size: 10, contentType: 'application/octet-stream' })).json();
+  assert.ok(t.s3.uploads.has(uploadId));
+
+  const res = await post('/api/multipart/abort', { uploadId, key });
+  assert.equal(res.status, 200);
+  assert.ok(!t.s3.uploads.has(uploadId));
+  assert.equal((await fetch(`${t.base}/api/multipart/${encodeURIComponent(uploadId)}/status`)).status, 404);
+});
+
+test('multipart: status de una subida que ya no existe en el bucket responde 410', async () => {
+  const { uploadId } = await (await post('/api/multipart/create', { filename: 'y.bin', size: 10, contentType: 'application/octet-stream' })).json();
+  t.s3.uploads.delete(uploadId); // p. ej. abortada por la regla de lifecycle del bucket
+
+  const res = await fetch(`${t.base}/api/multipart/${encodeURIComponent(uploadId)}/status`);
+  assert.equal(res.status, 410);
+  assert.deepEqual((await (await fetch(`${t.base}/api/multipart/sessions`)).json()).sessions, []);
+});
+
+test('multipart: complete de una subida que ya no existe responde 404 sin el mensaje de S3', async () => {
+  const { uploadId, key } = await (await post('/api/multipart/create', { filename: 'z.bin', size: 4, contentType: 'application/octet-stream' })).json();
+  t.s3.uploads.delete(uploadId);
+  const res = await post('/api/multipart/complete', { uploadId, key, parts: [{ PartNumber: 1, ETag: '"x"' }] });
+  assert.equal(res.status, 404);
+  assert.deepEqual(await res.json(), { error: 'not_found', message: 'No encontrado.' });
+  assert.equal((await post('/api/multipart/abort', { uploadId, key })).status, 200);
+});
+
+test('GET /api/sign-get solo firma keys cubiertas por un token scope get', async () => {
+  const { key, uploadToken } = await (await post('/api/presign', { filename: 'propio.txt', size: 4, contentType: 'text/plain' })).json();
+  const signGet = (k, token) => fetch(`${t.base}/api/sign-get?key=${encodeURIComponent(k)}`, { headers: token ? { 'x-access-token': token } : {} });
+
+  assert.equal((await signGet(key)).status, 401);
+  const issued = await post('/api/access-tokens', { scope: 'get', keys: [{ key, uploadToken }] });
+  assert.equal(issued.status, 200);
+  const { token } = await issued.json();
+
+  const res = await signGet(key, token);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(new URL(body.getUrl).pathname, `/mixtli-test/${key}`);
+  assert.ok(body.expiresIn <= 900);
+
+  const other = await signGet('uploads/2024/01/01/ajeno.txt', token);
+  assert.equal(other.status, 403);
+  assert.equal((await other.json()).error, 'access_denied');
+  assert.equal((await signGet('_usage/alguien.json', token)).status, 403);
+  assert.equal((await post('/api/access-tokens', { scope: 'get', keys: [{ key: 'transfers/abc/x.txt', uploadToken }] })).status, 400);
+});
+
+test('cuotas: multipart/create en paralelo no pasan juntos del almacenamiento del plan', async () => {
+  const auth = await accountHeaders('paralelo');
+  const big = { filename: 'disco.img', size: 3 * GB, contentType: 'application/octet-stream' };
+  const results = await Promise.all([1, 2, 3, 4].map(() => post('/api/multipart/create', big, auth)));
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 200, 200, 402]);
+  const rejected = await results.find(r => r.status === 402).json();
+  assert.deepEqual([rejected.quota, rejected.used], ['storage', 9 * GB]);
+
+  // abort libera la reserva y vuelve a haber lugar
+  const created = await Promise.all(results.filter(r => r.status === 200).map(r => r.json()));
+  assert.equal((await post('/api/multipart/abort', created[0], auth)).status, 200);
+  assert.equal(Object.keys(t.s3.getJson('_usage/paralelo.json').reservations).length, 2);
+  const again = await post('/api/multipart/create', big, auth);
+  assert.equal(again.status, 200);
+  for (const s of [...created.slice(1), await again.json()]) await post('/api/multipart/abort', s, auth);
+  assert.deepEqual(t.s3.getJson('_usage/paralelo.json').reservations, {});
+});
+
+test('cuotas: una subida presignada sin finalizar sigue contando como almacenamiento', async () => {
+  const auth = await accountHeaders('sin-finalizar');
+  const big = { filename: 'respaldo.tar', size: 3 * GB, contentType: 'application/octet-stream' };
+  const keys = [];
+  for (let i = 0; i < 3; i++) {
+    const res = await post('/api/presign', big, auth);
+    assert.equal(res.status, 200);
+    keys.push((await res.json()).key);
+  }
+  assert.equal(t.s3.getJson(`_meta/${keys[0]}.json`).reservedBy, 'sin-finalizar');
+
+  // Nadie llamó a /api/transfers/finalize: las tres reservas siguen ocupando lugar
+  for (const res of [await post('/api/presign', big, auth), await post('/api/multipart/create', big, auth)]) {
+    assert.equal(res.status, 402);
+    const body = await res.json();
+    assert.deepEqual([body.error, body.quota, body.used, body.limit], ['quota_exceeded', 'storage', 9 * GB, 10 * GB]);
+  }
+});
@@ -0,0 +1,91 @@
+// Vista previa en línea de server.js: /api/preview/:id/:name y el modal del share page
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { bootApp } from './helpers/app.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url), { PREVIEW_TEXT_MAX_KB: '1' }); });
+after(() => t.close());
+
+async function upload(files, fields = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const [name, content, type] of files) form.append('files', new Blob([content], { type }), name);
+  return (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form })).json();
+}
+
+const preview = (id, name, headers) => fetch(`${t.base}/api/preview/${id}/${encodeURIComponent(name)}`, { headers });
+
+test('texto y código se sirven en línea como text/plain dentro de sandbox', async () => {
+  const { id } = await upload([['app.js', 'const a = 1;\n', 'application/javascript']]);
+  const res = await preview(id, 'app.js');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(res.headers.get('content-disposition'), "inline; filename*=UTF-8''app.js");
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(res.headers.get('content-security-policy'), /default-src 'none'.*; sandbox$/);
+  assert.equal(await res.text(), 'const a = 1;\n');
+});
+
+test('HTML y SVG conservan su tipo pero siempre con CSP sandbox', async () => {
+  const { id } = await upload([
+    ['pagina.html', '<script>alert(1)</script>', 'text/html'],
+    ['logo.svg', '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>', 'image/svg+xml']
+  ]);
+  const html = await preview(id, 'pagina.html');
+  assert.equal(html.headers.get('content-type'), 'text/html; charset=utf-8');
+  assert.match(html.headers.get('content-security-policy'), /sandbox/);
+  const svg = await preview(id, 'logo.svg');
+  assert.equal(svg.headers.get('content-type'), 'image/svg+xml');
+  assert.match(svg.headers.get('content-security-policy'), /sandbox/);
+  assert.match(svg.headers.get('content-security-policy'), /default-src 'none'/);
+});
+
+test('PDF sin sandbox y medios con Range para poder buscar', async () => {
+  const { id } = await upload([['doc.pdf', '%PDF-1.4 fake', 'application/pdf'], ['clip.mp4', Buffer.alloc(64, 7), 'video/mp4']]);
+  const pdf = await preview(id, 'doc.pdf');
+  assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  assert.doesNotMatch(pdf.headers.get('content-security-policy'), /sandbox/);
+
+  const part = await preview(id, 'clip.mp4', { range: 'bytes=10-19' });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('content-range'), 'bytes 10-19/64');
+  assert.equal(part.headers.get('content-type'), 'video/mp4');
+  assert.equal((await part.arrayBuffer()).byteLength, 10);
+});
+
+test('tipos sin vista previa, texto sobre el tope y transfers con límite de descargas', async () => {
+  const { id } = await upload([['datos.zip', 'PK', 'application/zip'], ['grande.txt', 'x'.repeat(2048), 'text/plain']]);
+  assert.equal((await preview(id, 'datos.zip')).status, 415);
+  assert.equal((await preview(id, 'grande.txt')).status, 413);
+
+  const limited = await upload([['nota.txt', 'hola', 'text/plain']], { maxDownloads: '1' });
+  assert.equal((await preview(limited.id, 'nota.txt')).status, 403);
+  const page = await (await fetch(`${t.base}/t/${limited.id}`)).text();
+  assert.ok(!page.includes('data-preview='));
+});
+
+test('el share page ofrece "Ver" solo en archivos con vista previa y carga el modal', async () => {
+  const { id } = await upload([['notas.csv', 'a,b\n1,2\n', 'text/csv'], ['datos.zip', 'PK', 'application/zip'], ['grande.txt', 'x'.repeat(2048), 'text/plain']]);
+  const html = await (await fetch(`${t.base}/t/${id}`)).text();
+  assert.ok(html.includes(`data-preview="text"`));
+  const [csv] = t.s3.getJson(`transfers/${id}/manifest.json`).files;
+  assert.ok(html.includes(`data-src="/api/preview/${id}/${csv.id}"`));
+  assert.ok(html.includes('data-lang="csv"'));
+  assert.equal(html.match(/data-preview=/g).length, 1);
+  assert.ok(html.includes('<dialog id="preview-modal"'));
+
+  const js = await fetch(`${t.base}/assets/share-preview.js`);
+  assert.equal(js.status, 200);
+  assert.match(js.headers.get('content-type'), /javascript/);
+});
+
+test('la vista previa no cuenta como descarga', async () => {
+  const { id } = await upload([['a.txt', 'hola', 'text/plain']]);
+  await (await preview(id, 'a.txt')).text();
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal([...t.s3.objects.keys()].filter(k => k.startsWith(`transfers/${id}/.downloads/`)).length, 0);
+  await (await fetch(`${t.base}/api/file/${id}/a.txt`)).text();
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal([...t.s3.objects.keys()].filter(k => k.startsWith(`transfers/${id}/.downloads/`)).length, 1);
+});
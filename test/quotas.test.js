@@ -0,0 +1,108 @@
+// Cuotas de lib/quotas.js en server.js: el egress del mes se cobra solo a cuentas autenticadas y las
+// reservas de las subidas directas (server_multipart.js) se cierran al finalizar o en el janitor
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { bootApp } from './helpers/app.js';
+
+let t;
+let apiKey;
+before(async () => {
+  t = await bootApp(new URL('../server.js', import.meta.url), { QUOTAS_JSON: JSON.stringify({ free: { egressPerMonth: '3KB' } }), ADMIN_TOKEN: 'test-admin' });
+  const { createApiKey } = await import('../lib/auth.js');
+  apiKey = createApiKey({ subject: 'medida', plan: 'free' }).key;
+});
+after(() => t.close());
+
+async function upload(headers = {}) {
+  const form = new FormData();
+  form.append('files', new Blob([crypto.randomBytes(2048)]), 'dos-kb.bin');
+  const res = await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form, headers });
+  assert.equal(res.status, 200);
+  return res.json();
+}
+const download = async (id) => {
+  const res = await fetch(`${t.base}/api/transfers/${id}/download.zip`);
+  await res.arrayBuffer();
+  return res.status;
+};
+
+async function waitFor(check) {
+  for (let i = 0; i < 100; i++) {
+    if (await check()) return;
+    await new Promise(r => setTimeout(r, 20));
+  }
+  throw new Error('no se cumplió la condición');
+}
+
+test('las descargas de un transfer anónimo no gastan el egress de la IP que lo subió', async () => {
+  const { id } = await upload();
+  for (let i = 0; i < 3; i++) assert.equal(await download(id), 200);
+  const usage = await (await fetch(`${t.base}/api/usage`)).json();
+  assert.equal(usage.quotas.egressPerMonth, null);
+  assert.equal(usage.usage.egressThisMonth, 0);
+  // Un transfer nuevo desde la misma IP se sigue pudiendo bajar
+  assert.equal(await download((await upload()).id), 200);
+});
+
+test('el egress de una cuenta autenticada se mide y corta al llegar al límite', async () => {
+  const auth = { 'x-mixtli-token': apiKey };
+  const { id } = await upload(auth);
+  assert.equal(await download(id), 200);
+  assert.equal(await download(id), 200);
+  await waitFor(async () => (await download(id)) === 429);
+  const usage = await (await fetch(`${t.base}/api/usage`, { headers: auth })).json();
+  assert.equal(usage.quotas.egressPerMonth, 3 * 1024);
+  assert.ok(usage.usage.egressThisMonth >= 3 * 1024);
+});
+
+// Lo que deja server_multipart.js tras un presign de `subject` ya subido: objeto, _meta con reservedBy y la reserva
+function directUpload(subject, key, bytes, at = new Date()) {
+  t.s3.putObject(key, crypto.randomBytes(bytes));
+  t.s3.putObject(`_meta/${key}.json`, { key, reservedBy: subject });
+  const u = t.s3.getJson(`_usage/${subject}.json`) || { reservations: {} };
+  u.reservations[key] = { bytes, at: at.toISOString() };
+  t.s3.putObject(`_usage/${subject}.json`, u);
+}
+
+test('finalize cambia la reserva de la subida directa por el almacenamiento del transfer', async () => {
+  const { createApiKey } = await import('../lib/auth.js');
+  const { signUploadKey } = await import('../lib/uploadTokens.js');
+  const auth = { 'x-mixtli-token': createApiKey({ subject: 'directa', plan: 'free' }).key };
+  const key = 'uploads/2026/10/19/00000000-0000-4000-8000-000000000001-informe.pdf';
+  directUpload('directa', key, 1024);
+
+  const res = await fetch(`${t.base}/api/transfers/finalize`, {
+    method: 'POST', headers: { 'content-type': 'application/json', ...auth },
+    body: JSON.stringify({ files: [{ key, uploadToken: signUploadKey(key) }] })
+  });
+  assert.equal(res.status, 200);
+  const { usage } = await (await fetch(`${t.base}/api/usage`, { headers: auth })).json();
+  assert.deepEqual([usage.storageBytes, usage.reservedBytes], [1024, 0]);
+});
+
+test('el janitor libera las reservas viejas sin objeto y deja con su tamaño real las que sí subieron', async () => {
+  const old = new Date(Date.now() - 48 * 36e5);
+  const uploaded = 'uploads/2026/10/17/00000000-0000-4000-8000-000000000002-subido.bin';
+  const missing = 'uploads/2026/10/17/00000000-0000-4000-8000-000000000003-nunca.bin';
+  const recent = 'uploads/2026/10/19/00000000-0000-4000-8000-000000000004-reciente.bin';
+  directUpload('abandonada', uploaded, 512, old);
+  directUpload('abandonada', missing, 256, old);
+  directUpload('abandonada', recent, 128);
+  t.s3.objects.delete(missing);
+  const u = t.s3.getJson('_usage/abandonada.json');
+  u.reservations[uploaded].bytes = 4 * 1024; // declaró más de lo que subió
+  t.s3.putObject('_usage/abandonada.json', u);
+  const run = (query = '') => fetch(`${t.base}/api/diag/multipart/run${query}`, { method: 'POST', headers: { 'x-admin-token': 'test-admin' } });
+
+  const dry = await (await run('?dryRun=1')).json();
+  assert.deepEqual(dry.reservations, { released: 1, settled: 1 });
+  assert.equal(Object.keys(t.s3.getJson('_usage/abandonada.json').reservations).length, 3);
+
+  const report = await (await run('?dryRun=0')).json();
+  assert.deepEqual(report.reservations, { released: 1, settled: 1 });
+  const { reservations } = t.s3.getJson('_usage/abandonada.json');
+  assert.deepEqual(Object.keys(reservations).sort(), [recent, uploaded].sort());
+  assert.deepEqual([reservations[uploaded].bytes, reservations[uploaded].stored], [512, true]);
+  assert.equal(reservations[recent].stored, undefined);
+});
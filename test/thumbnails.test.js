@@ -0,0 +1,76 @@
+// Miniaturas de server.js: generación en segundo plano, ruta /api/thumb y galería del share page
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { bootApp } from './helpers/app.js';
+
+let t;
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url)); });
+after(() => t.close());
+
+const png = (width, height) => sharp({ create: { width, height, channels: 3, background: '#7c5cff' } }).png().toBuffer();
+
+async function upload(files) {
+  const form = new FormData();
+  for (const [name, content, type] of files) form.append('files', new Blob([content], { type }), name);
+  const created = await (await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form })).json();
+  // Id de archivo por nombre: las miniaturas y las URLs van por id
+  const ids = Object.fromEntries(t.s3.getJson(`transfers/${created.id}/manifest.json`).files.map(f => [f.name, f.id]));
+  return { ...created, ids };
+}
+
+// La miniatura se genera después de responder: se espera a que aparezca en el bucket
+async function waitFor(key, ms = 5000) {
+  for (const until = Date.now() + ms; Date.now() < until;) {
+    if (t.s3.objects.has(key)) return;
+    await new Promise(r => setTimeout(r, 50));
+  }
+  throw new Error(`no apareció ${key}`);
+}
+
+test('las imágenes reciben una miniatura JPEG en .thumbs/', async () => {
+  const created = await upload([['foto.png', await png(1200, 600), 'image/png'], ['notas.txt', 'hola', 'text/plain']]);
+  await waitFor(`transfers/${created.id}/.thumbs/${created.ids['foto.png']}.jpg`);
+
+  const res = await fetch(`${t.base}/api/thumb/${created.id}/${created.ids['foto.png']}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'image/jpeg');
+  assert.equal(res.headers.get('x-content-type-options'), 'nosniff');
+  const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+  assert.deepEqual([meta.format, meta.width, meta.height], ['jpeg', 320, 160]);
+
+  // Los links por nombre de antes siguen funcionando
+  const cached = await fetch(`${t.base}/api/thumb/${created.id}/foto.png`, { headers: { 'if-none-match': res.headers.get('etag') } });
+  assert.equal(cached.status, 304);
+  assert.equal((await fetch(`${t.base}/api/thumb/${created.id}/notas.txt`)).status, 404);
+  assert.ok(!t.s3.objects.has(`transfers/${created.id}/.thumbs/${created.ids['notas.txt']}.jpg`));
+});
+
+test('el share page arma la galería con las miniaturas disponibles', async () => {
+  const created = await upload([['foto.png', await png(100, 100), 'image/png'], ['informe.pdf', '%PDF', 'application/pdf']]);
+  await waitFor(`transfers/${created.id}/.thumbs/${created.ids['foto.png']}.jpg`);
+
+  const html = await (await fetch(`${t.base}/t/${created.id}`)).text();
+  assert.ok(html.includes('<div class="files grid">'));
+  assert.ok(html.includes(`src="/api/thumb/${created.id}/${created.ids['foto.png']}"`));
+  assert.ok(!html.includes(`/api/thumb/${created.id}/${created.ids['informe.pdf']}`));
+  assert.ok(html.includes('<span>PDF</span>'));
+  assert.ok(html.includes('data-view="list"'));
+});
+
+test('la miniatura sigue al archivo al renombrarlo y se borra con él', async () => {
+  const created = await upload([['a.png', await png(50, 50), 'image/png'], ['b.txt', 'b', 'text/plain']]);
+  const thumb = `transfers/${created.id}/.thumbs/${created.ids['a.png']}.jpg`;
+  await waitFor(thumb);
+  const owner = { 'content-type': 'application/json', 'x-owner-token': created.ownerToken };
+
+  const renamed = await fetch(`${t.base}/api/transfers/${created.id}/files/a.png`, { method: 'PATCH', headers: owner, body: JSON.stringify({ name: 'portada.png' }) });
+  assert.equal(renamed.status, 200);
+  assert.ok(t.s3.objects.has(thumb));
+  assert.equal((await fetch(`${t.base}/api/thumb/${created.id}/portada.png`)).status, 200);
+  assert.equal((await fetch(`${t.base}/api/thumb/${created.id}/a.png`)).status, 404);
+
+  const removed = await fetch(`${t.base}/api/transfers/${created.id}/files/portada.png`, { method: 'DELETE', headers: owner });
+  assert.equal(removed.status, 200);
+  assert.ok(!t.s3.objects.has(thumb));
+});
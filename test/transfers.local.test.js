@@ -0,0 +1,3 @@
+// Misma suite que transfers.test.js contra el driver de disco (lib/storage/local.js)
+process.env.TEST_STORAGE_DRIVER = 'local';
+await import('./transfers.test.js');
@@ -0,0 +1,211 @@
+// Transfers de server.js: subida, manifest, descargas, ZIP, share page y vencimiento
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { bootApp } from './helpers/app.js';
+import { readZip } from './helpers/zip.js';
+
+let t;
+// Sin tope de transfers por día: la suite crea más que los 10 del plan free desde la misma IP
+before(async () => { t = await bootApp(new URL('../server.js', import.meta.url), { QUOTAS_JSON: JSON.stringify({ free: { transfersPerDay: null } }) }); });
+after(() => t.close());
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+// files: [[nombre, contenido, tipo]]
+async function upload(files, fields = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, v);
+  for (const [name, content, type = 'text/plain'] of files) form.append('files', new Blob([content], { type }), name);
+  const res = await fetch(`${t.base}/api/transfers`, { method: 'POST', body: form });
+  return { res, body: await res.json() };
+}
+
+const FILES = [['hola.txt', 'hola mundo\n'], ['datos.csv', 'a,b\n1,2\n', 'text/csv']];
+
+test('POST /api/transfers guarda los archivos y el manifest', async () => {
+  const { res, body } = await upload(FILES, { title: 'Entrega' });
+  assert.equal(res.status, 200);
+  assert.match(body.id, /^[\w-]{10}$/);
+  assert.equal(body.count, 2);
+  assert.equal(body.totalBytes, Buffer.byteLength(FILES[0][1]) + Buffer.byteLength(FILES[1][1]));
+  assert.equal(body.link, `${t.base}/t/${body.id}`);
+  assert.ok(body.ownerToken);
+
+  const stored = t.store.getJson(`transfers/${body.id}/manifest.json`);
+  assert.match(stored.files[0].id, /^[\w-]{12}$/);
+  assert.equal(t.store.objects.get(`transfers/${body.id}/${stored.files[0].id}`).body.toString(), FILES[0][1]);
+  assert.equal(stored.title, 'Entrega');
+  assert.equal(stored.files[0].sha256, sha256(FILES[0][1]));
+  assert.ok(stored.owner.hash);
+});
+
+test('POST /api/transfers sin archivos responde 400', async () => {
+  const { res, body } = await upload([]);
+  assert.equal(res.status, 400);
+  assert.equal(body.error, 'no_files');
+});
+
+test('GET /api/transfers/:id devuelve el manifest público', async () => {
+  const { body: created } = await upload(FILES);
+  const res = await fetch(`${t.base}/api/transfers/${created.id}`);
+  assert.equal(res.status, 200);
+  const m = await res.json();
+  assert.equal(m.id, created.id);
+  assert.equal(m.locked, false);
+  assert.deepEqual(m.files.map(f => [f.name, f.size, f.sha256]), FILES.map(([n, c]) => [n, Buffer.byteLength(c), sha256(c)]));
+  for (const field of ['owner', 'password', 'account', 'notify']) assert.equal(m[field], undefined);
+
+  assert.equal((await fetch(`${t.base}/api/transfers/noexiste00`)).status, 404);
+});
+
+test('con contraseña el manifest no lista archivos hasta desbloquear', async () => {
+  const { body: created } = await upload(FILES, { password: 'secreto' });
+  const locked = await (await fetch(`${t.base}/api/transfers/${created.id}`)).json();
+  assert.equal(locked.locked, true);
+  assert.equal(locked.files, undefined);
+  assert.equal((await fetch(`${t.base}/api/file/${created.id}/hola.txt`)).status, 401);
+
+  const bad = await fetch(`${t.base}/api/transfers/${created.id}/unlock`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ password: 'otra' })
+  });
+  assert.equal(bad.status, 401);
+  const ok = await (await fetch(`${t.base}/api/transfers/${created.id}/unlock`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ password: 'secreto' })
+  })).json();
+  const file = await fetch(`${t.base}/api/file/${created.id}/hola.txt`, { headers: { 'x-transfer-token': ok.token } });
+  assert.equal(file.status, 200);
+  assert.equal(await file.text(), FILES[0][1]);
+});
+
+test('GET /api/file/:id/:name descarga completa, por rango y con digest', async () => {
+  const { body: created } = await upload(FILES);
+  const url = `${t.base}/api/file/${created.id}/hola.txt`;
+
+  const full = await fetch(url);
+  assert.equal(full.status, 200);
+  assert.equal(await full.text(), FILES[0][1]);
+  assert.equal(full.headers.get('content-disposition'), "attachment; filename*=UTF-8''hola.txt");
+  assert.equal(full.headers.get('repr-digest'), `sha-256=:${Buffer.from(sha256(FILES[0][1]), 'hex').toString('base64')}:`);
+  assert.ok(full.headers.get('etag'));
+
+  const part = await fetch(url, { headers: { range: 'bytes=0-3' } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers.get('content-range'), `bytes 0-3/${Buffer.byteLength(FILES[0][1])}`);
+  assert.equal(await part.text(), 'hola');
+
+  const cached = await fetch(url, { headers: { 'if-none-match': full.headers.get('etag') } });
+  assert.equal(cached.status, 304);
+
+  assert.equal((await fetch(`${t.base}/api/file/${created.id}/otro.txt`)).status, 404);
+});
+
+test('GET /api/transfers/:id/download.zip incluye los archivos y checksums.sha256', async () => {
+  const { body: created } = await upload(FILES);
+  const res = await fetch(`${t.base}/api/transfers/${created.id}/download.zip`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+
+  const entries = readZip(Buffer.from(await res.arrayBuffer()));
+  assert.deepEqual(entries.map(e => e.name), ['hola.txt', 'datos.csv', 'checksums.sha256']);
+  assert.equal(entries[0].data.toString(), FILES[0][1]);
+  assert.equal(entries[1].data.toString(), FILES[1][1]);
+  assert.equal(entries[2].data.toString(), FILES.map(([n, c]) => `${sha256(c)}  ${n}\n`).join(''));
+});
+
+test('cada archivo tiene su id: nombres que se sanitizan igual no se pisan y el Unicode queda en NFC', async () => {
+  const { res, body } = await upload([['a?.txt', 'uno'], ['a_.txt', 'dos'], ['cafe\u0301 ñandú.txt', 'tres']]);
+  assert.equal(res.status, 200);
+  const files = t.store.getJson(`transfers/${body.id}/manifest.json`).files;
+  assert.deepEqual(files.map(f => f.name), ['a?.txt', 'a_.txt', 'caf\u00e9 ñandú.txt']);
+  assert.equal(new Set(files.map(f => f.id)).size, 3);
+
+  const get = (ref) => fetch(`${t.base}/api/file/${body.id}/${encodeURIComponent(ref)}`);
+  assert.deepEqual(await Promise.all(files.map(async f => (await get(f.id)).text())), ['uno', 'dos', 'tres']);
+  const unicode = await get(files[2].id);
+  assert.equal(unicode.headers.get('content-disposition'), `attachment; filename*=UTF-8''${encodeURIComponent('caf\u00e9 ñandú.txt')}`);
+  // Los links por nombre siguen funcionando, también con el nombre en NFD
+  assert.equal(await (await get('a?.txt')).text(), 'uno');
+  assert.equal(await (await get('cafe\u0301 ñandú.txt')).text(), 'tres');
+  assert.equal((await get('nada.txt')).status, 404);
+});
+
+test('GET /t/:id muestra los archivos con el HTML escapado', async () => {
+  const { body: created } = await upload([['<img src=x>informe.txt', 'x']], { title: 'Fotos & "videos"' });
+  const res = await fetch(`${t.base}/t/${created.id}`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/html/);
+  const html = await res.text();
+  assert.ok(html.includes('&lt;img src=x&gt;informe.txt'));
+  assert.ok(!html.includes('<img src=x>'));
+  assert.ok(html.includes('Fotos &amp; &quot;videos&quot;'));
+  const [file] = t.store.getJson(`transfers/${created.id}/manifest.json`).files;
+  assert.ok(html.includes(`/api/file/${created.id}/${file.id}`));
+  assert.ok(html.includes(`/api/transfers/${created.id}/download.zip`));
+
+  assert.equal((await fetch(`${t.base}/t/noexiste00`)).status, 404);
+});
+
+test('GET /t/:id con contraseña pide desbloquear y el formulario deja la cookie', async () => {
+  const { body: created } = await upload(FILES, { password: 'secreto' });
+  const html = await (await fetch(`${t.base}/t/${created.id}`)).text();
+  assert.ok(html.includes(`action="/t/${created.id}/unlock?lang=es"`));
+  assert.ok(!html.includes('hola.txt'));
+
+  const res = await fetch(`${t.base}/t/${created.id}/unlock`, {
+    method: 'POST', redirect: 'manual', body: new URLSearchParams({ password: 'secreto' })
+  });
+  assert.equal(res.status, 303);
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  const unlocked = await (await fetch(`${t.base}/t/${created.id}`, { headers: { cookie } })).text();
+  assert.ok(unlocked.includes('hola.txt'));
+});
+
+test('los intentos de contraseña tienen tope por transfer aunque el rate limit esté apagado', async () => {
+  const { body: created } = await upload(FILES, { password: 'secreto' });
+  const unlock = (password) => fetch(`${t.base}/api/transfers/${created.id}/unlock`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ password })
+  });
+  assert.equal((await unlock('secreto')).status, 200);
+  const wrong = await Promise.all(Array.from({ length: 10 }, () => unlock('otra')));
+  assert.ok(wrong.every(r => [401, 429].includes(r.status)), wrong.map(r => r.status).join());
+
+  // Agotados los intentos de la ventana ni la contraseña correcta pasa, tampoco por el formulario
+  const blocked = await unlock('secreto');
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+  assert.equal((await blocked.json()).error, 'unlock_throttled');
+  const form = await fetch(`${t.base}/t/${created.id}/unlock`, { method: 'POST', redirect: 'manual', body: new URLSearchParams({ password: 'secreto' }) });
+  assert.equal(form.status, 429);
+  assert.match(await form.text(), /Demasiados intentos de contraseña/);
+  assert.equal(form.headers.get('set-cookie'), null);
+});
+
+test('un transfer vencido no muestra sus archivos aunque esté desbloqueado', async () => {
+  const { body: created } = await upload(FILES, { password: 'secreto' });
+  const res = await fetch(`${t.base}/t/${created.id}/unlock`, { method: 'POST', redirect: 'manual', body: new URLSearchParams({ password: 'secreto' }) });
+  const cookie = res.headers.get('set-cookie').split(';')[0];
+  const key = `transfers/${created.id}/manifest.json`;
+  t.store.putObject(key, { ...t.store.getJson(key), expiresAt: new Date(Date.now() - 1000).toISOString() }, 'application/json');
+
+  const page = await (await fetch(`${t.base}/t/${created.id}`, { headers: { cookie } })).text();
+  assert.ok(page.includes('Este bundle expiró'));
+  assert.ok(!page.includes('hola.txt'));
+  assert.ok(!page.includes('/api/file/'));
+});
+
+test('un transfer vencido responde 410 en manifest, archivos y ZIP', async () => {
+  const { body: created } = await upload(FILES);
+  const key = `transfers/${created.id}/manifest.json`;
+  t.store.putObject(key, { ...t.store.getJson(key), expiresAt: new Date(Date.now() - 1000).toISOString() }, 'application/json');
+
+  const res = await fetch(`${t.base}/api/transfers/${created.id}`);
+  assert.equal(res.status, 410);
+  assert.equal((await res.json()).error, 'expired');
+  assert.equal((await fetch(`${t.base}/api/file/${created.id}/hola.txt`)).status, 410);
+  assert.equal((await fetch(`${t.base}/api/transfers/${created.id}/download.zip`)).status, 410);
+
+  const page = await (await fetch(`${t.base}/t/${created.id}`)).text();
+  assert.ok(page.includes('Este bundle expiró'));
+  assert.ok(!page.includes('download.zip'));
+});